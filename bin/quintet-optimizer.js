@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+/**
+ * ------------------------------------------------------------
+ * COMMAND-LINE TOOL
+ * ------------------------------------------------------------
+ * The engine without the page, for batch analysis from a script:
+ *   quintet-optimizer optimize --ours club.json --opp rivals.json --opp b.csv
+ *   quintet-optimizer matchups --ours club.json --opp rivals.json --format csv
+ *   quintet-optimizer check
+ * A team file is a JSON roster (an array of athletes, or a saved team or
+ * scouting profile holding one), a roster CSV as pasted in the app, or a
+ * setup file exported by the app: its first saved team is ours, every
+ * scouting profile an opponent, and its first preset the default settings.
+ * Results go to stdout (or --out) as JSON or CSV; errors go to stderr with
+ * exit code 1, and `check` exits 1 when a diagnostic fails. An opponent that
+ * cannot be analysed gets a result with an error and the others still run
+ * (exit code 1 as well).
+ */
+import { readFileSync, writeFileSync } from "node:fs";
+import { basename, extname } from "node:path";
+import { parseArgs } from "node:util";
+import {
+  DEFAULT_UNCERTAINTY_SAMPLES,
+  OBJECTIVES,
+  OPPONENT_MODES,
+  applyBoutCaps,
+  cleanEntry,
+  constraintsForSquad,
+  defaultOppPrior,
+  opponentOrderPrior,
+  optimizeForMode,
+  parseRosterCsv,
+  parseSetupFile,
+  pickOppBestOrderAgainst,
+  predictBout,
+  resolveModel,
+  sampleTeams,
+} from "../src/engine.js";
+import { runTests } from "../src/diagnostics.js";
+
+const USAGE = `Usage:
+  quintet-optimizer optimize --ours <team> --opp <team> [--opp <team> ...] [options]
+  quintet-optimizer matchups --ours <team> --opp <team> [--opp <team> ...] [options]
+  quintet-optimizer check [--params <file>]
+
+Options:
+  --params <file>       model parameters, or a saved preset { params, mode, ranking }
+  --mode <mode>         ${OPPONENT_MODES.join(" | ")}
+  --objective <key>     ${Object.keys(OBJECTIVES).join(" | ")}
+  --tie-break <key>     an objective, or none
+  --lambda, --alpha, --threshold <number>
+                        risk settings for the risk objectives
+  --samples <n>         sampled opponent teams when scouted stats are ranges (default ${DEFAULT_UNCERTAINTY_SAMPLES})
+  --format <json|csv>   output format (default json; check lists its results as text)
+  --out <file>          write to a file instead of stdout`;
+
+class UsageError extends Error {}
+
+// ============================================================
+// =                          INPUTS                          =
+// ============================================================
+/**
+ * readTeamFile(path, attributeKeys)
+ * Our side and the opponents a file holds, as
+ *   { ours: teams entry | null, opponents: [scouting entry], preset: presets entry | null }
+ * with entries cleaned the way the library cleans them. attributeKeys are
+ * the stat columns a roster CSV is read with (the model's, as in the app).
+ */
+function readTeamFile(path, attributeKeys) {
+  const text = readFileSync(path, "utf8");
+  const name = basename(path, extname(path));
+  const check = (kind, raw) => {
+    const entry = cleanEntry(kind, raw);
+    if (typeof entry === "string") throw new UsageError(`${path}: the ${kind === "teams" ? "team" : "roster"} ${entry}`);
+    return entry;
+  };
+  if (extname(path).toLowerCase() === ".csv") {
+    const { team, errors } = parseRosterCsv(text, attributeKeys);
+    if (errors.length) throw new UsageError(`${path}: ${errors.join("; ")}`);
+    return { ours: check("teams", { name, pool: team }), opponents: [check("scouting", { name, team })], preset: null };
+  }
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (e) {
+    throw new UsageError(`${path}: not valid JSON (${e.message})`);
+  }
+  if (typeof raw?.format === "string") {
+    const { library, errors } = parseSetupFile(text);
+    if (errors.length) throw new UsageError(`${path}: ${errors.join("; ")}`);
+    return { ours: library.teams[0] || null, opponents: library.scouting, preset: library.presets[0] || null };
+  }
+  if (Array.isArray(raw)) raw = { name, team: raw };
+  if (Array.isArray(raw?.pool)) return { ours: check("teams", { name, ...raw }), opponents: [], preset: null };
+  const profile = check("scouting", { name, ...raw });
+  return { ours: check("teams", { name: profile.name, pool: profile.team }), opponents: [profile], preset: null };
+}
+
+/** Model settings from --params: plain parameters or a saved preset. */
+function readParamsFile(path) {
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, "utf8"));
+  } catch (e) {
+    throw new UsageError(`${path}: ${e.message}`);
+  }
+  const preset = cleanEntry("presets", raw?.params ? { name: "params", ...raw } : { name: "params", params: raw });
+  if (typeof preset === "string") throw new UsageError(`${path}: the preset ${preset}`);
+  return preset;
+}
+
+function numberOption(values, key) {
+  if (values[key] === undefined) return undefined;
+  const x = Number(values[key]);
+  if (!Number.isFinite(x)) throw new UsageError(`--${key} needs a number, got "${values[key]}"`);
+  return x;
+}
+
+/**
+ * The job every opponent is analysed under: our squad, settings and
+ * opponents. Settings come from --params, else the preset in our team file,
+ * else the defaults; roster CSVs are read with that model's stat columns.
+ */
+function readJob(values) {
+  if (!values.ours) throw new UsageError("--ours is required");
+  if (!values.opp?.length) throw new UsageError("at least one --opp is required");
+  const keysOf = ({ params }) => resolveModel(params).attributeKeys(params);
+  const given = values.params ? readParamsFile(values.params) : null;
+  const defaults = cleanEntry("presets", { name: "defaults", params: {} });
+  // A CSV holds no preset, so ours is read with the --params or default columns
+  const oursFile = readTeamFile(values.ours, keysOf(given || defaults));
+  if (!oursFile.ours) throw new UsageError(`${values.ours}: holds no team of ours`);
+  const preset = given || oursFile.preset || defaults;
+  const opponents = values.opp.flatMap((path) => {
+    const { opponents } = readTeamFile(path, keysOf(preset));
+    if (!opponents.length) throw new UsageError(`${path}: holds no opponent roster`);
+    return opponents;
+  });
+
+  const mode = values.mode ?? preset.mode;
+  if (!OPPONENT_MODES.includes(mode)) throw new UsageError(`--mode must be one of ${OPPONENT_MODES.join(", ")}`);
+  const objective = values.objective ?? preset.ranking.objective;
+  const tieBreak = values["tie-break"] ?? preset.ranking.tieBreak;
+  if (!OBJECTIVES[objective]) throw new UsageError(`unknown objective "${objective}"`);
+  if (tieBreak !== "none" && !OBJECTIVES[tieBreak]) throw new UsageError(`unknown tie-break "${tieBreak}"`);
+  const risk = { ...preset.ranking.risk };
+  for (const key of ["lambda", "alpha", "threshold"]) risk[key] = numberOption(values, key) ?? risk[key];
+  const samples = numberOption(values, "samples") ?? DEFAULT_UNCERTAINTY_SAMPLES;
+  if (!Number.isInteger(samples) || samples < 1) throw new UsageError("--samples needs a positive whole number");
+
+  const { pool, squad, constraints } = oursFile.ours;
+  return {
+    name: oursFile.ours.name,
+    our: squad.map((i) => pool[i]),
+    constraints: constraintsForSquad(constraints, squad),
+    params: preset.params,
+    mode,
+    ranking: { objective, tieBreak, risk },
+    samples,
+    opponents,
+  };
+}
+
+// ============================================================
+// =                         ANALYSES                         =
+// ============================================================
+const names = (team, order) => order.map((i) => team[i].name);
+
+/** One ranked order as plain numbers, in the ranking's terms. */
+function orderRow(team, row, ranking) {
+  const score = OBJECTIVES[ranking.objective].score(row, ranking.risk);
+  return { order: names(team, row.order), score, ev: row.ev, pWin: row.pWin, pTie: row.pTie, pLose: row.pLose };
+}
+
+/**
+ * The lineup search against one opponent, as the page runs it. An opponent
+ * it cannot be run against comes back with error set and no orders.
+ */
+function optimizeAgainst(job, opponent) {
+  const { our, params, mode, ranking, constraints } = job;
+  const opp = opponent.team;
+  if (opp.length !== our.length) {
+    return { opponent: opponent.name, error: `fields ${opp.length}, we field ${our.length}`, best: null, top: [], oppBestResponse: null, equilibrium: null };
+  }
+  const prior = opponentOrderPrior(opp, opponent.prior || defaultOppPrior(opp.length));
+  const oppOrders = prior.orders.length ? prior.orders : [{ order: opp.map((_, i) => i), p: 1 }];
+  const samples = sampleTeams(opp, job.samples);
+  const result = optimizeForMode(mode, our, opp, params, ranking, mode === "bayes" ? oppOrders : null, { constraints, samples });
+  if (!result.best) return { opponent: opponent.name, best: null, top: [], oppBestResponse: null, equilibrium: null };
+  const fielded = applyBoutCaps(our, constraints);
+  const response = pickOppBestOrderAgainst(result.best.order.map((i) => fielded[i]), opp, params, ranking, { samples });
+  return {
+    opponent: opponent.name,
+    best: orderRow(our, result.best, ranking),
+    top: result.top.map((row) => orderRow(our, row, ranking)),
+    oppBestResponse: { order: names(opp, response.order), ev: response.ev, pWin: response.pWin, pTie: response.pTie, pLose: response.pLose },
+    equilibrium: mode === "nash"
+      ? { value: result.game.value, ours: result.game.ours.map(({ order, p }) => ({ order: names(our, order), p })), opp: result.game.opp.map(({ order, p }) => ({ order: names(opp, order), p })) }
+      : null,
+  };
+}
+
+/** Fresh-athlete W/D/L for every pairing, ours by rows. */
+function matchupMatrix(job, opponent) {
+  const rows = job.our.map((a) => opponent.team.map((b) => predictBout(a, b, job.params, 1, 1)));
+  const pick = (field) => rows.map((row) => row.map((p) => p[field]));
+  return { opponent: opponent.name, ours: job.our.map((a) => a.name), opp: opponent.team.map((b) => b.name), pWin: pick("pWin"), pDraw: pick("pDraw"), pLose: pick("pLose") };
+}
+
+// ============================================================
+// =                          OUTPUT                          =
+// ============================================================
+function csvCell(value) {
+  const text = typeof value === "number" ? String(Math.round(value * 1e6) / 1e6) : String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+/**
+ * optimize as CSV: one line per ranked order, then the opponent's best
+ * response. In nash mode the equilibrium follows: its value (in score) and
+ * one line per order either side mixes, with its weight in p. An opponent
+ * that could not be analysed gets one "error" line.
+ */
+function optimizeCsv(results) {
+  const mix = (r, side, orders) => orders.map(({ order, p }) => [r.opponent, side, order.join(" > "), "", "", "", "", "", p]);
+  const rows = results.flatMap((r) => [
+    ...(r.error ? [[r.opponent, "error", "", "", "", "", "", "", "", r.error]] : []),
+    ...r.top.map((row, k) => [r.opponent, k + 1, row.order.join(" > "), row.score, row.ev, row.pWin, row.pTie, row.pLose]),
+    ...(r.oppBestResponse ? [[r.opponent, "opp best response", r.oppBestResponse.order.join(" > "), "", r.oppBestResponse.ev, r.oppBestResponse.pWin, r.oppBestResponse.pTie, r.oppBestResponse.pLose]] : []),
+    ...(r.equilibrium
+      ? [[r.opponent, "equilibrium value", "", r.equilibrium.value], ...mix(r, "our mix", r.equilibrium.ours), ...mix(r, "opp mix", r.equilibrium.opp)]
+      : []),
+  ]);
+  return toCsv(["opponent", "rank", "order", "score", "ev", "pWin", "pTie", "pLose", "p", "error"], rows);
+}
+
+/** matchups as CSV: one line per pairing. */
+function matchupsCsv(matrices) {
+  const rows = matrices.flatMap((m) => m.ours.flatMap((a, i) => m.opp.map((b, j) => [m.opponent, a, b, m.pWin[i][j], m.pDraw[i][j], m.pLose[i][j]])));
+  return toCsv(["opponent", "ours", "opp", "pWin", "pDraw", "pLose"], rows);
+}
+
+// ============================================================
+// =                           MAIN                           =
+// ============================================================
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      ours: { type: "string" },
+      opp: { type: "string", multiple: true },
+      params: { type: "string" },
+      mode: { type: "string" },
+      objective: { type: "string" },
+      "tie-break": { type: "string" },
+      lambda: { type: "string" },
+      alpha: { type: "string" },
+      threshold: { type: "string" },
+      samples: { type: "string" },
+      format: { type: "string" },
+      out: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  const [command] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return 0;
+  }
+  // check reads best as a list of lines unless a format is asked for
+  const format = values.format ?? (command === "check" ? "text" : "json");
+  if (!["json", "csv", ...(command === "check" ? ["text"] : [])].includes(format)) throw new UsageError(`--format must be json or csv, not "${format}"`);
+  const write = (text) => (values.out ? writeFileSync(values.out, text) : process.stdout.write(text));
+
+  if (command === "check") {
+    const tests = runTests(values.params ? readParamsFile(values.params).params : undefined, { bruteForce: true });
+    const failed = tests.filter((t) => !t.passed).length;
+    if (format === "csv") write(toCsv(["name", "passed", "info"], tests.map((t) => [t.name, t.passed, t.info])));
+    else if (format === "json") write(JSON.stringify(tests, null, 2) + "\n");
+    else write(tests.map((t) => `${t.passed ? "pass" : "FAIL"}  ${t.name}  ${t.info}\n`).join("") + `${tests.length - failed}/${tests.length} passed\n`);
+    return failed ? 1 : 0;
+  }
+
+  if (command === "optimize") {
+    const job = readJob(values);
+    const results = job.opponents.map((opponent) => optimizeAgainst(job, opponent));
+    write(format === "csv"
+      ? optimizeCsv(results)
+      : JSON.stringify({ team: job.name, mode: job.mode, ranking: job.ranking, results }, null, 2) + "\n");
+    const failed = results.filter((r) => r.error);
+    for (const r of failed) console.error(`quintet-optimizer: ${r.opponent}: ${r.error}`);
+    return failed.length ? 1 : 0;
+  }
+
+  if (command === "matchups") {
+    const job = readJob(values);
+    const matrices = job.opponents.map((opponent) => matchupMatrix(job, opponent));
+    write(format === "csv" ? matchupsCsv(matrices) : JSON.stringify({ team: job.name, matrices }, null, 2) + "\n");
+    return 0;
+  }
+
+  throw new UsageError(`unknown command "${command}"`);
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (e) {
+  if (!(e instanceof UsageError) && e.code !== "ENOENT" && !e.code?.startsWith("ERR_PARSE_ARGS")) throw e;
+  console.error(`quintet-optimizer: ${e.message} (--help for usage)`);
+  process.exitCode = 1;
+}
@@ -1,333 +1,2460 @@
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  clamp,
+  factorial,
+  defaultTeam,
+  defaultTeamOthers,
+  DEFAULT_FACTORS,
+  RESERVED_ATHLETE_KEYS,
+  DEFAULT_RULES,
+  DRAW_NONE_BOUT_CAP,
+  RULESET_PRESETS,
+  DRAW_ELIMINATION_LABELS,
+  DEFAULT_PARAMS,
+  DEFAULT_RATING,
+  DEFAULT_SQUAD_RULES,
+  DEFAULT_STAMINA,
+  defaultOppPrior,
+  FATIGUE_CURVES,
+  fatigueLoss,
+  fatigueWeight,
+  MODELS,
+  resolveModel,
+  modelFields,
+  getParam,
+  withParam,
+  predictBout,
+  learnRatingsFromHistory,
+  resolveRules,
+  describeRules,
+  expectedNetWins,
+  outcomeDistribution,
+  outcomeTree,
+  OBJECTIVES,
+  DEFAULT_RISK,
+  DEFAULT_RANKING,
+  CONSTRAINT_TYPES,
+  applyBoutCaps,
+  legalOrders,
+  constraintsForSquad,
+  describeConstraint,
+  DEFAULT_UNCERTAINTY_SAMPLES,
+  attributeRanges,
+  sampleTeams,
+  opponentOrderPrior,
+  sampleMixedOrder,
+  DEFAULT_SENSITIVITY,
+  teamWeight,
+  legalSquads,
+  squadProblems,
+  DEFAULT_EVENT,
+  MAX_EVENT_OPPONENTS,
+  BRUTE_FORCE_DP_LIMIT,
+  MAX_SIMULATED_MATCHES,
+  marginalOf,
+  BOUT_RESULTS,
+  boutLogColumns,
+  parseBoutLog,
+  calibrationTable,
+  fittableFields,
+  EMPTY_HISTORY,
+  cleanHistory,
+  snapshotAthlete,
+  suggestStreaks,
+  historyBouts,
+  athleteHistoryStats,
+  parseBoutTime,
+  formatBoutTime,
+  replayMatch,
+  EMPTY_LIBRARY,
+  exportSetupFile,
+  parseSetupFile,
+  mergeLibraries,
+  parseRosterCsv,
+  encodeShareState,
+  decodeShareState,
+} from "./engine.js";
 
 /**
  * ------------------------------------------------------------
  * QUINTET LINEUP OPTIMIZER (Submission-only, Winner-stays)
  * ------------------------------------------------------------
- * Probability model: three deltas (weight, condition, technique).
+ * Probability model: one delta per factor — weight, condition and technique
+ * by default, plus any user-defined athlete attributes.
  * Each delta has its own exponent (nonlinearity) and multiplier (importance).
  * No per-factor scales; the multipliers set relative importance directly.
  * Draw probability PD is bounded with a floor of 0.2 and PD(0) = user-set PD0.
  * PD decays with |S| via a fixed tanh curve (no extra params).
- * Winner-stays fatigue reduces CONDITION only before computing its delta.
+ * Winner-stays fatigue reduces CONDITION (and any factor flagged as fatiguing)
+ * before computing its delta.
  */
 
 // ============================================================
 // =                         UTILITIES                        =
 // ============================================================
-function clamp(x, lo = 0, hi = 1) {
-  return Math.max(lo, Math.min(hi, x));
-}
-
-function permutations(arr) {
-  const res = [];
-  const a = arr.slice();
-  const c = new Array(a.length).fill(0);
-  res.push(a.slice());
-  let i = 0;
-  while (i < a.length) {
-    if (c[i] < i) {
-      if (i % 2 === 0) [a[0], a[i]] = [a[i], a[0]]; else [a[c[i]], a[i]] = [a[i], a[c[i]]];
-      res.push(a.slice());
-      c[i]++;
-      i = 0;
-    } else {
-      c[i] = 0;
-      i++;
+function newId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// ============================================================
+// =                     LOCAL PERSISTENCE                    =
+// ============================================================
+const STORAGE_PREFIX = "quintet-optimizer/";
+
+function loadStored(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+function saveStored(key, value) {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch {
+    // Private mode or quota exceeded: keep working in memory
+  }
+}
+
+/**
+ * useState that mirrors its value into localStorage under `key`. A stored
+ * value goes through `clean` first, which repairs or drops what an older or
+ * hand-edited copy got wrong.
+ */
+function useStoredState(key, initial, clean = (v) => v) {
+  const [value, setValue] = useState(() => (typeof window === "undefined" ? initial : clean(loadStored(key, initial))));
+  useEffect(() => { saveStored(key, value); }, [key, value]);
+  return [value, setValue];
+}
+
+// ============================================================
+// =                      SHARED LINKS                        =
+// ============================================================
+// #s=<share state> (see encodeShareState); &view opens it read-only
+function readShareLink(hash) {
+  const query = new URLSearchParams(hash.replace(/^#/, ""));
+  if (!query.has("s")) return null;
+  return { ...decodeShareState(query.get("s")), view: query.has("view") };
+}
+
+function shareLinkHash(state, view) {
+  return `#s=${encodeShareState(state)}${view ? "&view" : ""}`;
+}
+
+// ============================================================
+// =                     OPTIMIZER WORKER                     =
+// ============================================================
+// Inputs must hold still this long before a search starts
+const OPTIMIZER_DEBOUNCE_MS = 300;
+
+const SETTLING = { step: 0, steps: 1, label: "waiting for input to settle", fraction: 0 };
+
+const EMPTY_RUN = { job: null, result: null, oppBestResponse: null, byFirst: [], constraintCosts: null, stability: null, sensitivity: null, event: null, simulation: null, benchmark: null, fit: null, squads: null, diagnostics: null, done: false, error: null };
+
+/**
+ * useOptimizer(job)
+ * Runs `job` ({ our, opp, params, mode, ranking, oppOrders, constraints, samples },
+ * or a task job as optimizer.worker.js describes) in the worker once it has
+ * been unchanged for OPTIMIZER_DEBOUNCE_MS; a null job runs nothing. A
+ * changed job terminates the running worker straight away. Returns
+ * { job, result, oppBestResponse, byFirst, constraintCosts, stability, sensitivity, event, simulation, benchmark, fit, squads, diagnostics, done, error, progress, cancel, rerun }:
+ * the results belong to `job` (the last run that reported, which can lag the
+ * current inputs), done says that run finished, and progress is null unless
+ * a search is pending or running.
+ */
+function useOptimizer(job) {
+  const [run, setRun] = useState(EMPTY_RUN);
+  const [progress, setProgress] = useState(SETTLING);
+  const [nonce, setNonce] = useState(0);
+  const workerRef = useRef(null);
+  const timerRef = useRef(null);
+  const stop = () => {
+    clearTimeout(timerRef.current);
+    if (workerRef.current) workerRef.current.terminate();
+    workerRef.current = null;
+  };
+
+  useEffect(() => {
+    stop();
+    if (!job) {
+      setProgress(null);
+      return;
     }
+    setProgress(SETTLING);
+    timerRef.current = setTimeout(() => {
+      const worker = new Worker(new URL("./optimizer.worker.js", import.meta.url), { type: "module" });
+      const id = nonce;
+      let fresh = { ...EMPTY_RUN, job };
+      workerRef.current = worker;
+      worker.onmessage = ({ data }) => {
+        if (workerRef.current !== worker || data.id !== id) return;
+        if (data.type === "progress") setProgress(data);
+        if (data.type === "result") setRun((fresh = { ...fresh, [data.key]: data.value }));
+        if (data.type === "done") {
+          setRun((fresh = { ...fresh, done: true }));
+          stop();
+          setProgress(null);
+        }
+      };
+      worker.onerror = (e) => {
+        e.preventDefault();
+        stop();
+        setRun({ ...fresh, error: e.message || "The optimizer stopped unexpectedly." });
+        setProgress(null);
+      };
+      worker.postMessage({ id, ...job });
+    }, OPTIMIZER_DEBOUNCE_MS);
+  }, [job, nonce]);
+
+  // Stop any pending or running search with the page
+  useEffect(() => stop, []);
+
+  const cancel = () => {
+    stop();
+    setProgress(null);
+  };
+  return { ...run, progress, cancel, rerun: () => setNonce((k) => k + 1) };
+}
+
+// ============================================================
+// =                           UI                             =
+// ============================================================
+function TextInput({ label, value, onChange, step = 1, min, max, help }) {
+  return (
+    <label className="block text-sm mb-2">
+      <span className="text-gray-800 font-medium">{label}</span>
+      {help && <div className="text-xs text-gray-500 mb-1">{help}</div>}
+      <input
+        type="number"
+        value={Number.isFinite(value) ? value : 0}
+        step={step}
+        min={min}
+        max={max}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        className="mt-1 block w-full rounded-xl border p-2"
+      />
+    </label>
+  );
+}
+
+function attributeLabel(f) {
+  const range = f.unit ? ` (${f.unit})` : f.min !== undefined && f.max !== undefined ? ` (${f.min}–${f.max})` : "";
+  return `${f.rosterLabel || f.label}${range}`;
+}
+
+/**
+ * RosterEditor — one card per athlete. With onAdd/onRemove the roster can grow
+ * and shrink; with `fielded` (pool indices) and setFielded each card gets a
+ * "Fielded" toggle and the total counts only the fielded athletes. With
+ * `ranged` every number also takes an optional min–max scouting range around
+ * it (stored in athlete.ranges).
+ */
+function RosterEditor({ team, setTeam, title, attributes = DEFAULT_FACTORS, athleteFields = [], onAdd, onRemove, fielded, setFielded, ranged }) {
+  const update = (idx, key, val) => {
+    const t = team.slice();
+    t[idx] = { ...t[idx], [key]: val };
+    setTeam(t);
+  };
+  const updateRange = (idx, key, end, raw) => {
+    const value = parseFloat(raw);
+    const range = { ...team[idx].ranges?.[key] };
+    if (Number.isFinite(value)) range[end] = value; else delete range[end];
+    const { [key]: _, ...ranges } = team[idx].ranges || {};
+    update(idx, "ranges", Object.keys(range).length ? { ...ranges, [key]: range } : ranges);
+  };
+  const rangeInputs = (idx, p, f) => ranged && (
+    <div className="flex items-center gap-1 mt-1 text-xs text-gray-600">
+      range
+      {["min", "max"].map((end) => (
+        <input key={end} type="number" step={f.step} placeholder={end} className="w-full border rounded-md p-1" value={p.ranges?.[f.key]?.[end] ?? ""} onChange={(e) => updateRange(idx, f.key, end, e.target.value)} />
+      ))}
+    </div>
+  );
+  const counted = fielded ? fielded.map((i) => team[i]).filter(Boolean) : team;
+  const total = teamWeight(counted);
+  return (
+    <div className="bg-white rounded-2xl shadow p-4">
+      <div className="flex items-baseline justify-between mb-2">
+        <h3 className="text-lg font-semibold">{title}</h3>
+        <div className="text-sm text-gray-700">{fielded ? "Fielded weight" : "Total weight"}: <span className="font-semibold">{total.toFixed(1)} kg</span></div>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+        {team.map((p, idx) => (
+          <div key={idx} className={`border rounded-xl p-3 ${fielded && !fielded.includes(idx) ? "opacity-60" : ""}`}>
+            <div className="flex items-center justify-between mb-1">
+              <span className="font-medium">{p.name}</span>
+              {onRemove && team.length > 1 && <button className="text-xs text-red-700" onClick={() => onRemove(idx)}>remove</button>}
+            </div>
+            {setFielded && (
+              <label className="flex items-center gap-1 text-sm">
+                <input type="checkbox" checked={fielded.includes(idx)} disabled={fielded.length === 1 && fielded.includes(idx)} onChange={(e) => setFielded(e.target.checked ? [...fielded, idx].sort((a, b) => a - b) : fielded.filter((i) => i !== idx))} />
+                Fielded
+              </label>
+            )}
+            <label className="block text-sm">Name
+              <input className="w-full border rounded-md p-1 mt-1" value={p.name} onChange={(e)=>update(idx, 'name', e.target.value)} />
+            </label>
+            {attributes.map((f) => (
+              <div key={f.key} className="mt-2">
+                <label className="block text-sm">{attributeLabel(f)}
+                  <input type="number" step={f.step} min={f.min} max={f.max} className="w-full border rounded-md p-1 mt-1" value={p[f.key] ?? f.default} onChange={(e)=>update(idx, f.key, parseFloat(e.target.value))} />
+                </label>
+                {rangeInputs(idx, p, f)}
+              </div>
+            ))}
+            {athleteFields.map((f) => (
+              <div key={f.key} className="mt-2">
+                <label className="block text-sm">{f.label}
+                  <input type="number" step={f.step} className="w-full border rounded-md p-1 mt-1" value={p[f.key] ?? f.default} onChange={(e)=>update(idx, f.key, parseFloat(e.target.value))} />
+                </label>
+                {rangeInputs(idx, p, f)}
+              </div>
+            ))}
+          </div>
+        ))}
+        {onAdd && (
+          <button className="border border-dashed rounded-xl p-3 text-sm text-gray-600 hover:bg-gray-50" onClick={onAdd}>+ Add athlete</button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const LIBRARY_SECTIONS = [
+  { kind: "teams", title: "Our teams", describe: (e) => `${e.pool.length} athletes, ${e.squad.length} fielded` },
+  { kind: "scouting", title: "Scouting profiles", describe: (e) => `${e.team.length} athletes` },
+  { kind: "presets", title: "Model presets", describe: (e) => `${e.params.model} model, ${e.mode}` },
+];
+
+/**
+ * LibraryPanel — named teams, scouting profiles and model presets kept in
+ * this browser. Save stores the current setup (replacing an entry of the same
+ * name), Load puts an entry back. The library travels as a versioned JSON
+ * setup file, and a roster can be pasted as CSV straight from a spreadsheet.
+ */
+function LibraryPanel({ library, setLibrary, current, onLoad, attributeKeys, onImportRoster }) {
+  const [names, setNames] = useState({ teams: "", scouting: "", presets: "" });
+  const [message, setMessage] = useState(null);
+  const [csv, setCsv] = useState("");
+  const parsedCsv = useMemo(() => parseRosterCsv(csv, attributeKeys), [csv, attributeKeys.join(",")]);
+
+  const setEntries = (kind, fn) => setLibrary((lib) => ({ ...lib, [kind]: fn(lib[kind]) }));
+  const save = (kind) => {
+    const name = names[kind].trim();
+    if (!name) return;
+    const existing = library[kind].find((e) => e.name === name);
+    const entry = { id: existing?.id || newId(), name, saved: new Date().toISOString(), ...current[kind] };
+    setEntries(kind, (es) => (existing ? es.map((e) => (e.id === existing.id ? entry : e)) : [...es, entry]));
+    setNames({ ...names, [kind]: "" });
+  };
+  const duplicate = (kind, entry) =>
+    setEntries(kind, (es) => [...es, { ...entry, id: newId(), name: `${entry.name} (copy)`, saved: new Date().toISOString() }]);
+  const remove = (kind, entry) => {
+    if (window.confirm(`Delete "${entry.name}"?`)) setEntries(kind, (es) => es.filter((e) => e.id !== entry.id));
+  };
+
+  const exportFile = () => {
+    const blob = new Blob([JSON.stringify(exportSetupFile(library), null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `quintet-setup-${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    const { library: incoming, errors } = parseSetupFile(await file.text());
+    const count = Object.values(incoming).reduce((t, es) => t + es.length, 0);
+    if (count) setLibrary((lib) => mergeLibraries(lib, incoming));
+    setMessage({ text: `Imported ${count} entries from ${file.name}.`, errors });
+  };
+  const importRoster = (side) => {
+    onImportRoster(side, parsedCsv.team);
+    setCsv("");
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+      <div className="flex flex-wrap items-baseline justify-between gap-2">
+        <h3 className="font-semibold">Saved setups</h3>
+        <div className="flex gap-2 text-sm">
+          <button className="rounded-xl border px-3 py-1 bg-gray-100" onClick={exportFile}>Export library</button>
+          <label className="rounded-xl border px-3 py-1 bg-gray-100 cursor-pointer">Import library
+            <input type="file" accept=".json,application/json" className="hidden" onChange={importFile} />
+          </label>
+        </div>
+      </div>
+      {message && (
+        <div className="text-sm">
+          {message.text}
+          {message.errors.map((e, k) => <div key={k} className="text-red-700">{e}</div>)}
+        </div>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        {LIBRARY_SECTIONS.map(({ kind, title, describe }) => (
+          <div key={kind} className="border rounded-xl p-3 space-y-2">
+            <div className="font-medium">{title}</div>
+            <div className="flex gap-1">
+              <input className="flex-1 border rounded-md p-1 text-sm" placeholder="Name" value={names[kind]} onChange={(e) => setNames({ ...names, [kind]: e.target.value })} />
+              <button className="rounded-md border px-2 text-sm bg-gray-100 disabled:opacity-50" disabled={!names[kind].trim()} onClick={() => save(kind)}>Save current</button>
+            </div>
+            {library[kind].length === 0 && <div className="text-xs text-gray-500">Nothing saved yet.</div>}
+            {library[kind].map((e) => (
+              <div key={e.id} className="text-sm border-t pt-1">
+                <div className="font-medium">{e.name}</div>
+                <div className="text-xs text-gray-500">{describe(e)}{e.saved ? ` · ${e.saved.slice(0, 10)}` : ""}</div>
+                <div className="flex gap-2 text-xs">
+                  <button className="text-blue-700" onClick={() => onLoad(kind, e)}>load</button>
+                  <button className="text-blue-700" onClick={() => duplicate(kind, e)}>duplicate</button>
+                  <button className="text-red-700" onClick={() => remove(kind, e)}>delete</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+      <details>
+        <summary className="cursor-pointer text-sm font-medium">Paste a roster (CSV)</summary>
+        <div className="space-y-2 mt-2">
+          <div className="text-xs text-gray-500">
+            Comma-, semicolon- or tab-separated with a header row: <code>name,{attributeKeys.join(",")}</code>, optionally <code>rating</code>, <code>stamina</code>, <code>maxBouts</code> and <code>&lt;column&gt;_min</code>/<code>_max</code> scouting ranges.
+          </div>
+          <textarea className="w-full h-28 border rounded-xl p-2 font-mono text-xs" value={csv} onChange={(e) => setCsv(e.target.value)} placeholder={`name,${attributeKeys.join(",")}\nJP,${attributeKeys.map(() => 7).join(",")}`} />
+          <div className="text-sm">
+            {parsedCsv.team.length} athletes parsed.
+            {parsedCsv.missing.length > 0 && parsedCsv.team.length > 0 && <span className="text-gray-600"> No column for {parsedCsv.missing.join(", ")}: defaults apply.</span>}
+            {parsedCsv.errors.map((e, k) => <div key={k} className="text-red-700">{e}</div>)}
+          </div>
+          <div className="flex gap-2 text-sm">
+            <button className="rounded-xl border px-3 py-1 bg-gray-100 disabled:opacity-50" disabled={!parsedCsv.team.length} onClick={() => importRoster("our")}>Replace our roster</button>
+            <button className="rounded-xl border px-3 py-1 bg-gray-100 disabled:opacity-50" disabled={!parsedCsv.team.length} onClick={() => importRoster("opp")}>Replace opponent roster</button>
+          </div>
+        </div>
+      </details>
+    </div>
+  );
+}
+
+/**
+ * SquadPanel — team size and weight cap, the fielded squad's legality, and a
+ * search in the optimizer worker over every legal squad (each optimized under
+ * the current mode). search holds the rest of the "squads" job: opponent,
+ * model, mode, ranking, roster constraints and samples.
+ */
+function SquadPanel({ pool, squad, setSquad, squadRules, setSquadRules, search, objShort }) {
+  const [job, setJob] = useState(null);
+  const run = useOptimizer(job);
+  const legalCount = useMemo(() => legalSquads(pool, squadRules).length, [pool, squadRules]);
+  const problems = squadProblems(pool, squad, squadRules);
+  // Results go stale (and indices may dangle) once the roster or rules change
+  const rows = run.squads && run.job.pool === pool && run.job.squadRules === squadRules ? run.squads : null;
+  useEffect(() => {
+    if (rows?.length) setSquad(rows[0].squad);
+  }, [run.squads]);
+  const names = (idxs) => idxs.map((i) => pool[i].name).join(" → ");
+  const fmtPct = (p) => `${(p * 100).toFixed(1)}%`;
+
+  const start = () => setJob({ task: "squads", pool, squadRules, ...search });
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+      <h3 className="font-semibold">Squad selection</h3>
+      <div className="flex flex-wrap items-end gap-3 text-sm">
+        <label>Team size
+          <input type="number" min={1} max={pool.length} className="block w-20 border rounded-md p-1 mt-1" value={squadRules.teamSize} onChange={(e) => setSquadRules({ ...squadRules, teamSize: Math.max(1, Math.round(parseFloat(e.target.value)) || 1) })} />
+        </label>
+        <label>Team weight cap (kg, 0 = none)
+          <input type="number" min={0} className="block w-28 border rounded-md p-1 mt-1" value={squadRules.weightCap} onChange={(e) => setSquadRules({ ...squadRules, weightCap: Math.max(0, parseFloat(e.target.value) || 0) })} />
+        </label>
+        <button className="rounded-xl border px-3 py-2 bg-gray-100 disabled:opacity-50" disabled={!legalCount} onClick={start}>
+          Find best squads ({legalCount} legal)
+        </button>
+      </div>
+      <OptimizerStatus progress={job && run.progress} stale={!!job && !run.done} error={run.error} onCancel={run.cancel} onRerun={start} />
+      {problems.length > 0 ? (
+        <div className="text-sm text-red-700">Fielded squad is not legal: {problems.join("; ")}. Results below are for the athletes as fielded.</div>
+      ) : (
+        <div className="text-sm text-gray-600">Fielded squad is legal.</div>
+      )}
+      {!legalCount && <div className="text-sm text-red-700">No squad of {squadRules.teamSize} from this roster fits under the cap.</div>}
+      {rows && (
+        <div className="overflow-auto">
+          <table className="border-collapse text-sm">
+            <thead>
+              <tr>
+                <th className="border p-1">#</th>
+                <th className="border p-1 text-left">Best order</th>
+                <th className="border p-1">Weight</th>
+                <th className="border p-1">EV net wins</th>
+                <th className="border p-1">P(team win)</th>
+                <th className="border p-1" />
+              </tr>
+            </thead>
+            <tbody>
+              {rows.slice(0, 10).map((row, k) => (
+                <tr key={row.squad.join(",")} className={row.squad.join(",") === squad.join(",") ? "bg-blue-50" : ""}>
+                  <td className="border p-1 text-center">{k + 1}</td>
+                  <td className="border p-1">{names(row.order)}</td>
+                  <td className="border p-1 text-right">{row.weight.toFixed(1)} kg</td>
+                  <td className="border p-1 text-right">{row.ev.toFixed(3)}</td>
+                  <td className="border p-1 text-right">{fmtPct(row.pWin)}</td>
+                  <td className="border p-1"><button className="text-blue-700" onClick={() => setSquad(row.squad)}>field</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="text-xs text-gray-500 mt-1">Squads ranked by {objShort} of their best order under the current opponent-order assumption.</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ScoutingPriorEditor({ opp, prior, setPrior, priorDist }) {
+  const n = opp.length;
+  const setCell = (a, s, raw) => {
+    const slotPct = prior.slotPct.map((row) => row.slice());
+    const v = parseFloat(raw);
+    slotPct[a][s] = raw === "" || !Number.isFinite(v) ? null : clamp(v, 0, 100);
+    setPrior({ ...prior, slotPct });
+  };
+  const setPin = (a, slot) => {
+    const pinned = prior.pinned.slice();
+    pinned[a] = slot;
+    setPrior({ ...prior, pinned });
+  };
+  const setCandidate = (c, patch) => {
+    const candidates = prior.candidates.slice();
+    candidates[c] = { ...candidates[c], ...patch };
+    setPrior({ ...prior, candidates });
+  };
+  const setCandidateSlot = (c, s, athlete) => {
+    const order = prior.candidates[c].order.slice();
+    order[s] = athlete;
+    setCandidate(c, { order });
+  };
+  const addCandidate = () => setPrior({ ...prior, candidates: [...prior.candidates, { order: opp.map((_, i) => i), weight: 1 }] });
+  const removeCandidate = (c) => setPrior({ ...prior, candidates: prior.candidates.filter((_, k) => k !== c) });
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 space-y-4">
+      <h3 className="font-semibold">Scouting prior over opponent orders</h3>
+      <div className="text-xs text-gray-500">
+        Enter the % of matches each athlete fights in each slot (blank = unknown, 0 = never). Unknown cells are filled in as evenly as the known ones allow. Pins are hard constraints.
+      </div>
+      <div className="overflow-auto">
+        <table className="border-collapse text-sm">
+          <thead>
+            <tr>
+              <th className="border p-2">Athlete</th>
+              {opp.map((_, s) => <th key={s} className="border p-2">Slot {s + 1} %</th>)}
+              <th className="border p-2">Pin</th>
+            </tr>
+          </thead>
+          <tbody>
+            {opp.map((p, a) => (
+              <tr key={a}>
+                <th className="border p-2 text-left">{p.name}</th>
+                {opp.map((_, s) => (
+                  <td key={s} className="border p-1">
+                    <input
+                      type="number" min={0} max={100} step={5} placeholder="?"
+                      className="w-16 border rounded-md p-1"
+                      value={prior.slotPct[a]?.[s] ?? ""}
+                      onChange={(e) => setCell(a, s, e.target.value)}
+                    />
+                  </td>
+                ))}
+                <td className="border p-1">
+                  <select className="border rounded-md p-1" value={prior.pinned[a] ?? -1} onChange={(e) => setPin(a, parseInt(e.target.value, 10))}>
+                    <option value={-1}>—</option>
+                    {opp.map((_, s) => <option key={s} value={s}>Slot {s + 1}</option>)}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-baseline justify-between">
+          <div className="font-medium">Hand-weighted candidate orders</div>
+          <button className="rounded-xl border px-3 py-1 bg-gray-100 text-sm" onClick={addCandidate}>Add candidate</button>
+        </div>
+        {prior.candidates.map((cand, c) => (
+          <div key={c} className="flex flex-wrap items-center gap-2 text-sm">
+            {cand.order.map((athlete, s) => (
+              <select key={s} className="border rounded-md p-1" value={athlete} onChange={(e) => setCandidateSlot(c, s, parseInt(e.target.value, 10))}>
+                {opp.map((p, i) => <option key={i} value={i}>{p.name}</option>)}
+              </select>
+            ))}
+            <label>weight
+              <input type="number" min={0} step={0.5} className="w-16 border rounded-md p-1 ml-1" value={cand.weight} onChange={(e) => setCandidate(c, { weight: parseFloat(e.target.value) || 0 })} />
+            </label>
+            {new Set(cand.order).size !== n && <span className="text-red-700">repeats an athlete — ignored</span>}
+            <button className="text-red-700" onClick={() => removeCandidate(c)}>remove</button>
+          </div>
+        ))}
+        {prior.candidates.length > 0 && (
+          <TextInput label="Share of belief in the candidate list" value={prior.candidateShare} onChange={(v) => setPrior({ ...prior, candidateShare: clamp(v) })} step={0.05} min={0} max={1} help="The rest follows the per-slot table above" />
+        )}
+      </div>
+
+      <div>
+        <div className="font-medium mb-1">Most likely opponent orders ({priorDist.orders.length} possible)</div>
+        {priorDist.orders.length === 0 && <div className="text-sm text-red-700">The pins and 0% cells rule out every order; the prior is ignored.</div>}
+        {priorDist.residual > 0.005 && <div className="text-sm text-amber-700">Scouted percentages are inconsistent; closest fit is off by up to {(priorDist.residual * 100).toFixed(1)} pp.</div>}
+        <table className="border-collapse text-sm">
+          <tbody>
+            {priorDist.orders.slice(0, 8).map((row, k) => (
+              <tr key={k}>
+                <td className="border p-2 text-right w-20">{(row.p * 100).toFixed(1)}%</td>
+                <td className="border p-2">{row.order.map((idx) => opp[idx].name).join(" → ")}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function FactorEditor({ factors, setFactors }) {
+  const [label, setLabel] = useState("");
+  const [min, setMin] = useState(1);
+  const [max, setMax] = useState(10);
+  const key = label.trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+  const taken = !key || factors.some((f) => f.key === key) || RESERVED_ATHLETE_KEYS.includes(key);
+
+  const update = (k, patch) => setFactors(factors.map((f) => (f.key === k ? { ...f, ...patch } : f)));
+  const add = () => {
+    const lo = Math.min(min, max);
+    const hi = Math.max(min, max);
+    setFactors([...factors, {
+      key, label: label.trim(), symbol: key, min: lo, max: hi, step: 1, default: (lo + hi) / 2,
+      gamma: 0.5, alpha: 1.0, fatigue: 0, builtin: false,
+    }]);
+    setLabel("");
+  };
+
+  return (
+    <div className="border rounded-xl p-3 mb-3 space-y-2 text-sm">
+      <div className="font-medium">Athlete attributes (factors in S)</div>
+      {factors.map((f) => (
+        <div key={f.key} className="flex items-center gap-2">
+          <span className="flex-1">{attributeLabel(f)}</span>
+          <label className="flex items-center gap-1" title="Share of the athlete's fatigue loss this attribute takes (0 = unaffected, 1 = full)">
+            fatigue
+            <input type="number" className="w-16 border rounded-md p-1" step={0.1} min={0} max={1} value={fatigueWeight(f)} onChange={(e) => update(f.key, { fatigue: clamp(parseFloat(e.target.value) || 0, 0, 1) })} />
+          </label>
+          {!f.builtin && <button className="text-red-700" onClick={() => setFactors(factors.filter((g) => g.key !== f.key))}>remove</button>}
+        </div>
+      ))}
+      <div className="flex flex-wrap items-end gap-2 pt-1">
+        <label>New attribute
+          <input className="block w-36 border rounded-md p-1 mt-1" value={label} onChange={(e) => setLabel(e.target.value)} placeholder="e.g. Leg locks" />
+        </label>
+        <label>Min
+          <input type="number" className="block w-14 border rounded-md p-1 mt-1" value={min} onChange={(e) => setMin(parseFloat(e.target.value) || 0)} />
+        </label>
+        <label>Max
+          <input type="number" className="block w-14 border rounded-md p-1 mt-1" value={max} onChange={(e) => setMax(parseFloat(e.target.value) || 0)} />
+        </label>
+        <button className="rounded-xl border px-3 py-1 bg-gray-100 disabled:opacity-50" disabled={taken} onClick={add}>Add</button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * FatigueEditor — curve choice, the custom per-bout multipliers, and a plot of
+ * every fatigue-prone attribute's multiplier (plus the draw shift) by bout in
+ * the run, for average stamina and for the stamina extremes on the rosters.
+ */
+function FatigueEditor({ params, setParams, staminas = [] }) {
+  // What is being typed, kept only while params still hold the curve it was typed against
+  const [draft, setDraft] = useState(null);
+  const customText = draft && draft.curve === params.fatigueCustom ? draft.text : (params.fatigueCustom || []).join(", ");
+  const bouts = [1, 2, 3, 4, 5, 6];
+  const lo = Math.min(DEFAULT_STAMINA, ...staminas);
+  const hi = Math.max(DEFAULT_STAMINA, ...staminas);
+  const fatigued = params.factors.filter((f) => fatigueWeight(f) > 0);
+  const colors = ["#2563eb", "#dc2626", "#16a34a", "#9333ea", "#ea580c"];
+  const series = [
+    ...fatigued.map((f, k) => ({ label: f.label, color: colors[k % colors.length], value: (n, st) => 1 - fatigueWeight(f) * fatigueLoss(n, params, st) })),
+    ...(params.fatigueDrawEffect ? [{ label: "P(draw) shift (vs fresh)", color: "#6b7280", value: (n, st) => params.fatigueDrawEffect * fatigueLoss(n, params, st) }] : []),
+  ];
+  const W = 260, H = 120, pad = 24;
+  const values = series.flatMap((sr) => bouts.flatMap((n) => [sr.value(n, lo), sr.value(n, hi)]));
+  const yMin = Math.min(0, ...values), yMax = Math.max(1, ...values);
+  const x = (n) => pad + ((n - 1) / (bouts.length - 1)) * (W - pad - 4);
+  const y = (v) => H - pad + 4 - ((v - yMin) / (yMax - yMin || 1)) * (H - pad);
+  const path = (sr, st) => bouts.map((n, k) => `${k ? "L" : "M"}${x(n).toFixed(1)},${y(sr.value(n, st)).toFixed(1)}`).join(" ");
+
+  const applyCustom = (text) => {
+    const nums = text.split(/[,\s]+/).filter(Boolean).map(Number);
+    const valid = nums.length && nums.every((v) => Number.isFinite(v) && v >= 0 && v <= 1);
+    setDraft({ text, curve: valid ? nums : params.fatigueCustom });
+    if (valid) setParams((p) => ({ ...p, fatigueCustom: nums }));
+  };
+
+  return (
+    <div className="border rounded-xl p-3 mb-3 space-y-2 text-sm">
+      <div className="font-medium">Fatigue</div>
+      <label className="block">Curve
+        <select className="mt-1 w-full border rounded-xl p-2" value={params.fatigueCurve} onChange={(e) => setParams((p) => ({ ...p, fatigueCurve: e.target.value }))}>
+          {Object.entries(FATIGUE_CURVES).map(([k, c]) => <option key={k} value={k}>{c.label}</option>)}
+        </select>
+      </label>
+      {params.fatigueCurve === "custom" && (
+        <label className="block">Multiplier for bout 1, 2, 3, … (last value repeats)
+          <input className="block w-full border rounded-md p-1 mt-1 font-mono" value={customText} onChange={(e) => applyCustom(e.target.value)} />
+        </label>
+      )}
+      <svg width={W} height={H} className="block">
+        <line x1={pad} y1={y(yMin)} x2={W - 4} y2={y(yMin)} stroke="#d1d5db" />
+        <line x1={pad} y1={y(yMax)} x2={pad} y2={y(yMin)} stroke="#d1d5db" />
+        {yMin < 0 && <line x1={pad} y1={y(0)} x2={W - 4} y2={y(0)} stroke="#e5e7eb" strokeDasharray="2 2" />}
+        <text x={2} y={y(yMax) + 8} fontSize="9" fill="#6b7280">{yMax.toFixed(1)}</text>
+        <text x={2} y={y(yMin)} fontSize="9" fill="#6b7280">{yMin.toFixed(1)}</text>
+        {bouts.map((n) => <text key={n} x={x(n) - 3} y={H - 4} fontSize="9" fill="#6b7280">{n}</text>)}
+        {series.map((sr) => (
+          <g key={sr.label}>
+            {lo < DEFAULT_STAMINA && <path d={path(sr, lo)} fill="none" stroke={sr.color} strokeOpacity="0.4" strokeDasharray="3 2" />}
+            {hi > DEFAULT_STAMINA && <path d={path(sr, hi)} fill="none" stroke={sr.color} strokeOpacity="0.4" strokeDasharray="1 2" />}
+            <path d={path(sr, DEFAULT_STAMINA)} fill="none" stroke={sr.color} strokeWidth="2" />
+          </g>
+        ))}
+      </svg>
+      <div className="text-xs text-gray-500">
+        Bout in the run (x) vs attribute multiplier (y).{" "}
+        {series.map((sr) => <span key={sr.label} className="mr-2" style={{ color: sr.color }}>■ {sr.label}</span>)}
+        <br />Solid: stamina {DEFAULT_STAMINA}.{lo < DEFAULT_STAMINA && ` Dashed: stamina ${lo}.`}{hi > DEFAULT_STAMINA && ` Dotted: stamina ${hi}.`}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * BenchmarkPanel — runs runSearchBenchmark in the optimizer worker on demand
+ * (brute force on the current teams takes seconds).
+ */
+function BenchmarkPanel({ ourTeam, oppTeam, params, ranking, oppOrders }) {
+  const [job, setJob] = useState(null);
+  const run = useOptimizer(job);
+  const rows = run.benchmark;
+  const start = () => setJob({ task: "benchmark", our: ourTeam, opp: oppTeam, params, ranking, oppOrders });
+  const ms = (v) => (v == null ? "—" : v < 10 ? `${v.toFixed(1)} ms` : `${Math.round(v)} ms`);
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold">Search benchmark: engine vs brute force</h3>
+        <button className="rounded-xl border px-3 py-2 bg-gray-100" onClick={start}>Run benchmark</button>
+      </div>
+      <OptimizerStatus progress={job && run.progress} stale={!!job && !run.done} error={run.error} onCancel={run.cancel} onRerun={start} />
+      {rows && (
+        <div className="overflow-auto">
+          <table className="border-collapse text-sm">
+            <thead>
+              <tr>
+                <th className="border p-1 text-left">Case</th>
+                <th className="border p-1">Engine</th>
+                <th className="border p-1">Brute force</th>
+                <th className="border p-1">Speed-up</th>
+                <th className="border p-1">Same optimum</th>
+                <th className="border p-1">Orders completed / pruned</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.label}>
+                  <td className="border p-1">{r.label}</td>
+                  <td className="border p-1 text-right">{ms(r.engineMs)}</td>
+                  <td className="border p-1 text-right">{r.bruteMs == null ? `skipped (${r.dps.toLocaleString()} DPs)` : ms(r.bruteMs)}</td>
+                  <td className="border p-1 text-right">{r.bruteMs == null ? "—" : `${(r.bruteMs / Math.max(r.engineMs, 0.01)).toFixed(1)}×`}</td>
+                  <td className={`border p-1 text-center ${r.same === false ? "text-red-700" : "text-green-700"}`}>{r.same == null ? "—" : r.same ? "✔" : "✘"}</td>
+                  <td className="border p-1 text-right">{r.stats ? `${r.stats.leaves} / ${r.stats.pruned}` : "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="text-xs text-gray-500 mt-1">
+            Brute force runs one full DP per order pairing and is skipped above {BRUTE_FORCE_DP_LIMIT.toLocaleString()} DPs. Synthetic teams cycle the current rosters with ±15% jitter.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * ConstraintEditor — the coach's lineup constraints on our roster (pins,
+ * forbidden slots, before / not-adjacent relations, bout caps), each with
+ * what it costs on its own against the unconstrained best. costs is
+ * { free, each, all } of { score, ev } entries, each indexed like
+ * constraints (null: that constraint allows no order), or null while unknown.
+ */
+function ConstraintEditor({ pool, squad, constraints, setConstraints, costs, legalCount, objShort }) {
+  const n = squad.length;
+  const [draft, setDraft] = useState({ type: "pin", a: squad[0] ?? 0, b: squad[1] ?? 0, slot: 0, bouts: 2 });
+  const { needs } = CONSTRAINT_TYPES[draft.type];
+  const set = (key) => (e) => setDraft({ ...draft, [key]: key === "type" ? e.target.value : parseInt(e.target.value, 10) || 0 });
+  const slotName = (s) => `${s + 1}${s === 0 ? " (opener)" : s === n - 1 ? " (anchor)" : ""}`;
+  const add = () => {
+    const { type, a } = draft;
+    const c = needs === "slot" ? { type, a, slot: Math.min(draft.slot, n - 1) } : needs === "athlete" ? { type, a, b: draft.b } : { type, a, bouts: Math.max(1, draft.bouts) };
+    setConstraints([...constraints, c]);
+  };
+  const signed = (v) => (v > 0 ? `+${v.toFixed(3)}` : v.toFixed(3));
+  const costCells = (entry) => {
+    if (!costs) return <td colSpan={3} className="border p-1 text-center text-gray-500">…</td>;
+    if (!entry) return <td colSpan={3} className="border p-1 text-center text-red-700">allows no order</td>;
+    return (
+      <>
+        <td className="border p-1 text-right">{entry.score.toFixed(3)}</td>
+        <td className="border p-1 text-right">{signed(costs.free.score - entry.score)}</td>
+        <td className="border p-1 text-right">{signed(costs.free.ev - entry.ev)}</td>
+      </>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+      <h3 className="font-semibold">Lineup constraints</h3>
+      {constraints.length > 0 && (
+        <div className="overflow-auto">
+          <table className="border-collapse text-sm">
+            <thead>
+              <tr>
+                <th className="border p-1 text-left">Constraint</th>
+                <th className="border p-1">Best alone ({objShort})</th>
+                <th className="border p-1">Cost</th>
+                <th className="border p-1">EV cost</th>
+                <th className="border p-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {constraints.map((c, k) => {
+                const fielded = squad.includes(c.a) && (c.b === undefined || squad.includes(c.b));
+                return (
+                  <tr key={k}>
+                    <td className="border p-1">{describeConstraint(c, pool)}</td>
+                    {fielded ? costCells(costs?.each[k]) : <td colSpan={3} className="border p-1 text-center text-gray-500">inactive: not fielded</td>}
+                    <td className="border p-1"><button className="text-red-700" onClick={() => setConstraints(constraints.filter((_, i) => i !== k))}>remove</button></td>
+                  </tr>
+                );
+              })}
+              {constraints.length > 1 && (
+                <tr className="font-medium">
+                  <td className="border p-1">All together</td>
+                  {costCells(costs?.all)}
+                  <td className="border p-1"></td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <select className="border rounded-md p-1" value={draft.a} onChange={set("a")}>
+          {pool.map((p, i) => <option key={i} value={i}>{p.name}</option>)}
+        </select>
+        <select className="border rounded-md p-1" value={draft.type} onChange={set("type")}>
+          {Object.entries(CONSTRAINT_TYPES).map(([k, t]) => <option key={k} value={k}>{t.label}</option>)}
+        </select>
+        {needs === "slot" && (
+          <select className="border rounded-md p-1" value={draft.slot} onChange={set("slot")}>
+            {squad.map((_, s) => <option key={s} value={s}>{slotName(s)}</option>)}
+          </select>
+        )}
+        {needs === "athlete" && (
+          <select className="border rounded-md p-1" value={draft.b} onChange={set("b")}>
+            {pool.map((p, i) => <option key={i} value={i}>{p.name}</option>)}
+          </select>
+        )}
+        {needs === "bouts" && (
+          <input type="number" min={1} step={1} className="w-16 border rounded-md p-1" value={draft.bouts} onChange={set("bouts")} />
+        )}
+        <button className="rounded-xl border px-3 py-1 bg-gray-100 disabled:opacity-50" disabled={needs === "athlete" && draft.a === draft.b} onClick={add}>Add</button>
+      </div>
+      <div className={`text-xs ${legalCount === 0 ? "text-red-700" : "text-gray-500"}`}>
+        {legalCount} of {factorial(n)} orders meet the slot constraints. Cost is the drop in {objShort} (and in EV net wins) from the unconstrained best when only that constraint applies; constraints on athletes who are not fielded are ignored.
+      </div>
+    </div>
+  );
+}
+
+/**
+ * OptimizerStatus — progress of the worker search with a cancel button. Once
+ * nothing is running, flags results that are cancelled, failed or computed
+ * for earlier inputs, with a button to run the search again.
+ */
+function OptimizerStatus({ progress, stale, error, onCancel, onRerun }) {
+  if (progress) {
+    const overall = (progress.step + progress.fraction) / progress.steps;
+    return (
+      <div className="rounded-xl border p-2 text-sm space-y-1">
+        <div className="flex items-center justify-between gap-2">
+          <span className="text-gray-700">
+            Computing… {progress.label}{progress.steps > 1 ? ` (step ${Math.min(progress.step + 1, progress.steps)} of ${progress.steps})` : ""}
+          </span>
+          <button className="rounded-xl border px-2 py-1 bg-gray-100" onClick={onCancel}>Cancel</button>
+        </div>
+        <div className="bg-gray-100 h-2 rounded">
+          <div className="bg-gray-700 h-2 rounded" style={{ width: `${Math.round(100 * overall)}%` }} />
+        </div>
+      </div>
+    );
   }
-  return res;
+  if (!error && !stale) return null;
+  return (
+    <div className="rounded-xl border p-2 text-sm flex items-center justify-between gap-2">
+      <span className={error ? "text-red-700" : "text-amber-700"}>
+        {error ? `Optimization failed: ${error}` : "Search cancelled: results are incomplete or for earlier inputs."}
+      </span>
+      <button className="rounded-xl border px-2 py-1 bg-gray-100" onClick={onRerun}>Run again</button>
+    </div>
+  );
+}
+
+/**
+ * UncertaintyPanel — the opponent's scouting ranges, how many sampled teams
+ * the searches average over, and how often the recommended order is also
+ * the best one for a single sampled team (stability from orderStability,
+ * null until the worker reports it; the recommended order is in bold).
+ */
+function UncertaintyPanel({ opp, our, fields, count, setCount, stability, recommended, objShort, computing }) {
+  const ranged = opp.map((p) => ({ name: p.name, ranges: attributeRanges(p) })).filter((r) => r.ranges.length);
+  const label = (key) => fields.find((f) => f.key === key)?.label ?? key;
+  const names = (order) => order.map((i) => our[i]?.name).join(" → ");
+  const fmtPct = (p) => `${(p * 100).toFixed(0)}%`;
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 space-y-2">
+      <h3 className="font-semibold">Scouting uncertainty</h3>
+      {!ranged.length ? (
+        <div className="text-sm text-gray-600">Every opponent stat is exact. Give a min and/or max under any opponent stat to rank orders over that range instead.</div>
+      ) : (
+        <>
+          <ul className="text-sm list-disc pl-5">
+            {ranged.map((r) => (
+              <li key={r.name}>{r.name}: {r.ranges.map((x) => `${label(x.key)} ${x.min}–${x.max} (likely ${x.likely})`).join(", ")}</li>
+            ))}
+          </ul>
+          <label className="text-sm flex items-center gap-2">Sampled opponent teams
+            <input type="number" min={2} max={100} className="w-20 border rounded-md p-1" value={count} onChange={(e) => setCount(Math.max(2, Math.min(100, Math.round(parseFloat(e.target.value)) || DEFAULT_UNCERTAINTY_SAMPLES)))} />
+          </label>
+          <div className="text-xs text-gray-500">
+            Each ranged stat is drawn from a triangular distribution peaking at the likely value, and every order is ranked on its average over the sampled teams. More samples are smoother but slower.
+          </div>
+          {stability && (
+            <div className={`text-sm space-y-1 ${computing ? "opacity-60" : ""}`}>
+              <div>
+                The recommended order is also the best order in <span className="font-semibold">{fmtPct(stability.agree)}</span> of {stability.count} sampled teams.
+                {stability.agree < 1 && ` Against the others it gives up ${stability.meanRegret.toFixed(3)} ${objShort} on average, at most ${stability.maxRegret.toFixed(3)}.`}
+              </div>
+              <div className="text-gray-600">Best order per sampled team:</div>
+              <ul className="list-disc pl-5">
+                {stability.winners.slice(0, 5).map((w) => (
+                  <li key={w.order.join(",")} className={w.order.join(",") === recommended?.join(",") ? "font-semibold" : ""}>{fmtPct(w.share)}: {names(w.order)}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+/**
+ * SensitivityPanel — sweeps the model parameters (and optionally every
+ * athlete stat) around their current values in the optimizer worker, on
+ * demand. Shows a tornado of how far the best order's EV moves per input,
+ * the values where the winning order switches, and the share of the joint
+ * parameter space in which the current recommendation still wins.
+ */
+function SensitivityPanel({ our, opp, params, ranking, mode, constraints }) {
+  const [options, setOptions] = useState(() => ({ ...DEFAULT_SENSITIVITY, mode: mode === "robust" ? "robust" : "exploit" }));
+  const [job, setJob] = useState(null);
+  const run = useOptimizer(job);
+  const result = run.sensitivity;
+  const shown = run.job;
+  const changed = !!shown && (shown.our !== our || shown.opp !== opp || shown.params !== params || shown.constraints !== constraints || shown.ranking !== ranking);
+  const start = () => setJob({ task: "sensitivity", our, opp, params, ranking, constraints, options });
+  const set = (key) => (value) => setOptions((o) => ({ ...o, [key]: value }));
+  const names = (order) => order.map((i) => shown.our[i].name).join(" → ");
+  const fmt = (x) => (Math.abs(x) >= 100 ? x.toFixed(0) : x.toFixed(2));
+
+  // Shared EV axis for the tornado bars
+  const dims = result?.dimensions || [];
+  const lo = Math.min(...dims.flatMap((d) => d.points.map((p) => p.ev)), result?.base?.ev ?? 0);
+  const hi = Math.max(...dims.flatMap((d) => d.points.map((p) => p.ev)), result?.base?.ev ?? 0);
+  const pct = (ev) => (100 * (ev - lo)) / (hi - lo || 1);
+  const breakpoints = dims.flatMap((d) => d.breakpoints.map((b) => ({ ...b, label: d.label })));
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+      <h3 className="font-semibold">Sensitivity analysis</h3>
+      <div className="flex flex-wrap items-end gap-3 text-sm">
+        <label>Search
+          <select className="block border rounded-md p-1 mt-1" value={options.mode} onChange={(e) => set("mode")(e.target.value)}>
+            <option value="exploit">Exploitative</option>
+            <option value="robust">Robust</option>
+          </select>
+        </label>
+        <label>Parameter range ±%
+          <input type="number" min={1} step={5} className="block w-20 border rounded-md p-1 mt-1" value={Math.round(options.paramSpread * 100)} onChange={(e) => set("paramSpread")(Math.max(0.01, (parseFloat(e.target.value) || 0) / 100))} />
+        </label>
+        <label className="flex items-center gap-1 mb-1">
+          <input type="checkbox" checked={options.stats} onChange={(e) => set("stats")(e.target.checked)} />
+          Athlete stats
+        </label>
+        {options.stats && (
+          <label>Stat range ±%
+            <input type="number" min={1} step={5} className="block w-20 border rounded-md p-1 mt-1" value={Math.round(options.statSpread * 100)} onChange={(e) => set("statSpread")(Math.max(0.01, (parseFloat(e.target.value) || 0) / 100))} />
+          </label>
+        )}
+        <label>Grid points
+          <input type="number" min={2} max={21} className="block w-20 border rounded-md p-1 mt-1" value={options.steps} onChange={(e) => set("steps")(Math.max(2, Math.min(21, Math.round(parseFloat(e.target.value)) || 2)))} />
+        </label>
+        <label>Joint draws
+          <input type="number" min={0} max={500} className="block w-20 border rounded-md p-1 mt-1" value={options.draws} onChange={(e) => set("draws")(Math.max(0, Math.min(500, Math.round(parseFloat(e.target.value)) || 0)))} />
+        </label>
+        <button className="rounded-xl border px-3 py-2 bg-gray-100" onClick={start}>Run sensitivity</button>
+      </div>
+      <OptimizerStatus progress={job && run.progress} stale={!!job && (!run.done || changed)} error={run.error} onCancel={run.cancel} onRerun={start} />
+      {result && !result.base && <div className="text-sm">No order meets the lineup constraints.</div>}
+      {result?.base && (
+        <div className="space-y-3">
+          <div className="text-sm">
+            Recommendation <span className="font-medium">{names(result.base.order)}</span> ({shown.options.mode}, EV {result.base.ev.toFixed(3)})
+            {result.draws > 0 && <> holds in <span className="font-semibold">{(result.holds * 100).toFixed(0)}%</span> of the parameter space ({result.draws} joint draws).</>}
+          </div>
+          <div className="overflow-auto">
+            <table className="border-collapse text-sm w-full">
+              <thead>
+                <tr>
+                  <th className="border p-1 text-left">Input (range)</th>
+                  <th className="border p-1 w-1/2">Best order's EV over the range</th>
+                  <th className="border p-1">EV at low → high end</th>
+                </tr>
+              </thead>
+              <tbody>
+                {dims.map((d) => {
+                  const evs = d.points.map((p) => p.ev);
+                  return (
+                    <tr key={d.id}>
+                      <td className="border p-1">{d.label} ({fmt(d.lo)}–{fmt(d.hi)})</td>
+                      <td className="border p-1">
+                        <div className="relative h-4 bg-gray-100 rounded">
+                          <div
+                            className={`absolute h-4 rounded ${d.breakpoints.length ? "bg-amber-500" : "bg-gray-700"}`}
+                            style={{ left: `${pct(Math.min(...evs))}%`, width: `${Math.max(0.5, pct(Math.max(...evs)) - pct(Math.min(...evs)))}%` }}
+                          />
+                          <div className="absolute h-4 w-px bg-red-600" style={{ left: `${pct(result.base.ev)}%` }} />
+                        </div>
+                      </td>
+                      <td className="border p-1 text-right whitespace-nowrap">{d.evLo.toFixed(3)} → {d.evHi.toFixed(3)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <div className="text-xs text-gray-500 mt-1">Red line: current EV. Amber bars: the winning order changes somewhere in the range.</div>
+          </div>
+          {breakpoints.length > 0 ? (
+            <div className="overflow-auto">
+              <div className="font-medium text-sm mb-1">Breakpoints</div>
+              <table className="border-collapse text-sm">
+                <thead>
+                  <tr>
+                    <th className="border p-1 text-left">Input</th>
+                    <th className="border p-1">Switches near</th>
+                    <th className="border p-1 text-left">From</th>
+                    <th className="border p-1 text-left">To</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {breakpoints.map((b, k) => (
+                    <tr key={k}>
+                      <td className="border p-1">{b.label}</td>
+                      <td className="border p-1 text-right">{fmt(b.at)}</td>
+                      <td className="border p-1">{names(b.from)}</td>
+                      <td className="border p-1">{names(b.to)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="text-sm text-gray-600">The winning order does not change anywhere along a single input's range.</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * RulesetEditor — preset picker plus every DEFAULT_RULES knob. The preset
+ * select shows "Custom" as soon as the rules differ from every preset.
+ */
+/**
+ * EventPanel — a day of team matches. Add the opponents in draw order (the
+ * current opponent or saved scouting profiles), choose bracket or round robin
+ * and how much fatigue carries over, hold athletes back from early rounds,
+ * then plan: a lineup per round and possible opponent, the chance of reaching
+ * and winning each round, and of winning the event.
+ */
+function EventPanel({ event, setEvent, pool, oppTeam, profiles, params, ranking, squadRules, constraints }) {
+  const [pick, setPick] = useState("current");
+  const [job, setJob] = useState(null);
+  const run = useOptimizer(job);
+  const plan = run.event;
+  const shown = run.job;
+  const changed = !!shown && (shown.pool !== pool || shown.event !== event || shown.params !== params || shown.squadRules !== squadRules || shown.constraints !== constraints || shown.ranking !== ranking);
+  const start = () => setJob({ task: "event", pool, event, params, ranking, squadRules, constraints });
+  const set = (key) => (value) => setEvent((e) => ({ ...e, [key]: value }));
+  const pct = (p) => `${(p * 100).toFixed(1)}%`;
+
+  const { opponents } = event;
+  const roundCount = event.format === "roundRobin" ? opponents.length : Math.ceil(Math.log2(opponents.length + 1));
+  const add = () => {
+    const profile = profiles.find((p) => p.id === pick);
+    const entry = profile ? { name: profile.name, team: profile.team } : { name: `Opponent ${opponents.length + 1}`, team: oppTeam };
+    set("opponents")([...opponents, { id: newId(), ...entry }]);
+  };
+  const updateOpponent = (k, patch) => set("opponents")(opponents.map((o, i) => (i === k ? { ...o, ...patch } : o)));
+  const move = (k, d) => {
+    const next = opponents.slice();
+    [next[k], next[k + d]] = [next[k + d], next[k]];
+    set("opponents")(next);
+  };
+  const toggleRest = (r, i) => {
+    const rest = Array.from({ length: roundCount }, (_, k) => event.rest[k] || []);
+    rest[r] = rest[r].includes(i) ? rest[r].filter((x) => x !== i) : [...rest[r], i];
+    set("rest")(rest);
+  };
+  const names = (order) => order.map((i) => shown.pool[i].name).join(" → ");
+  const opponentName = (k) => (k === null ? "bye" : shown.event.opponents[k].name);
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+      <h3 className="font-semibold">Event planner</h3>
+      <div className="flex flex-wrap items-end gap-3 text-sm">
+        <label>Format
+          <select className="block border rounded-md p-1 mt-1" value={event.format} onChange={(e) => set("format")(e.target.value)}>
+            <option value="bracket">Bracket (single elimination)</option>
+            <option value="roundRobin">Round robin</option>
+          </select>
+        </label>
+        <label>Fatigue carried over %
+          <input type="number" min={0} max={100} step={10} className="block w-20 border rounded-md p-1 mt-1" value={Math.round(event.carry * 100)} onChange={(e) => set("carry")(clamp((parseFloat(e.target.value) || 0) / 100))} />
+        </label>
+        <label>Search
+          <select className="block border rounded-md p-1 mt-1" value={event.mode} onChange={(e) => set("mode")(e.target.value)}>
+            <option value="exploit">Exploitative</option>
+            <option value="robust">Robust</option>
+          </select>
+        </label>
+      </div>
+      <div className="text-xs text-gray-500">
+        {event.format === "bracket"
+          ? "Opponents in draw order: we meet the first, the winner of the next two, and so on; byes fill the bracket. A tied match counts as half a win."
+          : "We meet the opponents in list order; a team-match win scores 2, a tie 1, and shared first place splits the title."}
+        {" "}Fatigue carried over is the share of the day's earlier bouts an athlete still feels.
+      </div>
+      <div className="space-y-1 text-sm">
+        {opponents.map((o, k) => (
+          <div key={o.id} className="flex items-center gap-2">
+            <span className="w-16 text-gray-500">{event.format === "roundRobin" ? `Round ${k + 1}` : `Draw ${k + 2}`}</span>
+            <input className="border rounded-md p-1" value={o.name} onChange={(e) => updateOpponent(k, { name: e.target.value })} />
+            <span className="text-gray-600">{o.team.length} athletes</span>
+            <button className="text-xs disabled:opacity-30" disabled={k === 0} onClick={() => move(k, -1)}>↑</button>
+            <button className="text-xs disabled:opacity-30" disabled={k === opponents.length - 1} onClick={() => move(k, 1)}>↓</button>
+            <button className="text-xs text-red-700" onClick={() => set("opponents")(opponents.filter((_, i) => i !== k))}>remove</button>
+          </div>
+        ))}
+        {opponents.length < MAX_EVENT_OPPONENTS && (
+          <div className="flex items-center gap-2">
+            <select className="border rounded-md p-1" value={pick} onChange={(e) => setPick(e.target.value)}>
+              <option value="current">Current opponent roster</option>
+              {profiles.map((p) => <option key={p.id} value={p.id}>{p.name} (saved)</option>)}
+            </select>
+            <button className="rounded-xl border px-3 py-1 bg-gray-100" onClick={add}>Add opponent</button>
+          </div>
+        )}
+      </div>
+      {roundCount > 1 && (
+        <div className="overflow-auto">
+          <div className="text-sm font-medium mb-1">Hold back</div>
+          <table className="border-collapse text-sm">
+            <thead>
+              <tr>
+                <th className="border p-1 text-left">Athlete</th>
+                {Array.from({ length: roundCount }, (_, r) => <th key={r} className="border p-1">Round {r + 1}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {pool.map((p, i) => (
+                <tr key={i}>
+                  <td className="border p-1">{p.name}</td>
+                  {Array.from({ length: roundCount }, (_, r) => (
+                    <td key={r} className="border p-1 text-center">
+                      <input type="checkbox" checked={!!event.rest[r]?.includes(i)} onChange={() => toggleRest(r, i)} />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <button className="rounded-xl border px-3 py-2 bg-gray-100 text-sm disabled:opacity-50" disabled={!opponents.length} onClick={start}>Plan event</button>
+      <OptimizerStatus progress={job && run.progress} stale={!!job && (!run.done || changed)} error={run.error} onCancel={run.cancel} onRerun={start} />
+      {plan && (
+        <div className="space-y-3">
+          <div className="text-lg">P(win the event) <span className="font-semibold">{pct(plan.pEvent)}</span></div>
+          {plan.points && (
+            <div className="text-sm">Our standings points: {plan.points.map((x) => `${x.points} (${pct(x.p)})`).join(", ")}</div>
+          )}
+          <div className="overflow-auto">
+            <table className="border-collapse text-sm w-full">
+              <thead>
+                <tr>
+                  <th className="border p-1">Round</th>
+                  <th className="border p-1">P(play)</th>
+                  <th className="border p-1">P(win | play)</th>
+                  <th className="border p-1 text-left">Opponent (chance) — our lineup — W/T/L</th>
+                </tr>
+              </thead>
+              <tbody>
+                {plan.rounds.map((r, k) => (
+                  <tr key={k}>
+                    <td className="border p-1 text-center">{k + 1}</td>
+                    <td className="border p-1 text-right">{pct(r.reach)}</td>
+                    <td className="border p-1 text-right">{pct(r.win)}</td>
+                    <td className="border p-1">
+                      {r.matchups.map((m, j) => (
+                        <div key={j}>
+                          {opponentName(m.opponent)}{m.meet < 1 ? ` (${pct(m.meet)})` : ""}
+                          {m.opponent !== null && (m.plan
+                            ? ` — ${names(m.plan.order)} — ${pct(m.odds.win)} / ${pct(m.odds.tie)} / ${pct(m.odds.lose)}`
+                            : " — no legal lineup")}
+                        </div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="overflow-auto">
+            <div className="text-sm font-medium mb-1">Bouts fought before each round (expected, given we play it)</div>
+            <table className="border-collapse text-sm">
+              <thead>
+                <tr>
+                  <th className="border p-1 text-left">Athlete</th>
+                  {plan.rounds.map((_, r) => <th key={r} className="border p-1">Round {r + 1}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {shown.pool.map((p, i) => (
+                  <tr key={i}>
+                    <td className="border p-1">{p.name}</td>
+                    {plan.rounds.map((r, k) => <td key={k} className="border p-1 text-right">{r.fatigue[i].toFixed(2)}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// The report styles itself so the downloaded file needs nothing else
+const REPORT_CSS = `
+body { font: 12px/1.4 system-ui, sans-serif; color: #111; margin: 24px; }
+h1 { font-size: 20px; margin: 0 0 4px; }
+h2 { font-size: 14px; margin: 16px 0 4px; border-bottom: 1px solid #999; }
+table { border-collapse: collapse; margin: 4px 0; }
+th, td { border: 1px solid #bbb; padding: 2px 6px; text-align: left; vertical-align: top; }
+td.num { text-align: right; }
+.muted { color: #555; }
+.order { font-weight: 600; }
+@page { margin: 12mm; }
+@media print { body { margin: 0; } h2 { break-after: avoid; } table { break-inside: avoid; } }
+`;
+
+/**
+ * CoachReport — the one-page briefing: recommended order, the opponent's best
+ * response, the matchup grid, the top orders, the best order with each athlete
+ * first and the model settings behind them. Plain markup styled by
+ * REPORT_CSS, so it prints and saves as a standalone page.
+ */
+function CoachReport({ ourName, oppName, generated, our, opp, params, mode, ranking, constraints, result, oppBestResponse, byFirst }) {
+  const objective = OBJECTIVES[ranking.objective];
+  const pct = (p) => `${(p * 100).toFixed(1)}%`;
+  const names = (team, order) => order.map((i) => team[i].name).join(" → ");
+  const fields = modelFields(params);
+  // The objective gets its own column unless it is EV itself
+  const scored = ranking.objective !== "ev";
+  const OrderRows = ({ rows, label }) => rows.map((row, k) => (
+    <tr key={k}>
+      <td>{label(row, k)}</td>
+      <td className="order">{names(our, row.order)}</td>
+      {scored && <td className="num">{objective.score(row, ranking.risk).toFixed(3)}</td>}
+      <td className="num">{row.ev.toFixed(3)}</td>
+      <td className="num">{pct(row.pWin)}</td>
+    </tr>
+  ));
+  const orderHead = (first) => (
+    <thead>
+      <tr><th>{first}</th><th>Order</th>{scored && <th>{objective.short}</th>}<th>EV net wins</th><th>P(win)</th></tr>
+    </thead>
+  );
+  return (
+    <div>
+      <style>{REPORT_CSS}</style>
+      <h1>{ourName} vs {oppName}: lineup report</h1>
+      <div className="muted">Generated {generated.toLocaleString()} · {OPPONENT_MODE_LABELS[mode]} · ranked by {objectiveLabel(ranking.objective, ranking.risk)}</div>
+
+      <h2>Recommended order</h2>
+      {result.best ? (
+        <>
+          <div className="order">{names(our, result.best.order)}</div>
+          <div>EV net wins {result.best.ev.toFixed(3)} · team win {pct(result.best.pWin)} · tie {pct(result.best.pTie)} · team loss {pct(result.best.pLose)}</div>
+        </>
+      ) : (
+        <div>No order meets the lineup constraints.</div>
+      )}
+      {oppBestResponse && (
+        <div>
+          If {oppName} answers with their best order, <span className="order">{names(opp, oppBestResponse.order)}</span>:
+          {" "}EV {oppBestResponse.ev.toFixed(3)} · team win {pct(oppBestResponse.pWin)} for us
+        </div>
+      )}
+      {constraints.length > 0 && <div className="muted">Lineup constraints: {constraints.map((c) => describeConstraint(c, our)).join("; ")}</div>}
+
+      <h2>Matchups (fresh, W / D / L for {ourName})</h2>
+      <table>
+        <thead>
+          <tr><th>{ourName} \ {oppName}</th>{opp.map((b, j) => <th key={j}>{b.name}</th>)}</tr>
+        </thead>
+        <tbody>
+          {our.map((a, i) => (
+            <tr key={i}>
+              <th>{a.name}</th>
+              {opp.map((b, j) => {
+                const { pWin, pDraw, pLose } = predictBout(a, b, params, 1, 1);
+                return <td key={j} className="num">{(pWin * 100).toFixed(0)} / {(pDraw * 100).toFixed(0)} / {(pLose * 100).toFixed(0)}</td>;
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h2>Top orders</h2>
+      <table>
+        {orderHead(mode === "nash" ? "Play" : "#")}
+        <tbody><OrderRows rows={result.top.slice(0, 5)} label={(row, k) => (mode === "nash" ? pct(row.p) : k + 1)} /></tbody>
+      </table>
+
+      <h2>Best order with each athlete first</h2>
+      <table>
+        {orderHead("Opener")}
+        <tbody><OrderRows rows={byFirst.filter(Boolean)} label={(row) => our[row.order[0]].name} /></tbody>
+      </table>
+      {byFirst.some((r) => !r) && <div className="muted">Ruled out as opener by the constraints: {our.filter((_, i) => !byFirst[i]).map((p) => p.name).join(", ")}</div>}
+
+      <h2>Model</h2>
+      <div>{resolveModel(params).label}. {describeRules(resolveRules(params))}</div>
+      {params.model === "quintet" && (
+        <table>
+          <thead><tr><th>Factor</th><th>α (importance)</th><th>γ (exponent)</th><th>Fatigue share</th></tr></thead>
+          <tbody>
+            {params.factors.map((f) => (
+              <tr key={f.key}><td>{f.label}</td><td className="num">{f.alpha}</td><td className="num">{f.gamma}</td><td className="num">{fatigueWeight(f)}</td></tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <table>
+        <tbody>
+          {fields.filter((f) => !f.key.includes(".")).map((f) => (
+            <tr key={f.key}><td>{f.label}</td><td className="num">{getParam(params, f.key)}</td></tr>
+          ))}
+          {params.model === "quintet" && (
+            <tr><td>Fatigue curve</td><td>{(FATIGUE_CURVES[params.fatigueCurve] || FATIGUE_CURVES.linear).label}</td></tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * ReportPanel — turns the current results into the coach's report, printed
+ * from a new window or downloaded as a standalone HTML file. Only offered
+ * once the search for the current inputs has finished.
+ */
+function ReportPanel({ ready, report }) {
+  const [ourName, setOurName] = useState("Our team");
+  const [oppName, setOppName] = useState("Opponent");
+  // The server renderer is only needed here, so it is loaded on first use
+  const html = async () => {
+    const { renderToStaticMarkup } = await import("react-dom/server");
+    const body = renderToStaticMarkup(<CoachReport {...report} ourName={ourName} oppName={oppName} generated={new Date()} />);
+    return `<!doctype html><html><head><meta charset="utf-8"><title>${escapeHtml(`${ourName} vs ${oppName} lineup report`)}</title></head><body>${body}</body></html>`;
+  };
+  const print = async () => {
+    // Opened before the await so the click still counts for popup blockers
+    const w = window.open("", "_blank");
+    if (!w) return;
+    w.document.write(await html());
+    w.document.close();
+    w.focus();
+    w.print();
+  };
+  const download = async () => {
+    const url = URL.createObjectURL(new Blob([await html()], { type: "text/html" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `lineup-report-${new Date().toISOString().slice(0, 16).replace(/[T:]/g, "-")}.html`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+      <h3 className="font-semibold">Coach's report</h3>
+      <div className="flex flex-wrap items-end gap-3 text-sm">
+        <label>Our team
+          <input className="block border rounded-md p-1 mt-1" value={ourName} onChange={(e) => setOurName(e.target.value)} />
+        </label>
+        <label>Opponent
+          <input className="block border rounded-md p-1 mt-1" value={oppName} onChange={(e) => setOppName(e.target.value)} />
+        </label>
+        <button className="rounded-xl border px-3 py-2 bg-gray-100 disabled:opacity-50" disabled={!ready} onClick={print}>Print report</button>
+        <button className="rounded-xl border px-3 py-2 bg-gray-100 disabled:opacity-50" disabled={!ready} onClick={download}>Download HTML</button>
+      </div>
+      {!ready && <div className="text-xs text-gray-500">Available once the search for the current inputs has finished.</div>}
+    </div>
+  );
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+function RulesetEditor({ rules, setRules }) {
+  const current = { ...DEFAULT_RULES, ...rules };
+  const presetKey = Object.keys(RULESET_PRESETS).find((k) =>
+    Object.keys(DEFAULT_RULES).every((f) => RULESET_PRESETS[k].rules[f] === current[f])) || "custom";
+  const set = (key) => (value) => setRules({ ...current, [key]: value });
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4">
+      <h3 className="font-semibold mb-2">Match ruleset</h3>
+      <label className="block text-sm mb-3">Preset
+        <select className="mt-1 w-full border rounded-xl p-2" value={presetKey} onChange={(e) => RULESET_PRESETS[e.target.value] && setRules(RULESET_PRESETS[e.target.value].rules)}>
+          {Object.entries(RULESET_PRESETS).map(([k, r]) => <option key={k} value={k}>{r.label}</option>)}
+          {presetKey === "custom" && <option value="custom">Custom</option>}
+        </select>
+      </label>
+      <label className="block text-sm mb-2">
+        <span className="text-gray-800 font-medium">A draw eliminates</span>
+        <select className="mt-1 w-full border rounded-xl p-2" value={current.drawEliminates} onChange={(e) => set("drawEliminates")(e.target.value)}>
+          {Object.entries(DRAW_ELIMINATION_LABELS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+      </label>
+      <TextInput
+        label="Max bouts per athlete"
+        value={current.maxBouts}
+        onChange={(v) => set("maxBouts")(Math.max(0, Math.round(v) || 0))}
+        min={0}
+        help={current.drawEliminates === "none" ? `0 = ${DRAW_NONE_BOUT_CAP} (a cap is required when draws eliminate nobody)` : "0 = no limit. An athlete who reaches the cap retires without a loss."}
+      />
+      <label className="flex items-center gap-2 text-sm mb-2">
+        <input type="checkbox" checked={current.captainTieBreak} onChange={(e) => set("captainTieBreak")(e.target.checked)} />
+        Captain's tie-break bout (anchors) when both sides run out together
+      </label>
+      <TextInput label="Share of wins by decision" value={current.decisionShare} onChange={(v) => set("decisionShare")(clamp(v || 0, 0, 1))} step={0.05} min={0} max={1} help="0 = every decisive bout ends by submission" />
+      <div className="grid grid-cols-2 gap-2">
+        <TextInput label="Submission points" value={current.submissionPoints} onChange={set("submissionPoints")} step={0.5} min={0} />
+        <TextInput label="Decision points" value={current.decisionPoints} onChange={set("decisionPoints")} step={0.5} min={0} />
+      </div>
+    </div>
+  );
+}
+
+function CalibrationPanel({ params, onApply, loggedBouts = [] }) {
+  const [text, setText] = useState("");
+  const [skipped, setSkipped] = useState([]);
+  const fields = fittableFields(params);
+  const keys = fields.map((f) => f.key).filter((k) => !skipped.includes(k));
+  const attributeKeys = resolveModel(params).attributeKeys(params);
+  const columns = boutLogColumns(attributeKeys);
+  const [job, setJob] = useState(null);
+  const run = useOptimizer(job);
+  const fit = run.fit && { ...run.fit, bouts: run.job.bouts };
+  const parsed = useMemo(() => parseBoutLog(text, attributeKeys), [text, attributeKeys.join(",")]);
+
+  const toggleKey = (key) => setSkipped((ks) => (ks.includes(key) ? ks.filter((k) => k !== key) : [...ks, key]));
+  const runFit = () => setJob({ task: "fit", bouts: parsed.bouts, params, keys });
+  const fmt = (m) => `log-lik ${m.logLik.toFixed(2)} (${m.meanLogLik.toFixed(3)}/bout) | Brier ${m.brier.toFixed(4)}`;
+
+  const CalibrationTable = ({ outcome, title }) => (
+    <div>
+      <div className="font-medium mb-1">{title}</div>
+      <table className="border-collapse text-sm">
+        <thead>
+          <tr>
+            <th className="border p-1">Forecast</th>
+            <th className="border p-1">Bouts</th>
+            <th className="border p-1">Mean forecast</th>
+            <th className="border p-1">Observed</th>
+          </tr>
+        </thead>
+        <tbody>
+          {calibrationTable(fit.bouts, fit.params, outcome).map((r, k) => (
+            <tr key={k}>
+              <td className="border p-1">{(r.lo * 100).toFixed(0)}–{(r.hi * 100).toFixed(0)}%</td>
+              <td className="border p-1 text-right">{r.n}</td>
+              <td className="border p-1 text-right">{r.n ? `${(r.predicted * 100).toFixed(1)}%` : "—"}</td>
+              <td className="border p-1 text-right">{r.n ? `${(r.observed * 100).toFixed(1)}%` : "—"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+      <h3 className="font-semibold">Calibrate model to past bouts</h3>
+      <div className="text-xs text-gray-500">
+        Paste CSV with header <code>{columns.join(",")}</code> (optional <code>a_rating,b_rating</code>; result from athlete A's side: W/D/L), or a JSON array of {"{ a, b, streakA, streakB, result }"} records.
+      </div>
+      {loggedBouts.length > 0 && (
+        <button className="rounded-xl border px-3 py-1 bg-gray-100 text-sm" onClick={() => setText(JSON.stringify(loggedBouts))}>Use {loggedBouts.length} bouts from match history</button>
+      )}
+      <textarea className="w-full h-32 border rounded-xl p-2 font-mono text-xs" value={text} onChange={(e) => setText(e.target.value)} placeholder={`${columns.join(",")}\n${columns.map((c) => (c === "result" ? "W" : c.endsWith("streak") ? 1 : 7)).join(",")}`} />
+      <div className="text-sm">
+        {parsed.bouts.length} bouts parsed.
+        {parsed.errors.slice(0, 3).map((e, k) => <div key={k} className="text-red-700">{e}</div>)}
+        {parsed.errors.length > 3 && <div className="text-red-700">…and {parsed.errors.length - 3} more problems</div>}
+      </div>
+      <div className="flex flex-wrap gap-3 text-sm">
+        {fields.map((f) => (
+          <label key={f.key} className="flex items-center gap-1">
+            <input type="checkbox" checked={keys.includes(f.key)} onChange={() => toggleKey(f.key)} /> {f.label}
+          </label>
+        ))}
+      </div>
+      <button className="rounded-xl border px-3 py-2 bg-gray-100 disabled:opacity-50" disabled={!parsed.bouts.length || !keys.length} onClick={runFit}>Fit selected parameters ({resolveModel(params).label})</button>
+      <OptimizerStatus progress={job && run.progress} stale={!!job && !run.done} error={run.error} onCancel={run.cancel} onRerun={runFit} />
+
+      {fit && (
+        <div className="space-y-3">
+          <div className="text-sm">
+            <div>Current: {fmt(fit.before)}</div>
+            <div className="font-semibold">Fitted: {fmt(fit.after)}</div>
+            <div className="text-xs text-gray-500">{fit.after.n} bouts, {fit.iterations} Nelder–Mead iterations</div>
+          </div>
+          <table className="border-collapse text-sm">
+            <thead>
+              <tr>
+                <th className="border p-1">Parameter</th>
+                <th className="border p-1">Current</th>
+                <th className="border p-1">Fitted</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.filter((f) => keys.includes(f.key)).map((f) => (
+                <tr key={f.key}>
+                  <td className="border p-1">{f.label}</td>
+                  <td className="border p-1 text-right">{getParam(params, f.key).toFixed(3)}</td>
+                  <td className="border p-1 text-right">{getParam(fit.params, f.key)?.toFixed(3) ?? "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <CalibrationTable outcome="W" title="Calibration: wins (fitted model)" />
+            <CalibrationTable outcome="D" title="Calibration: draws (fitted model)" />
+          </div>
+          <button className="rounded-xl border px-3 py-2 bg-gray-900 text-white" onClick={() => onApply(fit.params)}>Load fitted values into model panel</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Histogram({ title, rows, exact, format = (k) => k }) {
+  const peak = Math.max(...rows.map((r) => r.p), ...[...(exact?.values() || [])], 1e-9);
+  const keys = [...new Set([...rows.map((r) => r.key), ...(exact ? [...exact.keys()] : [])])].sort((a, b) => (a < b ? -1 : 1));
+  const sim = new Map(rows.map((r) => [r.key, r.p]));
+  return (
+    <div>
+      <div className="font-medium mb-1">{title}</div>
+      <table className="text-xs w-full">
+        <tbody>
+          {keys.map((k) => (
+            <tr key={k}>
+              <td className="pr-2 text-right whitespace-nowrap w-12">{format(k)}</td>
+              <td className="w-full">
+                <div className="bg-gray-700 h-3 rounded" style={{ width: `${(100 * (sim.get(k) || 0)) / peak}%` }} />
+                {exact && <div className="bg-gray-300 h-1 rounded mt-px" style={{ width: `${(100 * (exact.get(k) || 0)) / peak}%` }} />}
+              </td>
+              <td className="pl-2 text-right whitespace-nowrap">{((sim.get(k) || 0) * 100).toFixed(1)}%{exact && <span className="text-gray-500"> / {((exact.get(k) || 0) * 100).toFixed(1)}%</span>}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function OrderPicker({ label, team, order, setOrder }) {
+  const setSlot = (s, idx) => {
+    const next = order.slice();
+    const other = next.indexOf(idx);
+    next[other] = next[s]; // swap keeps it a permutation
+    next[s] = idx;
+    setOrder(next);
+  };
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span className="font-medium w-16">{label}</span>
+      {order.map((idx, s) => (
+        <select key={s} className="border rounded-md p-1" value={idx} onChange={(e) => setSlot(s, parseInt(e.target.value, 10))}>
+          {team.map((p, i) => <option key={i} value={i}>{p.name}</option>)}
+        </select>
+      ))}
+    </div>
+  );
+}
+
+function SimulatorPanel({ ourTeam, oppTeam, params, bestOrder, oppResponse }) {
+  const identity = (team) => team.map((_, i) => i);
+  const [ourOrder, setOurOrder] = useState(() => bestOrder || identity(ourTeam));
+  const [oppOrder, setOppOrder] = useState(() => identity(oppTeam));
+  const [N, setN] = useState(10000);
+  const [seed, setSeed] = useState(1);
+  const [job, setJob] = useState(null);
+  const run = useOptimizer(job);
+  const sim = run.simulation && { ...run.simulation, our: run.job.our, opp: run.job.opp };
+  const valid = (order, team) => order.length === team.length && order.every((i) => i < team.length);
+
+  const start = () => setJob({ task: "simulate", our: ourOrder.map((i) => ourTeam[i]), opp: oppOrder.map((i) => oppTeam[i]), params, N: Math.max(1, N), seed });
+  const pct = (p) => `${(p * 100).toFixed(1)}%`;
+  const Check = ({ label, c, digits = 3 }) => (
+    <div className={c.inside ? "text-green-700" : "text-red-700"}>
+      {c.inside ? "✔" : "✘"} {label}: simulated {c.est.toFixed(digits)} (95% CI {c.lo.toFixed(digits)} … {c.hi.toFixed(digits)}), exact DP {c.exact.toFixed(digits)}, error {c.error >= 0 ? "+" : ""}{c.error.toFixed(digits)}
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+      <h3 className="font-semibold">Monte Carlo match simulator</h3>
+      {valid(ourOrder, ourTeam) && <OrderPicker label="Ours" team={ourTeam} order={ourOrder} setOrder={setOurOrder} />}
+      {valid(oppOrder, oppTeam) && <OrderPicker label="Theirs" team={oppTeam} order={oppOrder} setOrder={setOppOrder} />}
+      <div className="flex flex-wrap items-end gap-2 text-sm">
+        {bestOrder && <button className="rounded-xl border px-3 py-1 bg-gray-100" onClick={() => setOurOrder(bestOrder)}>Ours = recommended</button>}
+        <button className="rounded-xl border px-3 py-1 bg-gray-100" onClick={() => setOppOrder(identity(oppTeam))}>Theirs = as entered</button>
+        {oppResponse && <button className="rounded-xl border px-3 py-1 bg-gray-100" onClick={() => setOppOrder(oppResponse)}>Theirs = best response</button>}
+        <label>Matches
+          <input type="number" min={100} max={MAX_SIMULATED_MATCHES} step={1000} className="block w-24 border rounded-md p-1 mt-1" value={N} onChange={(e) => setN(Math.min(MAX_SIMULATED_MATCHES, parseInt(e.target.value, 10) || 0))} />
+        </label>
+        <label>Seed
+          <input type="number" className="block w-20 border rounded-md p-1 mt-1" value={seed} onChange={(e) => setSeed(parseInt(e.target.value, 10) || 0)} />
+        </label>
+        <button className="rounded-xl border px-3 py-1 bg-gray-900 text-white disabled:opacity-50" disabled={!valid(ourOrder, ourTeam) || !valid(oppOrder, oppTeam)} onClick={start}>Simulate</button>
+      </div>
+      <OptimizerStatus progress={job && run.progress} stale={!!job && !run.done} error={run.error} onCancel={run.cancel} onRerun={start} />
+
+      {sim && (
+        <div className="space-y-3">
+          <div className="text-sm space-y-1">
+            <Check label="Mean net wins" c={sim.check.ev} />
+            <Check label="P(team win)" c={sim.check.pWin} />
+          </div>
+          <div className="text-xs text-gray-500">Dark bars: {sim.N} simulated matches. Light bars / second figure: exact DP.</div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Histogram title="Net wins" rows={sim.net} exact={marginalOf(sim.exact, "net")} format={(k) => (k > 0 ? `+${k}` : k)} />
+            <Histogram title="Team result" rows={sim.results} exact={new Map([["win", sim.exact.pWin], ["tie", sim.exact.pTie], ["lose", sim.exact.pLose]])} />
+            <Histogram title="Our fighters left" rows={sim.ourLeft} exact={marginalOf(sim.exact, "ourLeft")} />
+            <Histogram title="Their fighters left" rows={sim.oppLeft} exact={marginalOf(sim.exact, "oppLeft")} />
+          </div>
+          <div>
+            <div className="font-medium mb-1">Most common bout sequences (our side: W/D/L)</div>
+            <table className="border-collapse text-sm">
+              <tbody>
+                {sim.sequences.slice(0, 10).map((row) => (
+                  <tr key={row.seq}>
+                    <td className="border p-1 font-mono">{row.seq}</td>
+                    <td className="border p-1 text-right">{pct(row.p)}</td>
+                    <td className="border p-1 text-xs text-gray-600">{describeSequence(row.bouts, sim.our, sim.opp)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
 }
 
-// ============================================================
-// =                        DEFAULT DATA                      =
-// ============================================================
-function defaultTeam(namePrefix) {
-  return [
-    { name: "JP",     weight: 62,  condition: 10, tech: 10 },
-    { name: "FLORIS", weight: 67,  condition: 10, tech: 10 },
-    { name: "ALEX",   weight: 79,  condition: 10, tech: 10 },
-    { name: "NIELS",  weight: 87,  condition: 10, tech: 10 },
-    { name: "NOAH",   weight: 122, condition: 10, tech: 10 },
-  ];
+/**
+ * OutcomeTreePanel — the bout-by-bout state tree for one pair of orders:
+ * every node is a matchup with its W/D/L, reach probability and the EV still
+ * to come, expanded on demand. Side tables rank the bouts that swing the
+ * match most and list each athlete's expected bouts and wins.
+ */
+function OutcomeTreePanel({ ourTeam, oppTeam, params, bestOrder, oppResponse }) {
+  const identity = (team) => team.map((_, i) => i);
+  const [ourOrder, setOurOrder] = useState(() => bestOrder || identity(ourTeam));
+  const [oppOrder, setOppOrder] = useState(() => identity(oppTeam));
+  const valid = (order, team) => order.length === team.length && order.every((i) => i < team.length);
+  const ready = valid(ourOrder, ourTeam) && valid(oppOrder, oppTeam);
+  const our = ready ? ourOrder.map((i) => ourTeam[i]) : [];
+  const opp = ready ? oppOrder.map((i) => oppTeam[i]) : [];
+  const tree = useMemo(() => (ready ? outcomeTree(our, opp, params) : null), [ready, ourOrder, oppOrder, ourTeam, oppTeam, params]);
+  const pct = (p) => `${(p * 100).toFixed(1)}%`;
+  const signed = (x) => `${x >= 0 ? "+" : ""}${x.toFixed(2)}`;
+  const deciding = tree ? [...tree.nodes.values()].sort((a, b) => b.reach * b.swing - a.reach * a.swing).slice(0, 5) : [];
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+      <h3 className="font-semibold">Outcome tree</h3>
+      {valid(ourOrder, ourTeam) && <OrderPicker label="Ours" team={ourTeam} order={ourOrder} setOrder={setOurOrder} />}
+      {valid(oppOrder, oppTeam) && <OrderPicker label="Theirs" team={oppTeam} order={oppOrder} setOrder={setOppOrder} />}
+      <div className="flex flex-wrap gap-2 text-sm">
+        {bestOrder && <button className="rounded-xl border px-3 py-1 bg-gray-100" onClick={() => setOurOrder(bestOrder)}>Ours = recommended</button>}
+        <button className="rounded-xl border px-3 py-1 bg-gray-100" onClick={() => setOppOrder(identity(oppTeam))}>Theirs = as entered</button>
+        {oppResponse && <button className="rounded-xl border px-3 py-1 bg-gray-100" onClick={() => setOppOrder(oppResponse)}>Theirs = best response</button>}
+        {!ready && <button className="rounded-xl border px-3 py-1 bg-gray-100" onClick={() => { setOurOrder(identity(ourTeam)); setOppOrder(identity(oppTeam)); }}>Reset orders</button>}
+      </div>
+      {tree && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-2 text-sm overflow-auto">
+            <div className="text-xs text-gray-500 mb-1">Bout n = the athlete's nth bout in a row. Reach: chance the match gets there by any path. EV: expected net score still to come.</div>
+            <OutcomeTreeNode tree={tree} nodeKey={tree.root} our={our} opp={opp} open />
+          </div>
+          <div className="space-y-3 text-sm">
+            <div>
+              <div className="font-medium mb-1">Deciding bouts</div>
+              <table className="border-collapse w-full">
+                <thead>
+                  <tr>
+                    <th className="border p-1 text-left">Matchup</th>
+                    <th className="border p-1">Reach</th>
+                    <th className="border p-1" title="EV after a win minus EV after a loss">W − L</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {deciding.map((node) => (
+                    <tr key={node.key}>
+                      <td className="border p-1">{our[node.i].name} ({node.si}) vs {opp[node.j].name} ({node.sj})</td>
+                      <td className="border p-1 text-right">{pct(node.reach)}</td>
+                      <td className="border p-1 text-right">{node.swing.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div>
+              <div className="font-medium mb-1">Expected per athlete</div>
+              <table className="border-collapse w-full">
+                <thead>
+                  <tr>
+                    <th className="border p-1 text-left">Athlete</th>
+                    <th className="border p-1">Bouts</th>
+                    <th className="border p-1">Wins</th>
+                    <th className="border p-1">Draws</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {tree.athletes.map((a) => (
+                    <tr key={`${a.side}${a.index}`} className={a.side === "opp" ? "text-gray-600" : ""}>
+                      <td className="border p-1">{(a.side === "our" ? our : opp)[a.index].name}</td>
+                      <td className="border p-1 text-right">{a.bouts.toFixed(2)}</td>
+                      <td className="border p-1 text-right">{a.wins.toFixed(2)}</td>
+                      <td className="border p-1 text-right">{a.draws.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="text-xs text-gray-500 mt-1">Grey rows: opponents. Match EV {signed(tree.ev)}.</div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
 }
 
-function defaultTeamOthers(namePrefix) {
-  return [
-    { name: `${namePrefix} 1`, weight: 85, condition: 10, tech: 10 },
-    { name: `${namePrefix} 2`, weight: 85, condition: 10, tech: 10 },
-    { name: `${namePrefix} 3`, weight: 85, condition: 10, tech: 10 },
-    { name: `${namePrefix} 4`, weight: 85, condition: 10, tech: 10 },
-    { name: `${namePrefix} 5`, weight: 85, condition: 10, tech: 10 },
-  ];
+const MATCH_ENDS = { win: "match over: we win", lose: "match over: they win", out: "both sides out together: a tie unless a captain's bout decides it" };
+
+/** One state of the outcome tree and, once opened, the bouts that follow it. */
+function OutcomeTreeNode({ tree, nodeKey, our, opp, open: startOpen = false }) {
+  const [open, setOpen] = useState(startOpen);
+  const node = tree.nodes.get(nodeKey);
+  const { pWin, pDraw, pLose } = node.bout;
+  const pct = (p) => `${(p * 100).toFixed(1)}%`;
+  const points = (x) => (x ? ` (${x > 0 ? "+" : ""}${x})` : "");
+  return (
+    <div className="border-l pl-2 my-1">
+      <button className="text-left" onClick={() => setOpen(!open)}>
+        <span className="font-mono text-gray-500 mr-1">{open ? "▾" : "▸"}</span>
+        <span className="font-medium">{our[node.i].name}</span> (bout {node.si}) vs <span className="font-medium">{opp[node.j].name}</span> (bout {node.sj})
+        <span className="text-gray-600"> — W {pct(pWin)} D {pct(pDraw)} L {pct(pLose)} · reach {pct(node.reach)} · EV {node.ev >= 0 ? "+" : ""}{node.ev.toFixed(2)}</span>
+      </button>
+      {open && (
+        <div className="ml-4">
+          {node.children.map((c, k) => (
+            <div key={k}>
+              <span className="text-xs text-gray-500">{c.r} {pct(c.p)}{points(c.points)} →</span>
+              {c.to ? <OutcomeTreeNode tree={tree} nodeKey={c.to} our={our} opp={opp} /> : <span className="text-xs ml-1">{MATCH_ENDS[c.end]}</span>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
 }
 
-// ============================================================
-// =                           UI                             =
-// ============================================================
-function TextInput({ label, value, onChange, step = 1, min, max, help }) {
+/** "JP beat B1, JP drew B2, …" for a simulated match's bouts and the two orders. */
+function describeSequence(bouts, our, opp) {
+  return bouts
+    .map(({ ours, theirs, r, captain }) => {
+      const verb = r === "W" ? "beat" : r === "D" ? "drew" : "lost to";
+      return `${captain ? "captain's bout: " : ""}${our[ours].name} ${verb} ${opp[theirs].name}`;
+    })
+    .join(", ");
+}
+
+/**
+ * LiveMatchPanel — mat-side tracker. Pick both orders and start; then tap
+ * each bout's result as it happens. The panel follows who is on the mat,
+ * both streaks and the fighters left, and forecasts the rest of the match
+ * from the current state. The match in progress survives a reload; once it
+ * is over it can be saved to the match history.
+ */
+function LiveMatchPanel({ ourTeam, oppTeam, params, bestOrder, oppResponse, setHistory }) {
+  const identity = (team) => team.map((_, i) => i);
+  const [live, setLive] = useStoredState("live/v1", null);
+  const [ourOrder, setOurOrder] = useState(() => bestOrder || identity(ourTeam));
+  const [oppOrder, setOppOrder] = useState(() => identity(oppTeam));
+  const [opponent, setOpponent] = useState("");
+  const valid = (order, team) => order.length === team.length && order.every((i) => i < team.length);
+  const rules = resolveRules(params);
+  const pct = (p) => `${(p * 100).toFixed(0)}%`;
+  const signed = (x) => `${x >= 0 ? "+" : ""}${x.toFixed(2)}`;
+
+  const start = () => setLive({
+    date: new Date().toISOString().slice(0, 10),
+    opponent: opponent.trim() || "Opponent",
+    our: ourOrder.map((i) => snapshotAthlete(ourTeam[i])),
+    opp: oppOrder.map((i) => snapshotAthlete(oppTeam[i])),
+    bouts: [],
+  });
+
+  if (!live) {
+    return (
+      <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+        <h3 className="font-semibold">Live match</h3>
+        {valid(ourOrder, ourTeam) && <OrderPicker label="Ours" team={ourTeam} order={ourOrder} setOrder={setOurOrder} />}
+        {valid(oppOrder, oppTeam) && <OrderPicker label="Theirs" team={oppTeam} order={oppOrder} setOrder={setOppOrder} />}
+        <div className="flex flex-wrap items-end gap-2 text-sm">
+          {bestOrder && <button className="rounded-xl border px-3 py-2 bg-gray-100" onClick={() => setOurOrder(bestOrder)}>Ours = recommended</button>}
+          <button className="rounded-xl border px-3 py-2 bg-gray-100" onClick={() => setOppOrder(identity(oppTeam))}>Theirs = as entered</button>
+          {oppResponse && <button className="rounded-xl border px-3 py-2 bg-gray-100" onClick={() => setOppOrder(oppResponse)}>Theirs = best response</button>}
+          <label>Opponent
+            <input className="block border rounded-md p-2 mt-1" value={opponent} onChange={(e) => setOpponent(e.target.value)} placeholder="Team name" />
+          </label>
+          <button className="rounded-xl border px-4 py-2 bg-gray-900 text-white disabled:opacity-50" disabled={!valid(ourOrder, ourTeam) || !valid(oppOrder, oppTeam)} onClick={start}>Start match</button>
+        </div>
+      </div>
+    );
+  }
+
+  const { our, opp, bouts } = live;
+  const match = replayMatch(our, opp, params, bouts);
+  const { state } = match;
+  // The athletes on the mat: the two anchors, fresh, for a captain's bout
+  const onMat = match.captainDue ? { i: our.length - 1, j: opp.length - 1, si: 1, sj: 1 } : state;
+  const upcoming = match.over ? null : predictBout(our[onMat.i], opp[onMat.j], params, onMat.si, onMat.sj);
+  const rest = match.over ? null : outcomeDistribution(our, opp, params, state);
+  const ev = match.over || match.captainDue ? 0 : expectedNetWins(our, opp, params, state);
+  const buttons = match.captainDue || rules.decisionShare === 0
+    ? [["W", false, "Win"], ["D", false, "Draw"], ["L", false, "Loss"]]
+    : [["W", false, "Win (sub)"], ["W", true, "Win (dec)"], ["D", false, "Draw"], ["L", true, "Loss (dec)"], ["L", false, "Loss (sub)"]];
+  const record = (result, decision) => setLive({
+    ...live,
+    bouts: [...bouts, {
+      id: newId(),
+      ours: our[onMat.i],
+      theirs: opp[onMat.j],
+      ourStreak: onMat.si,
+      oppStreak: onMat.sj,
+      result,
+      time: null,
+      submission: null,
+      ...(decision ? { decision: true } : {}),
+      ...(match.captainDue ? { captain: true } : {}),
+    }],
+  });
+  const undo = () => setLive({ ...live, bouts: bouts.slice(0, -1) });
+  const save = () => {
+    setHistory((h) => ({ ...h, matches: [...h.matches, { id: newId(), date: live.date, opponent: live.opponent, bouts }] }));
+    setLive(null);
+  };
+  const abandon = () => {
+    if (window.confirm("Abandon this match without saving it?")) setLive(null);
+  };
+  const left = (team, k) => team.slice(Math.min(k, team.length)).map((p) => p.name).join(", ") || "none";
+
   return (
-    <label className="block text-sm mb-2">
-      <span className="text-gray-800 font-medium">{label}</span>
-      {help && <div className="text-xs text-gray-500 mb-1">{help}</div>}
-      <input
-        type="number"
-        value={Number.isFinite(value) ? value : 0}
-        step={step}
-        min={min}
-        max={max}
-        onChange={(e) => onChange(parseFloat(e.target.value))}
-        className="mt-1 block w-full rounded-xl border p-2"
-      />
-    </label>
+    <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+      <div className="flex items-baseline justify-between">
+        <h3 className="font-semibold">Live match vs {live.opponent}</h3>
+        <span className="text-sm text-gray-600">Net so far {signed(match.net)}</span>
+      </div>
+      {match.over ? (
+        <div className="text-2xl font-semibold text-center py-2">
+          {{ win: "We win", lose: "They win", tie: "Tie" }[match.result]} ({signed(match.net)} net)
+        </div>
+      ) : (
+        <>
+          <div className="text-center">
+            <div className="text-xs text-gray-500">{match.captainDue ? "Captain's bout" : `Bout ${bouts.length + 1}`}</div>
+            <div className="text-2xl font-semibold">
+              {our[onMat.i].name} <span className="text-base font-normal text-gray-600">(bout {onMat.si})</span> vs {opp[onMat.j].name} <span className="text-base font-normal text-gray-600">(bout {onMat.sj})</span>
+            </div>
+            <div className="text-lg">W {pct(upcoming.pWin)} · D {pct(upcoming.pDraw)} · L {pct(upcoming.pLose)}</div>
+          </div>
+          <div className="flex gap-2">
+            {buttons.map(([result, decision, label]) => (
+              <button
+                key={label}
+                className={`flex-1 min-h-16 py-4 rounded-2xl border text-xl font-semibold ${result === "W" ? "bg-green-100" : result === "L" ? "bg-red-100" : "bg-gray-100"}`}
+                onClick={() => record(result, decision)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-center">
+            <div className="rounded-xl border p-2"><div className="text-xs text-gray-500">P(team win)</div><div className="text-xl font-semibold">{pct(rest.pWin)}</div></div>
+            <div className="rounded-xl border p-2"><div className="text-xs text-gray-500">P(tie)</div><div className="text-xl font-semibold">{pct(rest.pTie)}</div></div>
+            <div className="rounded-xl border p-2"><div className="text-xs text-gray-500">EV from here</div><div className="text-xl font-semibold">{signed(ev)}</div></div>
+            <div className="rounded-xl border p-2"><div className="text-xs text-gray-500">Expected final net</div><div className="text-xl font-semibold">{signed(match.net + ev)}</div></div>
+          </div>
+        </>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2 text-sm">
+        <div>Ours left ({Math.max(0, our.length - state.i)}): {left(our, state.i)}</div>
+        <div>Theirs left ({Math.max(0, opp.length - state.j)}): {left(opp, state.j)}</div>
+      </div>
+      {bouts.length > 0 && (
+        <ol className="text-sm list-decimal pl-5">
+          {bouts.map((b) => (
+            <li key={b.id}>{b.captain ? "Captain's bout: " : ""}{b.ours.name} {{ W: "beat", D: "drew", L: "lost to" }[b.result]} {b.theirs.name}{b.decision ? " (decision)" : ""}</li>
+          ))}
+        </ol>
+      )}
+      <div className="flex flex-wrap gap-2">
+        <button className="rounded-xl border px-4 py-3 bg-gray-100 disabled:opacity-50" disabled={!bouts.length} onClick={undo}>Undo last bout</button>
+        {match.over && <button className="rounded-xl border px-4 py-3 bg-gray-900 text-white" onClick={save}>Save to match history</button>}
+        <button className="rounded-xl border px-4 py-3 bg-gray-100 text-red-700 ml-auto" onClick={abandon}>Abandon</button>
+      </div>
+    </div>
   );
 }
 
-function RosterEditor({ team, setTeam, title }) {
-  const update = (idx, key, val) => {
-    const t = team.slice();
-    t[idx] = { ...t[idx], [key]: val };
-    setTeam(t);
+function HistoryPanel({ history, setHistory, ourTeam, oppTeam, params }) {
+  const today = new Date().toISOString().slice(0, 10);
+  const [newOpponent, setNewOpponent] = useState("");
+  const [newDate, setNewDate] = useState(today);
+  const [activeId, setActiveId] = useState(() => history.matches[history.matches.length - 1]?.id ?? null);
+  const [ourIdx, setOurIdx] = useState(0);
+  const [oppIdx, setOppIdx] = useState(0);
+  const [streakOverride, setStreakOverride] = useState({ ourStreak: null, oppStreak: null });
+  const [time, setTime] = useState("");
+  const [submission, setSubmission] = useState("");
+
+  const active = history.matches.find((m) => m.id === activeId) || null;
+  const ours = ourTeam[ourIdx] || ourTeam[0];
+  const theirs = oppTeam[oppIdx] || oppTeam[0];
+  const suggested = active ? suggestStreaks(active.bouts, ours.name, theirs.name, resolveRules(params)) : { ourStreak: 1, oppStreak: 1 };
+  const ourStreak = streakOverride.ourStreak ?? suggested.ourStreak;
+  const oppStreak = streakOverride.oppStreak ?? suggested.oppStreak;
+  const stats = useMemo(() => athleteHistoryStats(history, params), [history, params]);
+
+  const updateMatch = (id, fn) => setHistory((h) => ({ ...h, matches: h.matches.map((m) => (m.id === id ? fn(m) : m)) }));
+  const createMatch = () => {
+    const match = { id: newId(), date: newDate, opponent: newOpponent.trim() || "Opponent", bouts: [] };
+    setHistory((h) => ({ ...h, matches: [...h.matches, match] }));
+    setActiveId(match.id);
+    setNewOpponent("");
   };
-  const total = team.reduce((s, p) => s + (Number(p.weight) || 0), 0);
+  const deleteMatch = (id) => {
+    if (!window.confirm("Delete this match and all of its bouts?")) return;
+    setHistory((h) => ({ ...h, matches: h.matches.filter((m) => m.id !== id) }));
+    setActiveId(null);
+  };
+  const addBout = (result) => {
+    const bout = {
+      id: newId(),
+      ours: snapshotAthlete(ours),
+      theirs: snapshotAthlete(theirs),
+      ourStreak,
+      oppStreak,
+      result,
+      time: parseBoutTime(time),
+      submission: submission.trim() || null,
+    };
+    updateMatch(active.id, (m) => ({ ...m, bouts: [...m.bouts, bout] }));
+    setStreakOverride({ ourStreak: null, oppStreak: null });
+    setTime("");
+    setSubmission("");
+  };
+  const deleteBout = (boutId) => updateMatch(active.id, (m) => ({ ...m, bouts: m.bouts.filter((b) => b.id !== boutId) }));
+  const pct = (p) => `${(p * 100).toFixed(0)}%`;
+
   return (
-    <div className="bg-white rounded-2xl shadow p-4">
-      <div className="flex items-baseline justify-between mb-2">
-        <h3 className="text-lg font-semibold">{title}</h3>
-        <div className="text-sm text-gray-700">Total weight: <span className="font-semibold">{total.toFixed(1)} kg</span></div>
+    <div className="bg-white rounded-2xl shadow p-4 space-y-4">
+      <h3 className="font-semibold">Match history</h3>
+
+      <div className="flex flex-wrap items-end gap-2 text-sm">
+        <label>Opponent
+          <input className="block border rounded-md p-1 mt-1" value={newOpponent} onChange={(e) => setNewOpponent(e.target.value)} placeholder="Team name" />
+        </label>
+        <label>Date
+          <input type="date" className="block border rounded-md p-1 mt-1" value={newDate} onChange={(e) => setNewDate(e.target.value)} />
+        </label>
+        <button className="rounded-xl border px-3 py-1 bg-gray-100" onClick={createMatch}>New match</button>
+        {history.matches.length > 0 && (
+          <label className="ml-auto">Recording
+            <select className="block border rounded-md p-1 mt-1" value={activeId ?? ""} onChange={(e) => setActiveId(e.target.value || null)}>
+              <option value="">—</option>
+              {history.matches.map((m) => <option key={m.id} value={m.id}>{m.date} vs {m.opponent} ({m.bouts.length} bouts)</option>)}
+            </select>
+          </label>
+        )}
       </div>
-      <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
-        {team.map((p, idx) => (
-          <div key={idx} className="border rounded-xl p-3">
-            <div className="font-medium mb-1">{p.name}</div>
-            <label className="block text-sm">Name
-              <input className="w-full border rounded-md p-1 mt-1" value={p.name} onChange={(e)=>update(idx, 'name', e.target.value)} />
+
+      {active && (
+        <div className="space-y-3">
+          <div className="overflow-auto">
+            <table className="border-collapse text-sm w-full">
+              <thead>
+                <tr>
+                  <th className="border p-1">#</th>
+                  <th className="border p-1">Ours (streak)</th>
+                  <th className="border p-1">Theirs (streak)</th>
+                  <th className="border p-1">Model W / D / L</th>
+                  <th className="border p-1">Result</th>
+                  <th className="border p-1">Time</th>
+                  <th className="border p-1">Submission</th>
+                  <th className="border p-1"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {active.bouts.map((b, k) => {
+                  const pr = predictBout(b.ours, b.theirs, params, b.ourStreak, b.oppStreak);
+                  const pActual = { W: pr.pWin, D: pr.pDraw, L: pr.pLose }[b.result];
+                  return (
+                    <tr key={b.id}>
+                      <td className="border p-1 text-right">{k + 1}</td>
+                      <td className="border p-1">{b.ours.name} ({b.ourStreak})</td>
+                      <td className="border p-1">{b.theirs.name} ({b.oppStreak})</td>
+                      <td className="border p-1">{pct(pr.pWin)} / {pct(pr.pDraw)} / {pct(pr.pLose)}</td>
+                      <td className={`border p-1 font-semibold ${pActual < 0.25 ? "text-red-700" : ""}`} title={`Model gave this result ${pct(pActual)}`}>{b.result}</td>
+                      <td className="border p-1">{formatBoutTime(b.time)}</td>
+                      <td className="border p-1">{b.submission || ""}</td>
+                      <td className="border p-1"><button className="text-red-700" onClick={() => deleteBout(b.id)}>✕</button></td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex flex-wrap items-end gap-2 text-sm">
+            <label>Ours
+              <select className="block border rounded-md p-1 mt-1" value={ourIdx} onChange={(e) => { setOurIdx(parseInt(e.target.value, 10)); setStreakOverride({ ourStreak: null, oppStreak: null }); }}>
+                {ourTeam.map((p, i) => <option key={i} value={i}>{p.name}</option>)}
+              </select>
+            </label>
+            <label>Streak
+              <input type="number" min={1} className="block w-16 border rounded-md p-1 mt-1" value={ourStreak} onChange={(e) => setStreakOverride({ ...streakOverride, ourStreak: Math.max(1, parseInt(e.target.value, 10) || 1) })} />
             </label>
-            <label className="block text-sm mt-2">Weight (kg)
-              <input type="number" className="w-full border rounded-md p-1 mt-1" value={p.weight} onChange={(e)=>update(idx, 'weight', parseFloat(e.target.value))} />
+            <label>Theirs
+              <select className="block border rounded-md p-1 mt-1" value={oppIdx} onChange={(e) => { setOppIdx(parseInt(e.target.value, 10)); setStreakOverride({ ourStreak: null, oppStreak: null }); }}>
+                {oppTeam.map((p, i) => <option key={i} value={i}>{p.name}</option>)}
+              </select>
             </label>
-            <label className="block text-sm mt-2">Condition (1–10)
-              <input type="number" step={1} min={1} max={10} className="w-full border rounded-md p-1 mt-1" value={p.condition} onChange={(e)=>update(idx, 'condition', parseFloat(e.target.value))} />
+            <label>Streak
+              <input type="number" min={1} className="block w-16 border rounded-md p-1 mt-1" value={oppStreak} onChange={(e) => setStreakOverride({ ...streakOverride, oppStreak: Math.max(1, parseInt(e.target.value, 10) || 1) })} />
             </label>
-            <label className="block text-sm mt-2">Technical ability (1–10)
-              <input type="number" step={1} min={1} max={10} className="w-full border rounded-md p-1 mt-1" value={p.tech} onChange={(e)=>update(idx, 'tech', parseFloat(e.target.value))} />
+            <label>Time (m:ss)
+              <input className="block w-20 border rounded-md p-1 mt-1" value={time} onChange={(e) => setTime(e.target.value)} placeholder="optional" />
             </label>
+            <label>Submission
+              <input className="block w-32 border rounded-md p-1 mt-1" value={submission} onChange={(e) => setSubmission(e.target.value)} placeholder="optional" />
+            </label>
+            {BOUT_RESULTS.map((r) => (
+              <button key={r} className="rounded-xl border px-3 py-1 bg-gray-100 font-semibold" onClick={() => addBout(r)}>{r}</button>
+            ))}
+            <button className="ml-auto text-red-700" onClick={() => deleteMatch(active.id)}>Delete match</button>
           </div>
-        ))}
-      </div>
+          <div className="text-xs text-gray-500">Stats are snapshotted from the current rosters when a bout is logged. Results are from our side.</div>
+        </div>
+      )}
+
+      {stats.length > 0 && (
+        <div className="overflow-auto">
+          <div className="font-medium mb-1">Per-athlete record (predicted = current model on logged stats)</div>
+          <table className="border-collapse text-sm w-full">
+            <thead>
+              <tr>
+                <th className="border p-1">Athlete</th>
+                <th className="border p-1">W-D-L</th>
+                <th className="border p-1">Bouts / appearance</th>
+                <th className="border p-1">Streak 1</th>
+                <th className="border p-1">Streak 2</th>
+                <th className="border p-1">Streak 3+</th>
+                <th className="border p-1">Wins: actual vs predicted</th>
+                <th className="border p-1">Draws: actual vs predicted</th>
+                <th className="border p-1">Log-loss / bout</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.map((r) => (
+                <tr key={r.name}>
+                  <td className="border p-1">{r.name}</td>
+                  <td className="border p-1">{r.W}-{r.D}-{r.L}</td>
+                  <td className="border p-1 text-right">{r.boutsPerAppearance.toFixed(2)}</td>
+                  {["1", "2", "3+"].map((k) => (
+                    <td key={k} className="border p-1">{r.byStreak[k] ? `${r.byStreak[k].W}-${r.byStreak[k].D}-${r.byStreak[k].L}` : "—"}</td>
+                  ))}
+                  <td className={`border p-1 ${Math.abs(r.W - r.predW) > Math.max(1, 0.25 * r.bouts) ? "text-red-700 font-semibold" : ""}`}>{r.W} vs {r.predW.toFixed(1)}</td>
+                  <td className="border p-1">{r.D} vs {r.predD.toFixed(1)}</td>
+                  <td className="border p-1 text-right">{r.logLoss.toFixed(3)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
     </div>
   );
 }
 
-// ============================================================
-// =                    PROBABILITY MODEL                     =
-// ============================================================
-/**
- * fatigueFactor(streak, streakPenalty)
- * Linear penalty per extra consecutive fight for the SAME athlete.
- * streak = 1 → 1.0, 2 → 1 - p, 3 → 1 - 2p, clipped to [0.7, 1].
- */
-function fatigueFactor(streak, streakPenalty) {
-  const extra = Math.max(0, streak - 1);
-  return clamp(1 - streakPenalty * extra, 0.7, 1);
-}
+const OPPONENT_MODE_LABELS = {
+  exploit: "Exploitative: best vs current opponent order",
+  robust: "Robust: best worst case over opponent orders",
+  nash: "Nash: mixed-strategy equilibrium over all orders",
+  bayes: "Bayesian: best on average over the scouting prior",
+};
 
-/**
- * scoreFromDelta(delta, gamma, alpha)
- * Signed, nonlinear contribution: sign(delta)*|delta|^gamma scaled by alpha.
- */
-function scoreFromDelta(delta, gamma, alpha) {
-  if (!alpha) return 0;
-  const mag = Math.pow(Math.abs(delta), gamma);
-  const signed = Math.sign(delta) * mag;
-  return alpha * signed;
-}
+/** Inputs for the ranking.risk settings; `clean` keeps a typed value usable. */
+const RISK_KNOBS = {
+  lambda: { label: "Variance penalty λ (below 0 favours a gamble)", symbol: "λ", step: 0.1, clean: (v) => v },
+  alpha: { label: "Worst share of outcomes α", symbol: "α", step: 0.05, min: 0.01, max: 1, clean: (v) => Math.min(1, Math.max(0.01, v)) },
+  threshold: { label: "Net wins threshold t", symbol: "t", step: 1, clean: (v) => v },
+};
 
-/**
- * probabilityModel(a, b, params, streakA, streakB)
- * Three-delta model with bounded draw and soft split of residual mass.
- * Returns { pWin, pDraw, pLose, S, deltas }
- */
-function probabilityModel(a, b, params, streakA = 1, streakB = 1) {
-  // Effective CONDITION after fatigue (winner-stays effect applies to condition only)
-  const effCondA = (a.condition ?? 5) * fatigueFactor(streakA, params.streakPenalty);
-  const effCondB = (b.condition ?? 5) * fatigueFactor(streakB, params.streakPenalty);
-
-  // Raw deltas (units: kg, cond points, tech points)
-  const dw = (a.weight ?? 0) - (b.weight ?? 0);
-  const dc = effCondA - effCondB;
-  const dt = (a.tech ?? 5) - (b.tech ?? 5);
-
-  // Component scores without any per-factor scaling
-  const Sw = scoreFromDelta(dw, params.wGamma, params.wAlpha);
-  const Sc = scoreFromDelta(dc, params.cGamma, params.cAlpha);
-  const St = scoreFromDelta(dt, params.tGamma, params.tAlpha);
-
-  // Total advantage score
-  const S = Sw + Sc + St; // sign favors A when positive
-  const A = Math.abs(S);
-
-  // Draw probability: floor 0.2, baseline PD0 at S=0, decay with |S| via tanh
-  const PD0 = clamp(params.drawBase0, 0.2, 0.95); // keep sane
-  const PD = Math.max(0.2, PD0 - 0.5 * Math.tanh(A));
-  const M = 1 - PD;
-
-  // Split remaining mass with softness k, h in [0, 0.5)
-  const h = 0.5 * (A / (A + params.splitK));
-  let PW = S >= 0 ? M * (0.5 + h) : M * (0.5 - h);
-  let PL = M - PW;
-
-  // Clamp and renormalize for safety
-  PW = clamp(PW, 0, 1);
-  const pD = clamp(PD, 0, 1);
-  PL = clamp(PL, 0, 1);
-  const sum = PW + pD + PL;
-  return { pWin: PW / sum, pDraw: pD / sum, pLose: PL / sum, S, deltas: { dw, dc, dt } };
+/** An objective's label with the risk settings it uses, e.g. "CVaR: … (α = 0.25)". */
+function objectiveLabel(key, risk) {
+  const { label, knobs } = OBJECTIVES[key];
+  return knobs ? `${label} (${knobs.map((k) => `${RISK_KNOBS[k].symbol} = ${risk[k]}`).join(", ")})` : label;
 }
 
-// ============================================================
-// =          DYNAMIC PROGRAMMING (ALL OUTCOME PATHS)         =
-// ============================================================
-function expectedNetWins(our, opp, params) {
-  const n = our.length;
-  const m = opp.length;
-  const memo = new Map();
-  const key = (i, j, si, sj) => `${i},${j},${si},${sj}`;
-  function f(i, j, si, sj) {
-    if (i >= n || j >= m) return 0;
-    const k = key(i, j, si, sj);
-    if (memo.has(k)) return memo.get(k);
-    const { pWin, pDraw, pLose } = probabilityModel(our[i], opp[j], params, si, sj);
-    const val = pWin * (1 + f(i, j + 1, si + 1, 1)) + pLose * (-1 + f(i + 1, j, 1, sj + 1)) + pDraw * (0 + f(i + 1, j + 1, 1, 1));
-    memo.set(k, val);
-    return val;
-  }
-  return f(0, 0, 1, 1);
+/** How a proposed order fares against the opponent order as entered. */
+function ProposalOutcome({ ourTeam, oppTeam, params, order }) {
+  const dist = useMemo(() => outcomeDistribution(order.map((i) => ourTeam[i]), oppTeam, params), [ourTeam, oppTeam, params, order]);
+  const pct = (p) => `${(p * 100).toFixed(1)}%`;
+  return (
+    <div className="text-sm">
+      vs the opponent order as entered: team win {pct(dist.pWin)} | tie {pct(dist.pTie)} | team loss {pct(dist.pLose)} | EV net wins {dist.ev.toFixed(3)}
+    </div>
+  );
 }
 
-// ============================================================
-// =                 SEARCH OUR LINEUP ORDERS                 =
-// ============================================================
-function optimizeOurOrder(our, opp, params) {
-  const idxs = our.map((_, i) => i);
-  const perms = permutations(idxs);
-  let best = null;
-  const top = [];
-  for (const ord of perms) {
-    const ourOrd = ord.map((i) => our[i]);
-    const ev = expectedNetWins(ourOrd, opp, params);
-    top.push({ order: ord.slice(), ev });
-    if (!best || ev > best.ev) best = { order: ord.slice(), ev };
-  }
-  top.sort((a, b) => b.ev - a.ev);
-  return { best, top: top.slice(0, 5) };
-}
-
-function robustOurOrder(our, opp, params) {
-  const ourIdxs = our.map((_, i) => i);
-  const oppIdxs = opp.map((_, i) => i);
-  const ourPerms = permutations(ourIdxs);
-  const oppPerms = permutations(oppIdxs);
-  let best = null;
-  const top = [];
-  for (const ord of ourPerms) {
-    const ourOrd = ord.map((i) => our[i]);
-    let worst = Infinity;
-    for (const oppOrdIdxs of oppPerms) {
-      const oppOrd = oppOrdIdxs.map((i) => opp[i]);
-      const ev = expectedNetWins(ourOrd, oppOrd, params);
-      worst = Math.min(worst, ev);
-    }
-    top.push({ order: ord.slice(), ev: worst });
-    if (!best || worst > best.ev) best = { order: ord.slice(), ev: worst };
-  }
-  top.sort((a, b) => b.ev - a.ev);
-  return { best, top: top.slice(0, 5) };
-}
-
-function optimizeOurOrderWithFirst(our, opp, params, firstIdx) {
-  const remaining = our.map((_, i) => i).filter((i) => i !== firstIdx);
-  const perms = permutations(remaining);
-  let best = null;
-  for (const perm of perms) {
-    const ord = [firstIdx, ...perm];
-    const ourOrd = ord.map((i) => our[i]);
-    const ev = expectedNetWins(ourOrd, opp, params);
-    if (!best || ev > best.ev) best = { order: ord.slice(), ev };
-  }
-  return best;
-}
-
-function robustOurOrderWithFirst(our, opp, params, firstIdx) {
-  const remaining = our.map((_, i) => i).filter((i) => i !== firstIdx);
-  const ourPerms = permutations(remaining);
-  const oppIdxs = opp.map((_, i) => i);
-  const oppPerms = permutations(oppIdxs);
-  let best = null;
-  for (const perm of ourPerms) {
-    const ord = [firstIdx, ...perm];
-    const ourOrd = ord.map((i) => our[i]);
-    let worst = Infinity;
-    for (const oppOrdIdxs of oppPerms) {
-      const oppOrd = oppOrdIdxs.map((i) => opp[i]);
-      const ev = expectedNetWins(ourOrd, oppOrd, params);
-      worst = Math.min(worst, ev);
+/**
+ * SharePanel — the order we propose and links to the whole setup. The link
+ * restores rosters, parameters, mode and proposal; the read-only link opens
+ * the presentation view.
+ */
+function SharePanel({ ourTeam, oppTeam, params, proposal, setProposal, bestOrder, shareUrl }) {
+  const [copied, setCopied] = useState(null);
+  const copy = async (view) => {
+    const url = shareUrl(view);
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(view ? "Read-only link copied." : "Link copied.");
+    } catch {
+      window.prompt("Copy this link:", url);
     }
-    if (!best || worst > best.ev) best = { order: ord.slice(), ev: worst };
-  }
-  return best;
+  };
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+      <h3 className="font-semibold">Share</h3>
+      {proposal ? (
+        <>
+          <OrderPicker label="Proposed order" team={ourTeam} order={proposal} setOrder={setProposal} />
+          <ProposalOutcome ourTeam={ourTeam} oppTeam={oppTeam} params={params} order={proposal} />
+        </>
+      ) : (
+        <div className="text-sm text-gray-600">No proposed order: the link shares the setup only.</div>
+      )}
+      <div className="flex flex-wrap gap-2 text-sm">
+        {bestOrder && <button className="rounded-xl border px-3 py-1 bg-gray-100" onClick={() => setProposal(bestOrder)}>Propose recommended order</button>}
+        {!proposal && <button className="rounded-xl border px-3 py-1 bg-gray-100" onClick={() => setProposal(ourTeam.map((_, i) => i))}>Propose as entered</button>}
+        {proposal && <button className="rounded-xl border px-3 py-1 bg-gray-100" onClick={() => setProposal(null)}>Clear proposal</button>}
+        <button className="rounded-xl border px-3 py-1 bg-gray-900 text-white" onClick={() => copy(false)}>Copy link</button>
+        <button className="rounded-xl border px-3 py-1 bg-gray-100" onClick={() => copy(true)}>Copy read-only link</button>
+        {copied && <span className="self-center text-green-700">{copied}</span>}
+      </div>
+    </div>
+  );
 }
 
-function pickOppBestOrderAgainst(our, opp, params) {
-  const oppIdxs = opp.map((_, i) => i);
-  const oppPerms = permutations(oppIdxs);
-  let worst = null;
-  for (const oppOrdIdxs of oppPerms) {
-    const oppOrd = oppOrdIdxs.map((i) => opp[i]);
-    const ev = expectedNetWins(our, oppOrd, params);
-    if (!worst || ev < worst.ev) worst = { order: oppOrdIdxs.slice(), ev };
-  }
-  return worst;
+/**
+ * PresentationView — what a read-only link shows: both rosters, the model and
+ * rules in words, the proposed order and (as children) the recommendation.
+ */
+function PresentationView({ ourTeam, oppTeam, params, mode, ranking, proposal, children }) {
+  const model = resolveModel(params);
+  const fields = [...params.factors, ...model.athleteFields.filter((f) => [...ourTeam, ...oppTeam].some((p) => p[f.key] !== undefined))];
+  const cell = (p, f) => {
+    const r = p.ranges?.[f.key];
+    return `${p[f.key] ?? f.default}${r ? ` (${r.min}–${r.max})` : ""}`;
+  };
+  const Roster = ({ title, team }) => (
+    <div className="bg-white rounded-2xl shadow p-4 overflow-auto">
+      <h3 className="font-semibold mb-2">{title}</h3>
+      <table className="border-collapse text-sm">
+        <thead>
+          <tr>
+            <th className="border p-1 text-left">Athlete</th>
+            {fields.map((f) => <th key={f.key} className="border p-1">{f.label}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {team.map((p, k) => (
+            <tr key={k}>
+              <td className="border p-1">{p.name}</td>
+              {fields.map((f) => <td key={f.key} className="border p-1 text-right">{cell(p, f)}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Roster title="Our team (fielded)" team={ourTeam} />
+        <Roster title="Opponent team" team={oppTeam} />
+      </div>
+      <div className="bg-white rounded-2xl shadow p-4 text-sm space-y-1">
+        <div><span className="font-medium">Model:</span> {model.label}</div>
+        <div><span className="font-medium">Rules:</span> {describeRules(resolveRules(params))}</div>
+        <div><span className="font-medium">Opponent order:</span> {OPPONENT_MODE_LABELS[mode]}</div>
+        <div><span className="font-medium">Ranked by:</span> {objectiveLabel(ranking.objective, ranking.risk)}</div>
+      </div>
+      {proposal && (
+        <div className="bg-white rounded-2xl shadow p-4 space-y-2">
+          <h3 className="font-semibold">Proposed order</h3>
+          <ol className="flex flex-wrap gap-2">
+            {proposal.map((idx, k) => <li key={k} className="px-3 py-1 rounded-full bg-gray-100 border">{ourTeam[idx].name}</li>)}
+          </ol>
+          <ProposalOutcome ourTeam={ourTeam} oppTeam={oppTeam} params={params} order={proposal} />
+        </div>
+      )}
+      {children}
+    </div>
+  );
 }
 
 // ============================================================
 // =                           APP                            =
 // ============================================================
 export default function App() {
-  // Teams
-  const [ourTeam, setOurTeam] = useState(defaultTeam("Our"));
-  const [oppTeam, setOppTeam] = useState(defaultTeamOthers("Opp"));
+  // A shared link opened with the page sets the starting state
+  const [link] = useState(() => (typeof window === "undefined" ? null : readShareLink(window.location.hash)));
+  const linked = link?.state;
+  const [linkError, setLinkError] = useState(link?.error || null);
+  const [readOnly, setReadOnly] = useState(!!(linked && link.view));
+
+  // Teams: our roster is a pool; `squad` (pool indices) is who we field
+  const [ourPool, setOurPool] = useState(() => linked?.teams.pool || defaultTeam("Our"));
+  const [squad, setSquad] = useState(() => linked?.teams.squad || ourPool.map((_, i) => i));
+  const [squadRules, setSquadRules] = useState(linked?.teams.squadRules || DEFAULT_SQUAD_RULES);
+  // Lineup constraints on our roster (roster indices) and as they apply to the squad
+  const [constraints, setConstraints] = useState(linked?.teams.constraints || []);
+  const teamConstraints = useMemo(() => constraintsForSquad(constraints, squad), [constraints, squad]);
+  const ourTeam = useMemo(() => squad.map((i) => ourPool[i]).filter(Boolean), [ourPool, squad]);
+  const [oppTeam, setOppTeam] = useState(() => linked?.scouting.team || defaultTeamOthers("Opp"));
+  // Opponent teams sampled from the scouting ranges ([oppTeam] when there are none)
+  const [sampleCount, setSampleCount] = useState(linked?.samples || DEFAULT_UNCERTAINTY_SAMPLES);
+  const oppSamples = useMemo(() => sampleTeams(oppTeam, sampleCount), [oppTeam, sampleCount]);
+
+  // Model knobs
+  const [params, setParams] = useState(linked?.presets.params || DEFAULT_PARAMS);
+  const setParam = (key) => (value) => setParams((p) => withParam(p, key, value));
+  const [mode, setMode] = useState(linked?.presets.mode || "exploit");
+  const [objective, setObjective] = useState(linked?.presets.ranking.objective || DEFAULT_RANKING.objective);
+  const [tieBreak, setTieBreak] = useState(linked?.presets.ranking.tieBreak || DEFAULT_RANKING.tieBreak);
+  const [risk, setRisk] = useState(linked?.presets.ranking.risk || DEFAULT_RISK);
+  const [oppPrior, setOppPrior] = useState(() => linked?.scouting.prior || defaultOppPrior(5));
+  // The order we propose for the fielded squad, carried by shared links
+  const [proposal, setProposal] = useState(linked?.proposal || null);
+  const [history, setHistory] = useStoredState("history/v1", EMPTY_HISTORY, cleanHistory);
+  const [library, setLibrary] = useStoredState("library/v1", EMPTY_LIBRARY);
+  // The event plan's rest lists hold pool indices: those past the roster are dropped
+  const [event, setEvent] = useStoredState("event/v1", DEFAULT_EVENT, (e) => ({
+    ...e,
+    rest: (Array.isArray(e.rest) ? e.rest : []).map((held) => (Array.isArray(held) ? held : []).filter((i) => Number.isInteger(i) && i >= 0 && i < ourPool.length)),
+  }));
 
-  // Model knobs — multipliers and exponents only; PD0 for draws; split softness; fatigue
-  const [wGamma, setWGamma] = useState(0.5);
-  const [cGamma, setCGamma] = useState(0.5);
-  const [tGamma, setTGamma] = useState(0.5);
+  // One object per setting so panels can tell when their result is stale
+  const ranking = useMemo(() => ({ objective, tieBreak, risk }), [objective, tieBreak, risk]);
+  const riskKnobs = [...new Set([objective, tieBreak].flatMap((k) => OBJECTIVES[k]?.knobs || []))];
+  const model = resolveModel(params);
 
-  // 
-  const [wAlpha, setWAlpha] = useState(1.0);
-  const [cAlpha, setCAlpha] = useState(1.0);
-  const [tAlpha, setTAlpha] = useState(1.0);
+  const learnRatings = () => {
+    const ratings = learnRatingsFromHistory(history, params, [ourTeam, oppTeam]);
+    const apply = (team) => team.map((p) => ({ ...p, rating: Math.round(ratings.get(p.name) ?? p.rating ?? DEFAULT_RATING) }));
+    setOurPool(apply(ourPool));
+    setOppTeam(apply(oppTeam));
+  };
+  const objShort = OBJECTIVES[objective].short;
+
+  const priorDist = useMemo(() => opponentOrderPrior(oppTeam, oppPrior), [oppTeam, oppPrior]);
+  // An impossible prior falls back to the order as entered
+  const priorOrders = priorDist.orders.length ? priorDist.orders : [{ order: oppTeam.map((_, i) => i), p: 1 }];
+
+  // Optimization: the lineup searches run in the worker
+  const job = useMemo(
+    () => ({ our: ourTeam, opp: oppTeam, params, mode, ranking, oppOrders: mode === "bayes" ? priorOrders : null, constraints: teamConstraints, samples: oppSamples }),
+    [ourTeam, oppTeam, params, mode, ranking, priorDist, teamConstraints, oppSamples]
+  );
+  const optimizer = useOptimizer(job);
+  const { result, oppBestResponse, byFirst } = optimizer;
+  // Results are shown with the teams and settings they were computed for
+  const shown = optimizer.job || job;
+  const computing = !!optimizer.progress;
 
-  const [drawBase0, setDrawBase0] = useState(0.50); // PD(0)
-  const [splitK, setSplitK] = useState(2.0);        // softness for win/loss split
-  const [streakPenalty, setStreakPenalty] = useState(0.1); // per extra consecutive fight
-  const [mode, setMode] = useState("exploit");
+  // Roster edits: keep the fielded squad's pool indices, the event's rest lists
+  // and the scouting prior in step
+  const addAthlete = (pool, setPool) => () => {
+    const last = pool[pool.length - 1] || {};
+    setPool([...pool, { ...last, name: `Athlete ${pool.length + 1}` }]);
+  };
+  const removeOurAthlete = (idx) => {
+    const shift = (i) => (i > idx ? i - 1 : i);
+    setOurPool(ourPool.filter((_, i) => i !== idx));
+    const kept = squad.filter((i) => i !== idx).map(shift);
+    setSquad(kept.length ? kept : [0]);
+    setConstraints(constraints
+      .filter((c) => c.a !== idx && c.b !== idx)
+      .map((c) => ({ ...c, a: shift(c.a), ...(c.b === undefined ? {} : { b: shift(c.b) }) })));
+    setEvent((e) => ({ ...e, rest: e.rest.map((held) => held.filter((i) => i !== idx).map(shift)) }));
+  };
+  // A roster replaced wholesale leaves nobody to rest
+  const clearRest = () => setEvent((e) => ({ ...e, rest: [] }));
+  const setOppTeamSized = (team) => {
+    setOppTeam(team);
+    if (team.length !== oppTeam.length) setOppPrior(defaultOppPrior(team.length));
+  };
 
-  const params = { wGamma, wAlpha, cGamma, cAlpha, tGamma, tAlpha, drawBase0, splitK, streakPenalty };
+  // Saved setups: what Save stores for each library kind, and how Load restores it
+  const currentSetup = {
+    teams: { pool: ourPool, squad, squadRules, constraints },
+    scouting: { team: oppTeam, prior: oppPrior },
+    presets: { params, mode, ranking },
+  };
+  const loadSetup = (kind, e) => {
+    if (kind === "teams") {
+      setOurPool(e.pool);
+      setSquad(e.squad);
+      setSquadRules(e.squadRules);
+      setConstraints(e.constraints);
+      clearRest();
+    } else if (kind === "scouting") {
+      setOppTeam(e.team);
+      setOppPrior(e.prior);
+    } else {
+      setParams(e.params);
+      setMode(e.mode);
+      setObjective(e.ranking.objective);
+      setTieBreak(e.ranking.tieBreak);
+      setRisk(e.ranking.risk);
+    }
+  };
+  const importRoster = (side, team) => {
+    if (side === "opp") return setOppTeamSized(team);
+    setOurPool(team);
+    setSquad(team.map((_, i) => i));
+    setConstraints([]);
+    clearRest();
+  };
 
-  // Optimization
-  const result = useMemo(() => {
-    if (mode === "exploit") return optimizeOurOrder(ourTeam, oppTeam, params);
-    return robustOurOrder(ourTeam, oppTeam, params);
-  }, [ourTeam, oppTeam, wGamma, wAlpha, cGamma, cAlpha, tGamma, tAlpha, drawBase0, splitK, streakPenalty, mode]);
+  // Shared links: the address bar always holds the current state, and a link
+  // pasted into this tab replaces it
+  const validProposal = proposal?.length === ourTeam.length ? proposal : null;
+  const shareState = { ...currentSetup, samples: sampleCount, proposal: validProposal };
+  const shareUrl = (view) => `${window.location.href.split("#")[0]}${shareLinkHash(shareState, view)}`;
+  const hash = shareLinkHash(shareState, readOnly);
+  useEffect(() => { window.history.replaceState(null, "", hash); }, [hash]);
+  useEffect(() => {
+    const open = () => {
+      const opened = readShareLink(window.location.hash);
+      if (!opened) return;
+      setLinkError(opened.error || null);
+      if (opened.error) return;
+      for (const kind of Object.keys(EMPTY_LIBRARY)) loadSetup(kind, opened.state[kind]);
+      setSampleCount(opened.state.samples);
+      setProposal(opened.state.proposal);
+      setReadOnly(opened.view);
+    };
+    window.addEventListener("hashchange", open);
+    return () => window.removeEventListener("hashchange", open);
+  }, []);
 
   const bestOurOrderIdxs = result?.best?.order || [];
-  const bestOurOrder = bestOurOrderIdxs.map((i) => ourTeam[i]);
 
-  const oppBestResponse = useMemo(() => {
-    if (bestOurOrder.length === 0) return null;
-    return pickOppBestOrderAgainst(bestOurOrder, oppTeam, params);
-  }, [bestOurOrder, oppTeam, params]);
+  // Exploit: distribution vs the opponent order as typed. Robust: vs the worst-case order.
+  // Nash: vs the opponent's equilibrium mix. Bayes: vs the scouting prior.
+  const bestDist = result?.best?.dist || null;
+  const [sampledOrder, setSampledOrder] = useState(null);
+
+  const fmtPct = (p) => `${(p * 100).toFixed(1)}%`;
+  const shownObjective = OBJECTIVES[shown.ranking.objective];
+  // Constraint costs by roster constraint, only while they match the inputs
+  const constraintCostView = (() => {
+    const costs = optimizer.constraintCosts;
+    if (!costs || shown !== job) return null;
+    const each = [];
+    shown.constraints.forEach((c, k) => { each[c.source] = costs.each[k]; });
+    const all = result?.best ? { score: shown.mode === "nash" ? result.game.value : shownObjective.score(result.best, shown.ranking.risk), ev: result.best.ev } : null;
+    return { free: costs.free, each, all };
+  })();
+  const rowSummary = (row) => `${shownObjective.short}: ${shownObjective.score(row, shown.ranking.risk).toFixed(3)} | EV net wins: ${row.ev.toFixed(3)} | P(win) ${fmtPct(row.pWin)}`;
 
   // Preview components
   function OrderBadge({ label, team, orderIdxs }) {
@@ -343,15 +2470,69 @@ export default function App() {
     );
   }
 
-  const ProbPreview = () => {
-    const a = ourTeam[0];
-    const b = oppTeam[0];
-    const { pWin, pDraw, pLose, S, deltas } = probabilityModel(a, b, params, 1, 1);
+  const OutcomeDistribution = ({ dist }) => (
+    <div className="rounded-2xl border p-3">
+      <div className="font-semibold mb-2">Outcome distribution{shown.mode === "robust" ? " (vs worst-case opponent order)" : shown.mode === "nash" ? " (vs opponent equilibrium mix)" : shown.mode === "bayes" ? " (averaged over the scouting prior)" : " (vs opponent order as entered)"}</div>
+      <div className="text-sm mb-2">
+        Team win {fmtPct(dist.pWin)} | Tie {fmtPct(dist.pTie)} | Team loss {fmtPct(dist.pLose)} | EV net wins {dist.ev.toFixed(3)}
+      </div>
+      <div className="overflow-auto">
+        <table className="border-collapse text-sm">
+          <thead>
+            <tr>
+              <th className="border p-2">Result</th>
+              <th className="border p-2">Our fighters left</th>
+              <th className="border p-2">Opp fighters left</th>
+              <th className="border p-2">Net wins</th>
+              <th className="border p-2">Probability</th>
+            </tr>
+          </thead>
+          <tbody>
+            {dist.states.map((s, k) => (
+              <tr key={k} className={s.result === "win" ? "text-green-700" : s.result === "lose" ? "text-red-700" : "text-gray-700"}>
+                <td className="border p-2">{s.result}{s.captain ? " (captain's bout)" : ""}</td>
+                <td className="border p-2 text-center">{s.ourLeft}</td>
+                <td className="border p-2 text-center">{s.oppLeft}</td>
+                <td className="border p-2 text-center">{s.net > 0 ? `+${s.net}` : s.net}</td>
+                <td className="border p-2 text-right">{fmtPct(s.p)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+
+  const MixedStrategy = ({ game }) => {
+    const MixTable = ({ title, team, mix }) => (
+      <div>
+        <div className="font-medium mb-1">{title}</div>
+        <table className="border-collapse text-sm w-full">
+          <tbody>
+            {mix.map((row, k) => (
+              <tr key={k}>
+                <td className="border p-2 text-right w-20">{fmtPct(row.p)}</td>
+                <td className="border p-2">{row.order.map((idx) => team[idx].name).join(" → ")}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
     return (
-      <div className="rounded-2xl border p-3">
-        <div className="font-semibold mb-2">Probability model preview (Our[1] vs Opp[1])</div>
-        <div className="text-sm">Score S: {S.toFixed(3)} | Δw: {deltas.dw.toFixed(1)} kg, Δc: {deltas.dc.toFixed(2)}, Δt: {deltas.dt.toFixed(2)}</div>
-        <div className="text-sm">W { (pWin*100).toFixed(1) }% | D { (pDraw*100).toFixed(1) }% | L { (pLose*100).toFixed(1) }%</div>
+      <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+        <h3 className="font-semibold">Mixed-strategy equilibrium</h3>
+        <div className="text-sm">
+          Game value ({shownObjective.label}): <span className="font-semibold">{game.value.toFixed(3)}</span>. Submitting an order drawn from our mix guarantees at least this on average, whatever order the opponent picks.
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <MixTable title={`Our equilibrium mix (${game.ours.length} orders)`} team={shown.our} mix={game.ours} />
+          <MixTable title={`Opponent equilibrium mix (${game.opp.length} orders)`} team={shown.opp} mix={game.opp} />
+        </div>
+        <div className="flex items-center gap-3">
+          <button className="rounded-xl border px-3 py-2 bg-gray-100" onClick={() => setSampledOrder(sampleMixedOrder(game.ours))}>Draw an order from our mix</button>
+          {sampledOrder && <div className="text-sm">Submit: <span className="font-semibold">{sampledOrder.map((idx) => shown.our[idx].name).join(" → ")}</span></div>}
+        </div>
       </div>
     );
   };
@@ -374,7 +2555,7 @@ export default function App() {
               <tr key={i}>
                 <th className="border p-2 text-sm text-left">{a.name}</th>
                 {oppTeam.map((b, j) => {
-                  const { pWin, pDraw, pLose } = probabilityModel(a, b, params, 1, 1);
+                  const { pWin, pDraw, pLose } = predictBout(a, b, params, 1, 1);
                   return (
                     <td key={j} className="border p-2 text-xs text-center">
                       W {(pWin * 100).toFixed(0)}%<br />
@@ -391,143 +2572,180 @@ export default function App() {
     </div>
   );
 
-  // Diagnostics & Tests
-  function runTests() {
-    const tests = [];
-
-    // Sum to ~1
-    {
-      const a = { weight: 100, condition: 8, tech: 7 };
-      const b = { weight: 100, condition: 8, tech: 7 };
-      const { pWin, pDraw, pLose } = probabilityModel(a, b, params, 1, 1);
-      const sum = pWin + pDraw + pLose;
-      tests.push({ name: "Probabilities sum to 1", passed: Math.abs(sum - 1) < 1e-9, info: `sum=${sum.toFixed(6)}` });
-    }
-
-    // Baseline PD(0)=drawBase0, PW=PL=(1-PD0)/2
-    {
-      const a = { weight: 90, condition: 5, tech: 5 };
-      const b = { weight: 90, condition: 5, tech: 5 };
-      const { pWin, pDraw, pLose } = probabilityModel(a, b, params, 1, 1);
-      const PD0 = clamp(drawBase0, 0.2, 0.95);
-      const target = (1 - PD0) / 2;
-      tests.push({ name: "Zero deltas baseline", passed: Math.abs(pDraw - PD0) < 1e-6 && Math.abs(pWin - target) < 1e-3, info: `W=${(pWin*100).toFixed(1)} D=${(pDraw*100).toFixed(1)} L=${(pLose*100).toFixed(1)} (PD0=${(PD0*100).toFixed(1)})` });
-    }
-
-    // Draw never below 0.2
-    {
-      const a = { weight: 140, condition: 10, tech: 10 };
-      const b = { weight: 60,  condition: 1,  tech: 1 };
-      const { pDraw } = probabilityModel(a, b, params, 1, 1);
-      tests.push({ name: "Draw floor 0.2", passed: pDraw >= 0.2 - 1e-9, info: `pD=${pDraw.toFixed(3)}` });
-    }
-
-    // Monotonicity checks
-    {
-      const baseA = { weight: 90, condition: 8, tech: 7 };
-      const baseB = { weight: 90, condition: 8, tech: 7 };
-      const p0 = probabilityModel(baseA, baseB, params, 1, 1).pWin;
-      const pW = probabilityModel({ ...baseA, weight: 100 }, baseB, params, 1, 1).pWin;
-      const pC = probabilityModel({ ...baseA, condition: 10 }, baseB, params, 1, 1).pWin;
-      const pT = probabilityModel({ ...baseA, tech: 10 }, baseB, params, 1, 1).pWin;
-      tests.push({ name: "Heavier ↑ P(win)", passed: pW > p0, info: `p0=${p0.toFixed(3)} → pW=${pW.toFixed(3)}` });
-      tests.push({ name: "Condition ↑ P(win)", passed: pC > p0, info: `p0=${p0.toFixed(3)} → pC=${pC.toFixed(3)}` });
-      tests.push({ name: "Technique ↑ P(win)", passed: pT > p0, info: `p0=${p0.toFixed(3)} → pT=${pT.toFixed(3)}` });
-    }
+  // Diagnostics & Tests: run in the worker once the parameters settle; the
+  // last results stay up meanwhile
+  const diagnosticsJob = useMemo(() => ({ task: "diagnostics", params }), [params]);
+  const diagnostics = useOptimizer(diagnosticsJob);
+  const testResults = diagnostics.diagnostics || [];
 
-    // Fatigue reduces win chance (conditional on no-draw to avoid PD side-effects)
-    {
-      const a = { weight: 90, condition: 8, tech: 7 };
-      const b = { weight: 90, condition: 8, tech: 7 };
-      const freshRes = probabilityModel(a, b, params, 1, 1);
-      const tiredRes = probabilityModel(a, b, params, 3, 1);
-      const fresh = freshRes.pWin;
-      const tired = tiredRes.pWin;
-      const freshShare = fresh / (1 - freshRes.pDraw);
-      const tiredShare  = tired  / (1 - tiredRes.pDraw);
-      const passed = tiredShare < freshShare - 1e-9;
-      tests.push({ name: "Fatigue reduces P(win | not draw)", passed, info: `fresh=${fresh.toFixed(3)} (share=${freshShare.toFixed(3)}) tired=${tired.toFixed(3)} (share=${tiredShare.toFixed(3)})` });
-    }
+  // Totals
+  const oppTotal = oppTeam.reduce((s, p) => s + (Number(p.weight) || 0), 0);
 
-    // Antisymmetry sanity: EV(our, opp) ≈ -EV(opp, our) in a simple 1v1
-    {
-      const A = [{ name: "A", weight: 95, condition: 7, tech: 7 }];
-      const B = [{ name: "B", weight: 85, condition: 7, tech: 7 }];
-      const evAB = expectedNetWins(A, B, params);
-      const evBA = expectedNetWins(B, A, params);
-      const passed = Math.abs(evAB + evBA) < 1e-9;
-      tests.push({ name: "EV antisymmetry (1v1)", passed, info: `evAB=${evAB.toFixed(6)} evBA=${evBA.toFixed(6)}` });
-    }
+  const recommendedPanel = (
+    <div className="bg-white rounded-2xl shadow p-4 space-y-2">
+      <h3 className="font-semibold mb-1">Recommended Order</h3>
+      <OptimizerStatus
+        progress={optimizer.progress} stale={!optimizer.done || shown !== job} error={optimizer.error}
+        onCancel={optimizer.cancel} onRerun={optimizer.rerun}
+      />
+      {bestOurOrderIdxs.length > 0 ? (
+        <div className={`space-y-2 ${computing ? "opacity-60" : ""}`}>
+          <OrderBadge label={`Our optimal order (${shown.mode}) — ${rowSummary(result.best)}`} team={shown.our} orderIdxs={bestOurOrderIdxs} />
+          {oppBestResponse && (
+            <OrderBadge label={`Assuming opponent best response — OUR ${rowSummary(oppBestResponse)}`} team={shown.opp} orderIdxs={oppBestResponse.order} />
+          )}
+          {bestDist && <OutcomeDistribution dist={bestDist} />}
+        </div>
+      ) : (
+        <div>{computing ? "Computing…" : result && !result.best ? "No order meets the lineup constraints." : "No result."}</div>
+      )}
+    </div>
+  );
+  const linkProblem = linkError && (
+    <div className="rounded-2xl border border-red-300 bg-red-50 p-3 text-sm text-red-800 flex justify-between">
+      {linkError}.
+      <button onClick={() => setLinkError(null)}>dismiss</button>
+    </div>
+  );
 
-    return tests;
+  if (readOnly) {
+    return (
+      <div className="p-6 max-w-7xl mx-auto space-y-6">
+        <div className="flex flex-wrap items-baseline justify-between gap-2">
+          <h1 className="text-2xl font-bold">Quintet Lineup Optimizer</h1>
+          <button className="rounded-xl border px-3 py-1 bg-gray-100 text-sm" onClick={() => setReadOnly(false)}>Edit a copy</button>
+        </div>
+        <p className="text-sm text-gray-600">A shared setup, read-only. Editing a copy leaves the sender's link as it was.</p>
+        <PresentationView ourTeam={ourTeam} oppTeam={oppTeam} params={params} mode={mode} ranking={ranking} proposal={validProposal}>
+          {recommendedPanel}
+        </PresentationView>
+      </div>
+    );
   }
 
-  const testResults = useMemo(runTests, [wGamma, wAlpha, cGamma, cAlpha, tGamma, tAlpha, drawBase0, splitK, streakPenalty]);
-
-  // Totals
-  const oppTotal = oppTeam.reduce((s, p) => s + (Number(p.weight) || 0), 0);
-
   return (
     <div className="p-6 max-w-7xl mx-auto space-y-6">
       <h1 className="text-2xl font-bold">Quintet Lineup Optimizer</h1>
+      {linkProblem}
       <p className="text-sm text-gray-600">
-        Simple three-delta model with multipliers (importance) and exponents (nonlinearity). Draw uses a PD(0) baseline, never drops below 0.2, and decays with |S|.
+        Factor model (one delta per athlete attribute) with multipliers (importance) and exponents (nonlinearity). Draw uses a PD(0) baseline, never drops below 0.2, and decays with |S|.
       </p>
 
+      <LibraryPanel
+        library={library} setLibrary={setLibrary} current={currentSetup} onLoad={loadSetup}
+        attributeKeys={params.factors.map((f) => f.key)} onImportRoster={importRoster}
+      />
+
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
         <div className="col-span-2 space-y-4">
-          <RosterEditor team={ourTeam} setTeam={setOurTeam} title="Our Team" />
-          <RosterEditor team={oppTeam} setTeam={setOppTeam} title={`Opponent Team (total: ${oppTotal.toFixed(1)} kg)`} />
+          <RosterEditor
+            team={ourPool} setTeam={setOurPool} title={`Our Team (${squad.length} of ${ourPool.length} fielded)`} attributes={params.factors} athleteFields={model.athleteFields}
+            onAdd={addAthlete(ourPool, setOurPool)} onRemove={removeOurAthlete} fielded={squad} setFielded={setSquad}
+          />
+          <RosterEditor
+            team={oppTeam} setTeam={setOppTeamSized} title={`Opponent Team (total: ${oppTotal.toFixed(1)} kg)`} attributes={params.factors} athleteFields={model.athleteFields} ranged
+            onAdd={addAthlete(oppTeam, setOppTeamSized)} onRemove={(idx) => setOppTeamSized(oppTeam.filter((_, i) => i !== idx))}
+          />
+          <SquadPanel
+            pool={ourPool} squad={squad} setSquad={setSquad} squadRules={squadRules} setSquadRules={setSquadRules}
+            search={{ opp: oppTeam, params, mode, ranking, oppOrders: job.oppOrders, constraints, samples: oppSamples }} objShort={objShort}
+          />
+          <ConstraintEditor
+            pool={ourPool} squad={squad} constraints={constraints} setConstraints={setConstraints}
+            costs={constraintCostView} legalCount={legalOrders(ourTeam.length, teamConstraints).length} objShort={objShort}
+          />
         </div>
         <div className="space-y-4">
           <div className="bg-white rounded-2xl shadow p-4">
             <h3 className="font-semibold mb-2">Model parameters</h3>
-            <TextInput label="Weight exponent (γw)" value={wGamma} onChange={setWGamma} step={0.1} min={0.5} help="Nonlinearity for weight delta" />
-            <TextInput label="Weight multiplier (αw)" value={wAlpha} onChange={setWAlpha} step={0.1} min={0} help="Importance of weight" />
-
-            <TextInput label="Condition exponent (γc)" value={cGamma} onChange={setCGamma} step={0.1} min={0.5} help="Nonlinearity for condition delta" />
-            <TextInput label="Condition multiplier (αc)" value={cAlpha} onChange={setCAlpha} step={0.1} min={0} help="Importance of condition" />
-
-            <TextInput label="Technique exponent (γt)" value={tGamma} onChange={setTGamma} step={0.1} min={0.5} help="Nonlinearity for technique delta" />
-            <TextInput label="Technique multiplier (αt)" value={tAlpha} onChange={setTAlpha} step={0.1} min={0} help="Importance of technique" />
-
-            <TextInput label="Draw PD(0) baseline" value={drawBase0} onChange={setDrawBase0} step={0.01} min={0.2} max={0.95} help="Draw at equal matchups. Floor is 0.2." />
-            <TextInput label="Split softness (k)" value={splitK} onChange={setSplitK} step={0.1} min={0.1} help="Higher = slower shift from 50/50 of non-draw mass" />
-            <TextInput label="Streak penalty / extra fight" value={streakPenalty} onChange={setStreakPenalty} step={0.01} min={0} max={0.2} help="Reduces effective condition for consecutive bouts" />
+            <label className="block text-sm mb-3">Model
+              <select className="mt-1 w-full border rounded-xl p-2" value={params.model} onChange={(e) => setParam("model")(e.target.value)}>
+                {Object.entries(MODELS).map(([k, m]) => <option key={k} value={k}>{m.label}</option>)}
+              </select>
+            </label>
+            {params.model === "quintet" && (
+              <>
+                <FactorEditor factors={params.factors} setFactors={(factors) => setParams((p) => ({ ...p, factors }))} />
+                <FatigueEditor params={params} setParams={setParams} staminas={[...ourTeam, ...oppTeam].map((p) => p.stamina).filter(Number.isFinite)} />
+              </>
+            )}
+            {modelFields(params).map((f) => (
+              <TextInput key={f.key} label={f.label} value={getParam(params, f.key)} onChange={setParam(f.key)} step={f.step} min={f.min} max={f.max} help={f.help} />
+            ))}
+            {params.model === "elo" && (
+              <button className="rounded-xl border px-3 py-2 bg-gray-100 text-sm disabled:opacity-50" disabled={!history.matches.length} onClick={learnRatings}>
+                Update ratings from match history
+              </button>
+            )}
           </div>
+          <RulesetEditor rules={params.rules} setRules={(rules) => setParams((p) => ({ ...p, rules }))} />
           <div className="bg-white rounded-2xl shadow p-4">
             <h3 className="font-semibold mb-2">Opponent-order assumption</h3>
             <select className="w-full border rounded-xl p-2" value={mode} onChange={(e) => setMode(e.target.value)}>
-              <option value="exploit">Exploitative: maximize EV vs current opponent order</option>
-              <option value="robust">Robust: maximize our worst-case EV</option>
+              {Object.entries(OPPONENT_MODE_LABELS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
             </select>
           </div>
+          <div className="bg-white rounded-2xl shadow p-4">
+            <h3 className="font-semibold mb-2">Ranking objective</h3>
+            <label className="block text-sm mb-2">Rank orders by
+              <select className="mt-1 w-full border rounded-xl p-2" value={objective} onChange={(e) => setObjective(e.target.value)}>
+                {Object.entries(OBJECTIVES).map(([k, o]) => <option key={k} value={k}>{o.label}</option>)}
+              </select>
+            </label>
+            <label className="block text-sm">Tie-break
+              <select className="mt-1 w-full border rounded-xl p-2" value={tieBreak} onChange={(e) => setTieBreak(e.target.value)}>
+                <option value="none">None</option>
+                {Object.entries(OBJECTIVES).filter(([k]) => k !== objective).map(([k, o]) => <option key={k} value={k}>{o.label}</option>)}
+              </select>
+            </label>
+            {riskKnobs.map((k) => {
+              const knob = RISK_KNOBS[k];
+              return (
+                <label key={k} className="block text-sm mt-2">{knob.label}
+                  <input
+                    type="number" step={knob.step} min={knob.min} max={knob.max} className="mt-1 w-full border rounded-xl p-2" value={risk[k]}
+                    onChange={(e) => { const v = parseFloat(e.target.value); if (Number.isFinite(v)) setRisk((r) => ({ ...r, [k]: knob.clean(v) })); }}
+                  />
+                </label>
+              );
+            })}
+            {riskKnobs.length > 0 && <p className="text-xs text-gray-500 mt-2">Risk objectives read the whole distribution of net wins, so every order is searched.</p>}
+          </div>
         </div>
       </div>
 
-      <div className="bg-white rounded-2xl shadow p-4">
-        <h3 className="font-semibold mb-3">Recommended Order</h3>
-        {bestOurOrderIdxs.length > 0 ? (
-          <div className="space-y-2">
-            <OrderBadge label={`Our optimal order (${mode}) — EV net wins: ${result.best.ev.toFixed(3)}`} team={ourTeam} orderIdxs={bestOurOrderIdxs} />
-            {oppBestResponse && (
-              <OrderBadge label={`Assuming opponent best response — OUR EV vs that: ${oppBestResponse.ev.toFixed(3)}`} team={oppTeam} orderIdxs={oppBestResponse.order} />
-            )}
-          </div>
-        ) : (
-          <div>No result.</div>
-        )}
-      </div>
+      {recommendedPanel}
+
+      <SharePanel
+        ourTeam={ourTeam} oppTeam={oppTeam} params={params} proposal={validProposal} setProposal={setProposal}
+        bestOrder={shown === job ? result?.best?.order : undefined} shareUrl={shareUrl}
+      />
+
+      <LiveMatchPanel
+        ourTeam={applyBoutCaps(ourTeam, teamConstraints)} oppTeam={oppTeam} params={params} setHistory={setHistory}
+        bestOrder={shown === job ? result?.best?.order : undefined} oppResponse={shown === job ? oppBestResponse?.order : undefined}
+      />
+
+      <UncertaintyPanel
+        opp={oppTeam} our={shown.our} fields={[...params.factors, ...model.athleteFields]} count={sampleCount} setCount={setSampleCount}
+        stability={shown === job ? optimizer.stability : null} recommended={result?.best?.order} objShort={OBJECTIVES[shown.ranking.objective].short} computing={computing}
+      />
+
+      {shown.mode === "nash" && result?.game && <MixedStrategy game={result.game} />}
+      {mode === "bayes" && <ScoutingPriorEditor opp={oppTeam} prior={oppPrior} setPrior={setOppPrior} priorDist={priorDist} />}
 
       <div className="bg-white rounded-2xl shadow p-4">
-        <h3 className="font-semibold mb-3">Top 5 Our Orders (by EV)</h3>
-        <div className="space-y-2">
-          {result.top.map((row, i) => (
+        <h3 className="font-semibold mb-3">
+          Top 5 Our Orders (by {shown.mode === "nash" ? "equilibrium probability" : shownObjective.label})
+          {computing && <span className="ml-2 text-xs font-normal text-gray-500">computing…</span>}
+        </h3>
+        <div className={`space-y-2 ${computing ? "opacity-60" : ""}`}>
+          {(result?.top || []).map((row, i) => (
             <div key={i} className="border rounded-2xl p-3">
-              <div className="text-sm text-gray-600">EV net wins: {row.ev.toFixed(3)}</div>
+              <div className="text-sm text-gray-600">{shown.mode === "nash" && `Play ${fmtPct(row.p)} | `}{rowSummary(row)}</div>
               <ol className="flex flex-wrap gap-2 mt-1">
                 {row.order.map((idx, k) => (
-                  <li key={k} className="px-3 py-1 rounded-full bg-gray-100 border">{ourTeam[idx].name}</li>
+                  <li key={k} className="px-3 py-1 rounded-full bg-gray-100 border">{shown.our[idx].name}</li>
                 ))}
               </ol>
             </div>
@@ -536,16 +2754,19 @@ export default function App() {
       </div>
 
       <div className="bg-white rounded-2xl shadow p-4">
-        <h3 className="font-semibold mb-3">Best Orders with Each Player First</h3>
-        <div className="space-y-2">
-          {ourTeam.map((_, i) => {
-            const res = mode === "robust" ? robustOurOrderWithFirst(ourTeam, oppTeam, params, i) : optimizeOurOrderWithFirst(ourTeam, oppTeam, params, i);
+        <h3 className="font-semibold mb-3">
+          Best Orders with Each Player First
+          {computing && <span className="ml-2 text-xs font-normal text-gray-500">computing…</span>}
+        </h3>
+        <div className={`space-y-2 ${computing ? "opacity-60" : ""}`}>
+          {byFirst.map((res, i) => {
+            if (!res) return <div key={i} className="border rounded-xl p-3 text-sm text-gray-600">{shown.our[i].name} first — ruled out by the lineup constraints</div>;
             return (
               <div key={i} className="border rounded-xl p-3">
-                <div className="text-sm text-gray-600">{ourTeam[i].name} first — EV net wins: {res.ev.toFixed(3)}</div>
+                <div className="text-sm text-gray-600">{shown.our[i].name} first — {rowSummary(res)}</div>
                 <ol className="flex flex-wrap gap-2 mt-1">
                   {res.order.map((idx, k) => (
-                    <li key={k} className="px-3 py-1 rounded-full bg-gray-100 border">{ourTeam[idx].name}</li>
+                    <li key={k} className="px-3 py-1 rounded-full bg-gray-100 border">{shown.our[idx].name}</li>
                   ))}
                 </ol>
               </div>
@@ -554,9 +2775,25 @@ export default function App() {
         </div>
       </div>
 
-      <div className="bg-white rounded-2xl shadow p-4">
-        <h3 className="font-semibold mb-3">Diagnostics & Tests</h3>
-        <ul className="list-disc pl-5 space-y-1">
+      <ReportPanel
+        ready={optimizer.done && shown === job && !!result}
+        report={{ our: shown.our, opp: shown.opp, params: shown.params, mode: shown.mode, ranking: shown.ranking, constraints: shown.constraints, result, oppBestResponse, byFirst }}
+      />
+
+      <SensitivityPanel our={ourTeam} opp={oppTeam} params={params} ranking={ranking} mode={mode} constraints={teamConstraints} />
+
+      <EventPanel
+        event={event} setEvent={setEvent} pool={ourPool} oppTeam={oppTeam} profiles={library.scouting} params={params} ranking={ranking}
+        squadRules={squadRules} constraints={constraints}
+      />
+
+      <div className="bg-white rounded-2xl shadow p-4 space-y-2">
+        <h3 className="font-semibold mb-1">Diagnostics & Tests</h3>
+        <OptimizerStatus
+          progress={diagnostics.progress} stale={!diagnostics.done || diagnostics.job !== diagnosticsJob} error={diagnostics.error}
+          onCancel={diagnostics.cancel} onRerun={diagnostics.rerun}
+        />
+        <ul className={`list-disc pl-5 space-y-1 ${diagnostics.progress ? "opacity-60" : ""}`}>
           {testResults.map((t, i) => (
             <li key={i} className={t.passed ? "text-green-700" : "text-red-700"}>
               <span className="font-medium">{t.passed ? "✔" : "✘"} {t.name}:</span> <span className="ml-1 text-gray-700">{t.info}</span>
@@ -567,10 +2804,30 @@ export default function App() {
 
       <ProbMatrix />
 
+      <BenchmarkPanel ourTeam={ourTeam} oppTeam={oppTeam} params={params} ranking={ranking} oppOrders={priorOrders} />
+
+      <OutcomeTreePanel ourTeam={applyBoutCaps(ourTeam, teamConstraints)} oppTeam={oppTeam} params={params} bestOrder={shown === job ? result?.best?.order : undefined} oppResponse={shown === job ? oppBestResponse?.order : undefined} />
+
+      <SimulatorPanel ourTeam={applyBoutCaps(ourTeam, teamConstraints)} oppTeam={oppTeam} params={params} bestOrder={shown === job ? result?.best?.order : undefined} oppResponse={shown === job ? oppBestResponse?.order : undefined} />
+
+      <HistoryPanel history={history} setHistory={setHistory} ourTeam={ourTeam} oppTeam={oppTeam} params={params} />
+
+      <CalibrationPanel params={params} onApply={(fitted) => setParams((p) => ({ ...p, ...fitted }))} loggedBouts={historyBouts(history)} />
+
       <div className="text-xs text-gray-500 space-y-1">
-        <div><span className="font-semibold">Probability model:</span> S = αw·sign(Δw)|Δw|^γw + αc·sign(Δc)|Δc|^γc + αt·sign(Δt)|Δt|^γt. Positive S favors us.</div>
-        <div>Draw PD = max(0.2, PD(0) − 0.5·tanh(|S|)). Remaining mass splits to win/loss by h = 0.5·|S|/(|S|+k).</div>
-        <div>Fatigue only reduces condition via a linear penalty per consecutive bout, then deltas are recomputed.</div>
+        {params.model === "elo" ? (
+          <>
+            <div><span className="font-semibold">Probability model:</span> π = 10^(R/scale). P(win) = πA/D, P(draw) = ν·√(πA·πB)/D with D = πA + πB + ν·√(πA·πB).</div>
+            <div>Fatigue lowers the effective rating by a fixed number of points per consecutive bout.</div>
+          </>
+        ) : (
+          <>
+            <div><span className="font-semibold">Probability model:</span> S = {params.factors.map((f) => `α${f.symbol}·sign(Δ${f.symbol})|Δ${f.symbol}|^γ${f.symbol}`).join(" + ")}. Positive S favors us.</div>
+            <div>Draw PD = max(0.2, PD(0) − 0.5·tanh(|S|)). Remaining mass splits to win/loss by h = 0.5·|S|/(|S|+k).</div>
+            <div>Fatigue: loss = min(1 − floor, (1 − curve(n))·(10 − stamina)/5) after n consecutive bouts ({(FATIGUE_CURVES[params.fatigueCurve] || FATIGUE_CURVES.linear).label.toLowerCase()}). It scales {params.factors.filter((f) => fatigueWeight(f) > 0).map((f) => `${f.label.toLowerCase()} by 1 − ${fatigueWeight(f)}·loss`).join(", ") || "nothing"}, then deltas are recomputed; P(draw) shifts by {params.fatigueDrawEffect || 0}·(lossA + lossB).</div>
+          </>
+        )}
+        <div><span className="font-semibold">Ruleset:</span> {describeRules(resolveRules(params))} The side with fighters left wins; if both sides run out together the match is a tie{params.rules?.captainTieBreak ? " unless the captains' bout is won" : ""}.</div>
       </div>
     </div>
   );
@@ -0,0 +1,529 @@
+/**
+ * ------------------------------------------------------------
+ * DIAGNOSTICS
+ * ------------------------------------------------------------
+ * Model invariants and search cross-checks, run against the current model
+ * parameters. Pure like the engine: the page shows them under "Diagnostics &
+ * Tests" and the command-line tool runs them without a browser.
+ * runTests(params, { bruteForce }) returns [{ name, passed, info }];
+ * bruteForce adds the cross-checks against the brute-force searches, which
+ * take over a second and so are left to the command line.
+ */
+import {
+  clamp,
+  defaultTeam,
+  defaultTeamOthers,
+  DEFAULT_RULES,
+  RULESET_PRESETS,
+  DEFAULT_PARAMS,
+  DEFAULT_SQUAD_RULES,
+  defaultOppPrior,
+  FATIGUE_CURVES,
+  fatigueLoss,
+  probabilityModel,
+  eloModel,
+  MODELS,
+  resolveModel,
+  predictBout,
+  expectedNetWins,
+  outcomeDistribution,
+  outcomeTree,
+  OBJECTIVES,
+  DEFAULT_RISK,
+  DEFAULT_RANKING,
+  legalOrders,
+  sampleTeams,
+  optimizeOurOrder,
+  robustOurOrder,
+  bruteForceOurOrder,
+  bruteForceRobustOrder,
+  opponentOrderPrior,
+  solveZeroSumGame,
+  nashOurOrder,
+  bruteForceNashOrder,
+  optimizeForMode,
+  sensitivityAnalysis,
+  selectSquads,
+  DEFAULT_EVENT,
+  planEvent,
+  simulateMatches,
+  cleanHistory,
+  athleteHistoryStats,
+  replayMatch,
+  exportSetupFile,
+  parseSetupFile,
+  parseRosterCsv,
+  SHARE_VERSION,
+  packShareState,
+  unpackShareState,
+  encodeShareState,
+  decodeShareState,
+} from "./engine.js";
+
+export function runTests(params = DEFAULT_PARAMS, { bruteForce = false } = {}) {
+  const tests = [];
+
+  // Sum to ~1
+  {
+    const a = { weight: 100, condition: 8, tech: 7 };
+    const b = { weight: 100, condition: 8, tech: 7 };
+    const { pWin, pDraw, pLose } = probabilityModel(a, b, params, 1, 1);
+    const sum = pWin + pDraw + pLose;
+    tests.push({ name: "Probabilities sum to 1", passed: Math.abs(sum - 1) < 1e-9, info: `sum=${sum.toFixed(6)}` });
+  }
+
+  // Baseline PD(0)=drawBase0, PW=PL=(1-PD0)/2
+  {
+    const a = { weight: 90, condition: 5, tech: 5 };
+    const b = { weight: 90, condition: 5, tech: 5 };
+    const { pWin, pDraw, pLose } = probabilityModel(a, b, params, 1, 1);
+    const PD0 = clamp(params.drawBase0, 0.2, 0.95);
+    const target = (1 - PD0) / 2;
+    tests.push({ name: "Zero deltas baseline", passed: Math.abs(pDraw - PD0) < 1e-6 && Math.abs(pWin - target) < 1e-3, info: `W=${(pWin*100).toFixed(1)} D=${(pDraw*100).toFixed(1)} L=${(pLose*100).toFixed(1)} (PD0=${(PD0*100).toFixed(1)})` });
+  }
+
+  // Draw never below 0.2
+  {
+    const a = { weight: 140, condition: 10, tech: 10 };
+    const b = { weight: 60,  condition: 1,  tech: 1 };
+    const { pDraw } = probabilityModel(a, b, params, 1, 1);
+    tests.push({ name: "Draw floor 0.2", passed: pDraw >= 0.2 - 1e-9, info: `pD=${pDraw.toFixed(3)}` });
+  }
+
+  // Monotonicity checks, one per factor (a muted factor must change nothing)
+  {
+    const baseA = { weight: 90, condition: 8, tech: 7 };
+    const baseB = { weight: 90, condition: 8, tech: 7 };
+    const p0 = probabilityModel(baseA, baseB, params, 1, 1).pWin;
+    for (const f of params.factors) {
+      const base = baseA[f.key] ?? f.default;
+      const bumped = f.max !== undefined && f.max > base ? f.max : base + 10;
+      const p = probabilityModel({ ...baseA, [f.key]: bumped }, baseB, params, 1, 1).pWin;
+      const passed = f.alpha > 0 ? p > p0 : Math.abs(p - p0) < 1e-12;
+      tests.push({ name: `${f.label} ↑ P(win)${f.alpha > 0 ? "" : " (muted)"}`, passed, info: `p0=${p0.toFixed(3)} → p(${f.key}=${bumped})=${p.toFixed(3)}` });
+    }
+  }
+
+  // Fatigue reduces win chance (conditional on no-draw to avoid PD side-effects)
+  {
+    const a = { weight: 90, condition: 8, tech: 7 };
+    const b = { weight: 90, condition: 8, tech: 7 };
+    const freshRes = probabilityModel(a, b, params, 1, 1);
+    const tiredRes = probabilityModel(a, b, params, 3, 1);
+    const fresh = freshRes.pWin;
+    const tired = tiredRes.pWin;
+    const freshShare = fresh / (1 - freshRes.pDraw);
+    const tiredShare  = tired  / (1 - tiredRes.pDraw);
+    const passed = tiredShare < freshShare - 1e-9;
+    tests.push({ name: "Fatigue reduces P(win | not draw)", passed, info: `fresh=${fresh.toFixed(3)} (share=${freshShare.toFixed(3)}) tired=${tired.toFixed(3)} (share=${tiredShare.toFixed(3)})` });
+  }
+
+  // Fatigue subsystem: every curve is non-increasing and respects the floor;
+  // stamina 10 never tires; a positive draw effect raises P(draw) for tired bouts
+  {
+    for (const [k, c] of Object.entries(FATIGUE_CURVES)) {
+      const curved = { ...params, fatigueCurve: k };
+      const losses = [1, 2, 3, 4, 5, 6, 8].map((n) => fatigueLoss(n, curved));
+      const passed = losses[0] === 0 && losses.every((l, i) => l >= 0 && l <= 1 - curved.fatigueFloor + 1e-12 && (i === 0 || l >= losses[i - 1] - 1e-12));
+      tests.push({ name: `Fatigue curve "${k}" non-decreasing loss, floored`, passed, info: `loss=[${losses.map((l) => l.toFixed(2)).join(", ")}]` });
+    }
+    const a = { weight: 90, condition: 8, tech: 7 };
+    const tireless = probabilityModel({ ...a, stamina: 10 }, a, params, 4, 1);
+    const fresh = probabilityModel(a, a, params, 1, 1);
+    const drawsMore = { ...params, fatigueDrawEffect: 0.3 };
+    const pdTired = probabilityModel(a, a, drawsMore, 3, 3).pDraw;
+    const passed = Math.abs(tireless.pWin - fresh.pWin) < 1e-12 && (fatigueLoss(3, params) === 0 || pdTired > fresh.pDraw);
+    tests.push({ name: "Stamina 10 never tires; draw effect shifts P(draw)", passed, info: `fresh W=${fresh.pWin.toFixed(3)} tireless W=${tireless.pWin.toFixed(3)} | P(draw) fresh=${fresh.pDraw.toFixed(3)} tired=${pdTired.toFixed(3)}` });
+  }
+
+  // Outcome distribution is a proper distribution and agrees with the scalar DP
+  {
+    const A = [{ name: "A1", weight: 70, condition: 8, tech: 6 }, { name: "A2", weight: 95, condition: 6, tech: 8 }];
+    const B = [{ name: "B1", weight: 85, condition: 7, tech: 7 }, { name: "B2", weight: 80, condition: 9, tech: 5 }];
+    const dist = outcomeDistribution(A, B, params);
+    const sum = dist.pWin + dist.pTie + dist.pLose;
+    const ev = expectedNetWins(A, B, params);
+    tests.push({ name: "Outcome distribution sums to 1", passed: Math.abs(sum - 1) < 1e-9, info: `sum=${sum.toFixed(6)}` });
+    tests.push({ name: "Distribution EV = DP EV (2v2)", passed: Math.abs(dist.ev - ev) < 1e-9, info: `dist=${dist.ev.toFixed(6)} dp=${ev.toFixed(6)}` });
+  }
+
+  // Every ruleset preset: proper distribution, and its EV matches the backward recursion
+  {
+    const A = [{ name: "A1", weight: 70, condition: 8, tech: 6 }, { name: "A2", weight: 95, condition: 6, tech: 8 }, { name: "A3", weight: 80, condition: 9, tech: 5 }];
+    const B = [{ name: "B1", weight: 85, condition: 7, tech: 7 }, { name: "B2", weight: 80, condition: 9, tech: 5 }, { name: "B3", weight: 75, condition: 6, tech: 9 }];
+    for (const [k, preset] of Object.entries(RULESET_PRESETS)) {
+      const ruled = { ...params, rules: preset.rules };
+      const dist = outcomeDistribution(A, B, ruled);
+      const sum = dist.states.reduce((t, st) => t + st.p, 0);
+      const ev = expectedNetWins(A, B, ruled);
+      const passed = Math.abs(sum - 1) < 1e-9 && Math.abs(dist.ev - ev) < 1e-9;
+      tests.push({ name: `Ruleset "${k}": sums to 1, EV = recursion (3v3)`, passed, info: `sum=${sum.toFixed(6)} dist=${dist.ev.toFixed(6)} dp=${ev.toFixed(6)}` });
+    }
+  }
+
+  // Captain's tie-break in a 1v1: only a draw followed by a drawn captain's bout ties
+  {
+    const a = { name: "A", weight: 80, condition: 8, tech: 6 };
+    const b = { name: "B", weight: 90, condition: 7, tech: 7 };
+    const { pWin, pDraw } = predictBout(a, b, params, 1, 1);
+    const dist = outcomeDistribution([a], [b], { ...params, rules: { ...DEFAULT_RULES, captainTieBreak: true } });
+    const passed = Math.abs(dist.pTie - pDraw * pDraw) < 1e-12 && Math.abs(dist.pWin - pWin * (1 + pDraw)) < 1e-12;
+    tests.push({ name: "Captain's tie-break (1v1)", passed, info: `P(tie)=${dist.pTie.toFixed(4)} expected=${(pDraw * pDraw).toFixed(4)}` });
+  }
+
+  // Monte Carlo simulator agrees with the exact DP (fixed seed)
+  {
+    const A = [{ name: "A1", weight: 70, condition: 8, tech: 6 }, { name: "A2", weight: 95, condition: 6, tech: 8 }];
+    const B = [{ name: "B1", weight: 85, condition: 7, tech: 7 }, { name: "B2", weight: 80, condition: 9, tech: 5 }];
+    const { check } = simulateMatches(A, B, params, 4000, 12345);
+    // 3.5 standard errors so a fixed seed does not flag 1 in 20 parameter settings
+    const se = (check.ev.hi - check.ev.lo) / (2 * 1.96);
+    const passed = Math.abs(check.ev.error) <= 3.5 * se;
+    tests.push({ name: "Simulator mean agrees with DP (2v2)", passed, info: `sim=${check.ev.est.toFixed(3)} ± ${(1.96 * se).toFixed(3)} dp=${check.ev.exact.toFixed(3)}` });
+  }
+
+  // Match history: malformed stored bouts are dropped, and the per-athlete record counts what was logged
+  {
+    const a = { name: "A", weight: 80, condition: 8, tech: 6 };
+    const b = { name: "B", weight: 90, condition: 7, tech: 7 };
+    const bout = (result, ourStreak) => ({ id: result + ourStreak, ours: a, theirs: b, ourStreak, oppStreak: 1, result });
+    const history = cleanHistory({
+      matches: [
+        { id: "m1", bouts: [bout("W", 1), bout("D", 2), { ours: a, result: "W" }, { ...bout("L", 1), result: "X" }] },
+        { id: "m2", bouts: [{ ...bout("L", 3), ours: { ...a, note: "x", rating: "high" } }] },
+        { id: "m3" },
+        null,
+      ],
+    });
+    const kept = history.matches.map((m) => m.bouts.length).join(",");
+    const [row] = athleteHistoryStats(history, params);
+    const predW = [1, 2, 3].reduce((t, k) => t + predictBout(a, b, params, k, 1).pWin, 0);
+    const counts = row.W === 1 && row.D === 1 && row.L === 1 && row.appearances === 2 && row.byStreak["3+"].L === 1;
+    const snapshot = history.matches[1].bouts[0].ours;
+    const passed = kept === "2,1" && counts && !("note" in snapshot) && !("rating" in snapshot) && Math.abs(row.predW - predW) < 1e-12 && Object.keys(cleanHistory({ matches: "x" }).matches).length === 0;
+    tests.push({ name: "Match history cleaned and tallied", passed, info: `bouts kept per match=${kept} W/D/L=${row.W}/${row.D}/${row.L} appearances=${row.appearances} predicted W=${row.predW.toFixed(3)}` });
+  }
+
+  // Squad selection: the cap filters squads, and the top squad's row is its own best order
+  {
+    const pool = [60, 70, 90, 100].map((w, k) => ({ name: `P${k + 1}`, weight: w, condition: 8 - k, tech: 5 + k }));
+    const B = [{ name: "B1", weight: 80, condition: 7, tech: 7 }, { name: "B2", weight: 85, condition: 6, tech: 8 }];
+    const rules = { teamSize: 2, weightCap: 170 };
+    const rows = selectSquads(pool, rules, (team) => optimizeOurOrder(team, B, params, DEFAULT_RANKING));
+    const direct = optimizeOurOrder(rows[0].squad.map((i) => pool[i]), B, params, DEFAULT_RANKING).best;
+    const passed = rows.length === 5 && rows.every((r) => r.weight <= 170) && Math.abs(rows[0].ev - direct.ev) < 1e-12;
+    tests.push({ name: "Squad selection under a weight cap", passed, info: `${rows.length} legal of 6; best ${rows[0].order.map((i) => pool[i].name).join("→")} EV=${rows[0].ev.toFixed(3)}` });
+  }
+
+  // Search engine agrees with the brute-force searches (4v4, decision rules)
+  if (bruteForce) {
+    const A = [1, 2, 3, 4].map((k) => ({ name: `A${k}`, weight: 70 + 8 * k, condition: 5 + k, tech: 9 - k }));
+    const B = [1, 2, 3, 4].map((k) => ({ name: `B${k}`, weight: 95 - 6 * k, condition: 10 - k, tech: 4 + k }));
+    const p = { ...params, rules: RULESET_PRESETS.decisions.rules };
+    const ranking = { objective: "points", tieBreak: "ev" };
+    const same = (x, y) => Math.abs(x.key[0] - y.key[0]) < 1e-9 && Math.abs(x.key[1] - y.key[1]) < 1e-9;
+    const exploit = same(optimizeOurOrder(A, B, p, ranking).best, bruteForceOurOrder(A, B, p, ranking).best);
+    const robust = same(robustOurOrder(A, B, p, ranking).best, bruteForceRobustOrder(A, B, p, ranking).best);
+    const nash = Math.abs(nashOurOrder(A, B, p, ranking).game.value - bruteForceNashOrder(A, B, p, ranking).game.value) < 1e-9;
+    tests.push({ name: "Search engine = brute force (4v4)", passed: exploit && robust && nash, info: `exploit=${exploit} robust=${robust} nash=${nash}` });
+  }
+
+  // Lineup constraints: the search only returns legal orders and finds the best of them
+  {
+    const A = [1, 2, 3, 4].map((k) => ({ name: `A${k}`, weight: 70 + 8 * k, condition: 5 + k, tech: 9 - k }));
+    const B = [1, 2, 3, 4].map((k) => ({ name: `B${k}`, weight: 95 - 6 * k, condition: 10 - k, tech: 4 + k }));
+    const constraints = [{ type: "pin", a: 3, slot: 3 }, { type: "forbid", a: 0, slot: 0 }, { type: "notAdjacent", a: 1, b: 2 }];
+    const legal = legalOrders(4, constraints);
+    const best = optimizeForMode("exploit", A, B, params, DEFAULT_RANKING, null, { constraints }).best;
+    const brute = Math.max(...legal.map((ord) => expectedNetWins(ord.map((i) => A[i]), B, params)));
+    const passed = legal.length === 2 && legal.some((ord) => ord.join() === best.order.join()) && Math.abs(best.ev - brute) < 1e-9;
+    tests.push({ name: "Lineup constraints", passed, info: `${legal.length} legal orders; best ${best.order.map((i) => A[i].name).join("→")} EV=${best.ev.toFixed(3)} brute=${brute.toFixed(3)}` });
+  }
+
+  // Scouting ranges: samples stay in range, and the robust search maximizes the worst sample-averaged EV
+  // (3v3, so the brute force over both sides' orders stays quick)
+  {
+    const A = [1, 2, 3].map((k) => ({ name: `A${k}`, weight: 70 + 8 * k, condition: 5 + k, tech: 9 - k }));
+    const B = [1, 2, 3].map((k) => ({ name: `B${k}`, weight: 95 - 6 * k, condition: 10 - k, tech: 4 + k, ranges: { tech: { min: 2, max: 9 } } }));
+    const samples = sampleTeams(B, 4);
+    const inRange = samples.length === 4 && samples.every((team) => team.every((b, i) => b.tech >= 2 && b.tech <= 9 && b.condition === B[i].condition));
+    const orders = legalOrders(3);
+    const avgEv = (ord, oppOrd) => samples.reduce((t, team) => t + expectedNetWins(ord.map((i) => A[i]), oppOrd.map((i) => team[i]), params), 0) / samples.length;
+    const brute = Math.max(...orders.map((ord) => Math.min(...orders.map((oppOrd) => avgEv(ord, oppOrd)))));
+    const best = robustOurOrder(A, B, params, { objective: "ev", tieBreak: "none" }, { samples }).best;
+    const passed = inRange && Math.abs(best.ev - brute) < 1e-9;
+    tests.push({ name: "Scouting ranges (robust 3v3, 4 sampled teams)", passed, info: `in range=${inRange} EV=${best.ev.toFixed(4)} brute=${brute.toFixed(4)}` });
+  }
+
+  // Sensitivity: with a vanishing range nothing moves, so the recommendation holds everywhere
+  {
+    const A = [1, 2, 3].map((k) => ({ name: `A${k}`, weight: 70 + 8 * k, condition: 5 + k, tech: 9 - k }));
+    const B = [1, 2, 3].map((k) => ({ name: `B${k}`, weight: 95 - 6 * k, condition: 10 - k, tech: 4 + k }));
+    const res = sensitivityAnalysis(A, B, params, DEFAULT_RANKING, { paramSpread: 1e-9, stats: true, statSpread: 1e-9, steps: 2, draws: 5 });
+    const passed = res.holds === 1 && res.dimensions.every((d) => d.breakpoints.length === 0 && d.swing < 1e-3);
+    tests.push({ name: "Sensitivity at a point", passed, info: `${res.dimensions.length} inputs, holds ${(res.holds * 100).toFixed(0)}%` });
+  }
+
+  // Sensitivity across a switch: the reported breakpoint sits where the two orders' EVs cross.
+  // The crossing is specific to this setup, so it runs on a fixed model rather than params
+  {
+    const fixture = DEFAULT_PARAMS;
+    const A = [{ name: "X", weight: 85, condition: 7, tech: 7 }, { name: "Y", weight: 85, condition: 7, tech: 6 }];
+    const B = [{ name: "B1", weight: 90, condition: 7, tech: 7 }, { name: "B2", weight: 80, condition: 8, tech: 6 }];
+    const options = { paramSpread: 1e-9, stats: true, statSpread: 0.05, steps: 5, draws: 0 };
+    const dim = sensitivityAnalysis(A, B, fixture, DEFAULT_RANKING, options).dimensions.find((d) => d.id === "our.1.tech");
+    // EV(X first) − EV(Y first) as Y's tech varies; its root is the true switch
+    const gap = (tech) => {
+      const Y = { ...A[1], tech };
+      return expectedNetWins([A[0], Y], B, fixture) - expectedNetWins([Y, A[0]], B, fixture);
+    };
+    let lo = dim.lo;
+    let hi = dim.hi;
+    const crosses = Math.sign(gap(lo)) !== Math.sign(gap(hi));
+    for (let k = 0; k < 50; k++) {
+      const mid = (lo + hi) / 2;
+      if (Math.sign(gap(mid)) === Math.sign(gap(lo))) lo = mid;
+      else hi = mid;
+    }
+    // Grid spacing halved once per bisection step (BREAKPOINT_BISECTIONS = 4)
+    const tolerance = (dim.hi - dim.lo) / (options.steps - 1) / 16;
+    const at = dim.breakpoints[0]?.at;
+    const passed = crosses && dim.breakpoints.length === 1 && Math.abs(at - lo) <= tolerance;
+    tests.push({ name: "Sensitivity finds a switch (default model)", passed, info: `breakpoint=${at?.toFixed(4)} true=${lo.toFixed(4)} ± ${tolerance.toFixed(4)}` });
+  }
+
+  // Outcome tree: its root EV is the DP's, and under submission-only rules our wins minus theirs is the EV
+  {
+    const A = [1, 2, 3, 4].map((k) => ({ name: `A${k}`, weight: 70 + 8 * k, condition: 5 + k, tech: 9 - k }));
+    const B = [1, 2, 3, 4].map((k) => ({ name: `B${k}`, weight: 95 - 6 * k, condition: 10 - k, tech: 4 + k }));
+    const p = { ...params, rules: RULESET_PRESETS.quintet.rules };
+    const tree = outcomeTree(A, B, p);
+    const sum = (side, field) => tree.athletes.filter((a) => a.side === side).reduce((t, a) => t + a[field], 0);
+    const dp = expectedNetWins(A, B, p);
+    const passed = Math.abs(tree.ev - dp) < 1e-12 && Math.abs(sum("our", "wins") - sum("opp", "wins") - dp) < 1e-9 && Math.abs(sum("our", "bouts") - sum("opp", "bouts")) < 1e-9;
+    tests.push({ name: "Outcome tree = DP (4v4)", passed, info: `${tree.nodes.size} states, EV=${tree.ev.toFixed(4)} dp=${dp.toFixed(4)}, bouts=${sum("our", "bouts").toFixed(3)}` });
+  }
+
+  // Live match: replayed bouts land on a tree state, and the DP from there agrees with it
+  {
+    const A = [1, 2, 3, 4].map((k) => ({ name: `A${k}`, weight: 70 + 8 * k, condition: 5 + k, tech: 9 - k }));
+    const B = [1, 2, 3, 4].map((k) => ({ name: `B${k}`, weight: 95 - 6 * k, condition: 10 - k, tech: 4 + k }));
+    const p = { ...params, rules: RULESET_PRESETS.quintet.rules };
+    const { state, net, over } = replayMatch(A, B, p, [{ result: "W" }, { result: "D" }, { result: "L" }]);
+    const node = outcomeTree(A, B, p).nodes.get(`${state.i},${state.j},${state.si},${state.sj}`);
+    const ev = expectedNetWins(A, B, p, state);
+    const rest = outcomeDistribution(A, B, p, state);
+    const passed = !over && !!node && Math.abs(node.ev - ev) < 1e-9 && Math.abs(rest.ev - ev) < 1e-9 && Math.abs(rest.pWin + rest.pTie + rest.pLose - 1) < 1e-9;
+    tests.push({ name: "Live state = DP state", passed, info: `state ${state.i},${state.j},${state.si},${state.sj} net=${net} EV=${ev.toFixed(4)}` });
+  }
+
+  // Saved setups: a setup file reads back as written, and a pasted roster keeps its ranges,
+  // one-sided ones included
+  {
+    const pool = [...defaultTeam(), { name: "Lee", weight: 82, condition: 7, tech: 5, ranges: { tech: { min: 2 } } }];
+    const library = {
+      teams: [{ id: "t", name: "Club", saved: "", pool, squad: [0, 2, 4], squadRules: DEFAULT_SQUAD_RULES, constraints: [{ type: "pin", a: 2, slot: 0 }] }],
+      scouting: [{ id: "s", name: "Rivals", saved: "", team: defaultTeamOthers("R"), prior: defaultOppPrior(5) }],
+      presets: [{ id: "p", name: "Defaults", saved: "", params: DEFAULT_PARAMS, mode: "robust", ranking: DEFAULT_RANKING }],
+    };
+    const read = parseSetupFile(JSON.stringify(exportSetupFile(library, "")));
+    const roundTrip = read.errors.length === 0 && JSON.stringify(read.library) === JSON.stringify(library);
+    // A constraint without the field its type needs, or with it out of range, costs its team
+    const malformed = [{ type: "pin", a: 0, slot: "x" }, { type: "forbid", a: 0, slot: 9 }, { type: "maxBouts", a: 1, bouts: -1 }, { type: "before", a: 0 }];
+    const refused = malformed.every((c) => {
+      const { library: got, errors } = parseSetupFile(JSON.stringify(exportSetupFile({ ...library, teams: [{ ...library.teams[0], constraints: [c] }] }, "")));
+      return got.teams.length === 0 && errors.length === 1;
+    });
+    // A scouting prior of the wrong shape falls back to the default one; a candidate that
+    // repeats an athlete is only dropped
+    const prior = { ...defaultOppPrior(5), pinned: [2, -1, -1, -1, -1], candidates: [{ order: [4, 3, 2, 1, 0], weight: 2 }] };
+    const ragged = [{ slotPct: [[null]] }, { candidates: "x" }, { candidates: [{ order: [0, 1, 2, 3, 9], weight: 1 }] }, { candidateShare: "half" }, { pinned: [0.5, -1, -1, -1, -1] }];
+    const priorAfter = (patch) => {
+      const scouting = [{ ...library.scouting[0], prior: { ...prior, ...patch } }];
+      return JSON.stringify(parseSetupFile(JSON.stringify(exportSetupFile({ ...library, scouting }, ""))).library.scouting[0].prior);
+    };
+    const priorOk = priorAfter({}) === JSON.stringify(prior)
+      && ragged.every((patch) => priorAfter(patch) === JSON.stringify(defaultOppPrior(5)))
+      && priorAfter({ candidates: [...prior.candidates, { order: [0, 0, 1, 2, 3], weight: 1 }] }) === JSON.stringify(prior);
+    // Preset settings of the wrong type go back to their defaults
+    const garbled = {
+      ...params,
+      splitK: "2",
+      drawBase0: null,
+      fatigueCustom: [1, "x"],
+      factors: params.factors.map((f, k) => (k === 0 ? { ...f, alpha: "x", gamma: null } : f)),
+      rules: { ...params.rules, maxBouts: "3", drawEliminates: "sometimes" },
+    };
+    const preset = parseSetupFile(JSON.stringify(exportSetupFile({ ...library, presets: [{ ...library.presets[0], params: garbled }] }, ""))).library.presets[0];
+    const back = preset.params;
+    const [f0] = back.factors;
+    const paramsOk = back.splitK === DEFAULT_PARAMS.splitK && back.drawBase0 === DEFAULT_PARAMS.drawBase0 && back.fatigueCustom === DEFAULT_PARAMS.fatigueCustom
+      && Number.isFinite(f0.alpha) && Number.isFinite(f0.gamma) && back.rules.maxBouts === DEFAULT_RULES.maxBouts && back.rules.drawEliminates === DEFAULT_RULES.drawEliminates;
+    const csv = parseRosterCsv("Name\tWeight\tCondition\tTech\ttech_min\ttech_max\nA\t80\t7\t6\t5\t8\nB\t91,5\t6\t\t\t\nC\t75\t8\t7\t\t9", ["weight", "condition", "tech"]);
+    const csvOk = csv.errors.length === 0 && csv.team.length === 3 && csv.team[0].ranges?.tech?.max === 8 && csv.team[1].weight === 91.5 && !("tech" in csv.team[1]) && !csv.team[1].ranges
+      && JSON.stringify(csv.team[2].ranges) === JSON.stringify({ tech: { max: 9 } });
+    tests.push({ name: "Setup file and roster CSV", passed: roundTrip && refused && priorOk && paramsOk && csvOk, info: `round trip=${roundTrip} bad constraints refused=${refused} priors=${priorOk} params=${paramsOk} csv=${csvOk}` });
+  }
+
+  // Shared links: a setup survives the trip through the URL (one-sided ranges included),
+  // and a newer link format is refused
+  {
+    const pool = [...defaultTeam(), { name: "Ünal", weight: 90, condition: 6, tech: 8, stamina: 7, ranges: { tech: { min: 6, max: 9 } } }];
+    const opp = defaultTeamOthers("R").map((p, i) => (i === 1 ? { ...p, ranges: { tech: { max: 9 }, condition: { min: 4 } } } : p));
+    const state = {
+      teams: { pool, squad: [5, 0, 1, 2, 3], squadRules: DEFAULT_SQUAD_RULES, constraints: [{ type: "pin", a: 5, slot: 0 }] },
+      scouting: { team: opp, prior: defaultOppPrior(5) },
+      presets: { params: { ...params, rules: RULESET_PRESETS.captain.rules }, mode: "bayes", ranking: DEFAULT_RANKING },
+      samples: 8,
+      proposal: [4, 3, 2, 1, 0],
+    };
+    const text = encodeShareState(state);
+    const back = decodeShareState(text);
+    const same = JSON.stringify(back.state) === JSON.stringify(state);
+    const newer = unpackShareState({ ...packShareState(state), v: SHARE_VERSION + 1 });
+    tests.push({ name: "Share link round trip", passed: same && !!newer.error, info: `${text.length} characters, same=${same}` });
+  }
+
+  // Event planner: with one opponent, bracket and round robin both come down to that match
+  {
+    const A = [1, 2, 3, 4].map((k) => ({ name: `A${k}`, weight: 70 + 8 * k, condition: 5 + k, tech: 9 - k }));
+    const B = [1, 2, 3, 4].map((k) => ({ name: `B${k}`, weight: 95 - 6 * k, condition: 10 - k, tech: 4 + k }));
+    const rules = { teamSize: 4, weightCap: 0 };
+    const { best } = optimizeOurOrder(A, B, params, DEFAULT_RANKING);
+    const odds = best.pWin + 0.5 * best.pTie;
+    const event = { ...DEFAULT_EVENT, opponents: [{ id: "b", name: "B", team: B }] };
+    const bracket = planEvent(A, event, params, DEFAULT_RANKING, { squadRules: rules });
+    const league = planEvent(A, { ...event, format: "roundRobin" }, params, DEFAULT_RANKING, { squadRules: rules });
+    const passed = Math.abs(bracket.pEvent - odds) < 1e-9 && Math.abs(league.pEvent - odds) < 1e-9;
+    tests.push({ name: "Event plan (one opponent)", passed, info: `bracket=${bracket.pEvent.toFixed(4)} round robin=${league.pEvent.toFixed(4)} match=${odds.toFixed(4)}` });
+  }
+
+  // Event planner, several opponents: reach, carried fatigue and rest worked out by hand.
+  // Five athletes for four slots; one sits out round 1 and another round 2, so each round
+  // has exactly four to field and its plan is the plain best order for them
+  {
+    const A = [1, 2, 3, 4, 5].map((k) => ({ name: `A${k}`, weight: 68 + 6 * k, condition: 4 + k, tech: 10 - k, stamina: 5 }));
+    const team = (name, shift) => [1, 2, 3, 4].map((k) => ({ name: `${name}${k}`, weight: 92 - 5 * k + shift, condition: 9 - k + shift / 4, tech: 4 + k }));
+    const [B, C, D] = [team("B", 0), team("C", 3), team("D", -2)];
+    const rules = { teamSize: 4, weightCap: 0 };
+    const carry = 0.5;
+    const rest = [[4], [0]];
+    const tire = resolveModel(params).tire;
+    const advance = (d) => d.pWin + 0.5 * d.pTie;
+    // Round 1 against B, fresh; round 2 with A2–A5 carrying half their round-1 bouts
+    const plan = (fatigue, held, opp) => {
+      const available = A.map((_, i) => i).filter((i) => !held.includes(i));
+      const tired = available.map((i) => (tire && fatigue[i] > 0 ? tire(A[i], carry * fatigue[i], params) : A[i]));
+      const { best } = optimizeOurOrder(tired, opp, params, DEFAULT_RANKING);
+      return { ...best, order: best.order.map((k) => available[k]) };
+    };
+    const first = plan([0, 0, 0, 0, 0], rest[0], B);
+    const carried = new Array(A.length).fill(0);
+    for (const a of outcomeTree(first.order.map((i) => A[i]), B, params).athletes) {
+      if (a.side === "our") carried[first.order[a.index]] = a.bouts;
+    }
+    const near = (x, y) => Math.abs(x - y) < 1e-9;
+    const sameFatigue = (f) => f.every((x, i) => near(x, carried[i]));
+    const fielded = (matchups, held) => matchups.every((m) => !m.plan.order.some((i) => held.includes(i)));
+
+    // Bracket of four: B first, then the winner of C v D
+    const event = { ...DEFAULT_EVENT, opponents: [B, C, D].map((t, k) => ({ id: `${k}`, name: t[0].name[0], team: t })), carry, rest };
+    const bracket = planEvent(A, event, params, DEFAULT_RANKING, { squadRules: rules });
+    const cMeet = advance(outcomeDistribution(C, D, params));
+    const [vsC, vsD] = [C, D].map((opp) => plan(carried, rest[1], opp));
+    const bracketEvent = advance(first) * (cMeet * advance(vsC) + (1 - cMeet) * advance(vsD));
+    const [, final] = bracket.rounds;
+    const bracketOk = bracket.rounds.length === 2 && near(final.reach, advance(first)) && sameFatigue(final.fatigue)
+      && near(final.matchups.find((m) => m.opponent === 1).meet, cMeet) && near(bracket.pEvent, bracketEvent)
+      && fielded(bracket.rounds[0].matchups, rest[0]) && fielded(final.matchups, rest[1]);
+
+    // Round robin against B then C; B v C fights fresh. Top of the table shares the win
+    const league = planEvent(A, { ...event, format: "roundRobin", opponents: event.opponents.slice(0, 2) }, params, DEFAULT_RANKING, { squadRules: rules });
+    const odds = (d) => ({ win: d.pWin, tie: d.pTie, lose: d.pLose });
+    const [ourB, ourC, bc] = [odds(first), odds(vsC), odds(outcomeDistribution(B, C, params))];
+    const points = { win: 2, tie: 1, lose: 0 };
+    const flip = { win: "lose", tie: "tie", lose: "win" };
+    let leagueEvent = 0;
+    for (const x of Object.keys(points)) {
+      for (const y of Object.keys(points)) {
+        for (const z of Object.keys(points)) {
+          const table = [points[x] + points[y], points[flip[x]] + points[z], points[flip[y]] + points[flip[z]]];
+          const top = Math.max(...table);
+          if (table[0] === top) leagueEvent += (ourB[x] * ourC[y] * bc[z]) / table.filter((t) => t === top).length;
+        }
+      }
+    }
+    const leagueOk = league.rounds.every((r) => r.reach === 1) && sameFatigue(league.rounds[1].fatigue)
+      && near(league.rounds[1].win, ourC.win) && near(league.pEvent, leagueEvent)
+      && fielded(league.rounds[0].matchups, rest[0]) && fielded(league.rounds[1].matchups, rest[1]);
+    tests.push({ name: "Event plan (two and three opponents)", passed: bracketOk && leagueOk, info: `bracket=${bracket.pEvent.toFixed(4)} (hand ${bracketEvent.toFixed(4)}) round robin=${league.pEvent.toFixed(4)} (hand ${leagueEvent.toFixed(4)}) bracket ok=${bracketOk} league ok=${leagueOk}` });
+  }
+
+  // Risk objectives: the search agrees with brute force, and the limits come back to EV
+  {
+    const A = [1, 2, 3, 4].map((k) => ({ name: `A${k}`, weight: 70 + 8 * k, condition: 5 + k, tech: 9 - k }));
+    const B = [1, 2, 3, 4].map((k) => ({ name: `B${k}`, weight: 95 - 6 * k, condition: 10 - k, tech: 4 + k }));
+    const agree = ["meanVar", "cvar", "quantile", "pnet"].every((objective) => {
+      const ranking = { objective, tieBreak: "ev", risk: DEFAULT_RISK };
+      const searched = optimizeOurOrder(A, B, params, ranking).best;
+      const brute = bruteForceOurOrder(A, B, params, ranking).best;
+      return Math.abs(searched.key[0] - brute.key[0]) < 1e-9;
+    });
+    const dist = outcomeDistribution(A, B, params);
+    const cvarAll = OBJECTIVES.cvar.score(dist, { ...DEFAULT_RISK, alpha: 1 });
+    const certain = OBJECTIVES.pnet.score(dist, { ...DEFAULT_RISK, threshold: -A.length });
+    const passed = agree && Math.abs(cvarAll - dist.ev) < 1e-9 && Math.abs(certain - 1) < 1e-9;
+    tests.push({ name: "Risk objectives", passed, info: `search=brute force: ${agree}, CVaR(α=1)=${cvarAll.toFixed(4)} EV=${dist.ev.toFixed(4)} P(net≥−n)=${certain.toFixed(4)}` });
+  }
+
+  // Zero-sum solver: rock-paper-scissors has value 0 and uniform equilibria
+  {
+    const { value, rowStrategy, colStrategy } = solveZeroSumGame([[0, -1, 1], [1, 0, -1], [-1, 1, 0]]);
+    const uniform = [...rowStrategy, ...colStrategy].every((p) => Math.abs(p - 1 / 3) < 1e-9);
+    tests.push({ name: "Nash solver (rock-paper-scissors)", passed: Math.abs(value) < 1e-9 && uniform, info: `value=${value.toFixed(6)} row=[${rowStrategy.map((p) => p.toFixed(3)).join(", ")}]` });
+  }
+
+  // Scouting prior reproduces a scouted opener share and respects a pin
+  {
+    const B = [1, 2, 3, 4].map((k) => ({ name: `B${k}`, weight: 80, condition: 7, tech: 7 }));
+    const prior = defaultOppPrior(4);
+    prior.slotPct[0][0] = 70;
+    prior.pinned[3] = 3;
+    const { orders } = opponentOrderPrior(B, prior);
+    const opens = orders.filter((r) => r.order[0] === 0).reduce((s, r) => s + r.p, 0);
+    const pinOk = orders.every((r) => r.order[3] === 3);
+    tests.push({ name: "Scouting prior fits marginals", passed: Math.abs(opens - 0.7) < 1e-4 && pinOk, info: `P(B1 opens)=${opens.toFixed(4)} pinned ok=${pinOk}` });
+  }
+
+  // Elo/Davidson model: equal ratings draw with ν/(2+ν), higher rating wins more
+  {
+    const even = eloModel({ rating: 1500 }, { rating: 1500 }, params, 1, 1);
+    const target = params.eloDrawNu / (2 + params.eloDrawNu);
+    const stronger = eloModel({ rating: 1600 }, { rating: 1500 }, params, 1, 1);
+    const tired = eloModel({ rating: 1500 }, { rating: 1500 }, params, 3, 1);
+    tests.push({ name: "Elo: even draw rate ν/(2+ν)", passed: Math.abs(even.pDraw - target) < 1e-9 && Math.abs(even.pWin - even.pLose) < 1e-12, info: `pD=${even.pDraw.toFixed(4)} target=${target.toFixed(4)}` });
+    tests.push({ name: "Elo: rating ↑ P(win), fatigue ↓ P(win)", passed: stronger.pWin > even.pWin && (params.eloStreakPenalty === 0 || tired.pWin < even.pWin), info: `even=${even.pWin.toFixed(3)} +100=${stronger.pWin.toFixed(3)} tired=${tired.pWin.toFixed(3)}` });
+  }
+
+  // Every registered model returns a proper distribution
+  for (const [id, m] of Object.entries(MODELS)) {
+    const a = { weight: 70, condition: 9, tech: 4, rating: 1620 };
+    const b = { weight: 95, condition: 6, tech: 8, rating: 1480 };
+    const { pWin, pDraw, pLose } = m.predict(a, b, params, 2, 1);
+    const sum = pWin + pDraw + pLose;
+    const ok = Math.abs(sum - 1) < 1e-9 && [pWin, pDraw, pLose].every((p) => p >= 0);
+    tests.push({ name: `Model "${id}" sums to 1`, passed: ok, info: `W=${pWin.toFixed(3)} D=${pDraw.toFixed(3)} L=${pLose.toFixed(3)}` });
+  }
+
+  // Antisymmetry sanity: EV(our, opp) ≈ -EV(opp, our) in a simple 1v1
+  {
+    const A = [{ name: "A", weight: 95, condition: 7, tech: 7 }];
+    const B = [{ name: "B", weight: 85, condition: 7, tech: 7 }];
+    const evAB = expectedNetWins(A, B, params);
+    const evBA = expectedNetWins(B, A, params);
+    const passed = Math.abs(evAB + evBA) < 1e-9;
+    tests.push({ name: "EV antisymmetry (1v1)", passed, info: `evAB=${evAB.toFixed(6)} evBA=${evBA.toFixed(6)}` });
+  }
+
+  return tests;
+}
@@ -0,0 +1,3023 @@
+/**
+ * ------------------------------------------------------------
+ * QUINTET ENGINE
+ * ------------------------------------------------------------
+ * Everything the optimizer computes: probability models, match ruleset,
+ * outcome DP, lineup search, scouting prior, equilibrium, simulation and
+ * calibration. Plain functions with no React or DOM, so the page, the
+ * optimizer worker and the command-line tool (bin/) import the same code.
+ * Outside the app it is the package's main module:
+ *   import { optimizeOurOrder, DEFAULT_PARAMS } from "quintet-optimizer";
+ */
+
+// ============================================================
+// =                         UTILITIES                        =
+// ============================================================
+export function clamp(x, lo = 0, hi = 1) {
+  return Math.max(lo, Math.min(hi, x));
+}
+
+/** Every k-element subset of arr, in input order. */
+function combinations(arr, k) {
+  const res = [];
+  const pick = [];
+  (function rec(start) {
+    if (pick.length === k) { res.push(pick.slice()); return; }
+    for (let i = start; i <= arr.length - (k - pick.length); i++) {
+      pick.push(arr[i]);
+      rec(i + 1);
+      pick.pop();
+    }
+  })(0);
+  return res;
+}
+
+export function factorial(k) {
+  return k <= 1 ? 1 : k * factorial(k - 1);
+}
+
+function permutations(arr) {
+  const res = [];
+  const a = arr.slice();
+  const c = new Array(a.length).fill(0);
+  res.push(a.slice());
+  let i = 0;
+  while (i < a.length) {
+    if (c[i] < i) {
+      if (i % 2 === 0) [a[0], a[i]] = [a[i], a[0]]; else [a[c[i]], a[i]] = [a[i], a[c[i]]];
+      res.push(a.slice());
+      c[i]++;
+      i = 0;
+    } else {
+      c[i] = 0;
+      i++;
+    }
+  }
+  return res;
+}
+
+/**
+ * mulberry32(seed)
+ * Small seeded PRNG returning floats in [0, 1); same seed, same stream.
+ */
+function mulberry32(seed) {
+  let t = seed >>> 0;
+  return function rand() {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ============================================================
+// =                        DEFAULT DATA                      =
+// ============================================================
+export function defaultTeam(namePrefix) {
+  return [
+    { name: "JP",     weight: 62,  condition: 10, tech: 10 },
+    { name: "FLORIS", weight: 67,  condition: 10, tech: 10 },
+    { name: "ALEX",   weight: 79,  condition: 10, tech: 10 },
+    { name: "NIELS",  weight: 87,  condition: 10, tech: 10 },
+    { name: "NOAH",   weight: 122, condition: 10, tech: 10 },
+  ];
+}
+
+export function defaultTeamOthers(namePrefix) {
+  return [
+    { name: `${namePrefix} 1`, weight: 85, condition: 10, tech: 10 },
+    { name: `${namePrefix} 2`, weight: 85, condition: 10, tech: 10 },
+    { name: `${namePrefix} 3`, weight: 85, condition: 10, tech: 10 },
+    { name: `${namePrefix} 4`, weight: 85, condition: 10, tech: 10 },
+    { name: `${namePrefix} 5`, weight: 85, condition: 10, tech: 10 },
+  ];
+}
+
+/**
+ * Athlete attributes scored by the factor model. Each factor contributes
+ * α·sign(Δ)|Δ|^γ to S. `fatigue` (0–1) is how much of the athlete's fatigue
+ * loss the attribute takes before its delta is taken (true counts as 1).
+ * `default` fills in athletes that lack the key.
+ * Built-ins can be muted (α = 0) but not removed.
+ */
+export const DEFAULT_FACTORS = [
+  { key: "weight", label: "Weight", symbol: "w", unit: "kg", step: 1, default: 0, gamma: 0.5, alpha: 1.0, fatigue: 0, builtin: true },
+  { key: "condition", label: "Condition", symbol: "c", min: 1, max: 10, step: 1, default: 5, gamma: 0.5, alpha: 1.0, fatigue: 1, builtin: true },
+  { key: "tech", label: "Technique", rosterLabel: "Technical ability", symbol: "t", min: 1, max: 10, step: 1, default: 5, gamma: 0.5, alpha: 1.0, fatigue: 0, builtin: true },
+];
+
+// Keys that belong to the athlete record itself, never to a factor
+export const RESERVED_ATHLETE_KEYS = ["name", "rating", "stamina", "maxBouts", "ranges"];
+
+/**
+ * Match ruleset. Winner stays and the match ends when one side has nobody left;
+ * everything else is configurable:
+ *  - drawEliminates: "both" | "none" | "stayer" (the athlete on the longer
+ *    streak leaves, both if the streaks are equal)
+ *  - maxBouts: an athlete retires after this many bouts (0 = no limit)
+ *  - captainTieBreak: when both sides run out together, the two anchors fight
+ *    one fresh bout for the team result (net score unchanged)
+ *  - decisionShare: fraction of decisive bouts won on the judges' decision;
+ *    submissionPoints / decisionPoints are what each kind adds to net score
+ */
+export const DEFAULT_RULES = {
+  drawEliminates: "both",
+  maxBouts: 0,
+  captainTieBreak: false,
+  decisionShare: 0,
+  submissionPoints: 1,
+  decisionPoints: 1,
+};
+
+// Bout cap used when draws eliminate nobody and no cap is set, so matches end
+export const DRAW_NONE_BOUT_CAP = 3;
+
+export const RULESET_PRESETS = {
+  quintet: { label: "Quintet (standard)", rules: DEFAULT_RULES },
+  decisions: { label: "Quintet with judges' decisions (½ point)", rules: { ...DEFAULT_RULES, decisionShare: 0.3, decisionPoints: 0.5 } },
+  captain: { label: "Quintet + captain tie-break", rules: { ...DEFAULT_RULES, captainTieBreak: true } },
+  stayerOut: { label: "Draw eliminates the stayer", rules: { ...DEFAULT_RULES, drawEliminates: "stayer" } },
+  noElim: { label: "Draws eliminate nobody, max 3 bouts", rules: { ...DEFAULT_RULES, drawEliminates: "none", maxBouts: 3 } },
+};
+
+export const DRAW_ELIMINATION_LABELS = {
+  both: "Both athletes",
+  none: "Neither athlete",
+  stayer: "Only the stayer (longer streak)",
+};
+
+// Model knobs — `model` picks the MODELS entry; each model reads its own keys.
+// Factor model: per-factor multipliers and exponents; PD0 for draws; split softness; fatigue
+export const DEFAULT_PARAMS = {
+  model: "quintet",
+  factors: DEFAULT_FACTORS,
+  drawBase0: 0.50,    // PD(0)
+  splitK: 2.0,        // softness for win/loss split
+  streakPenalty: 0.1, // per extra consecutive fight
+  // Fatigue (see FATIGUE_CURVES)
+  fatigueCurve: "linear",
+  fatigueCustom: [1, 0.9, 0.8, 0.75, 0.7], // multiplier for bout 1, 2, …; last value repeats
+  fatigueFloor: 0.7,     // lowest multiplier a fatigued attribute can reach
+  fatigueDrawEffect: 0,  // change in P(draw) per unit of combined fatigue loss
+  // Elo / Davidson model
+  eloScale: 400,         // rating points per factor 10 in strength
+  eloDrawNu: 1.0,        // Davidson draw propensity ν
+  eloStreakPenalty: 40,  // rating points lost per extra consecutive fight
+  eloK: 24,              // update step when learning ratings from results
+  rules: DEFAULT_RULES,  // match ruleset (see DEFAULT_RULES)
+};
+
+export const DEFAULT_RATING = 1500;
+
+// Squad nomination: how many athletes each side fields and the division's
+// team weight cap in kg (0 = no cap). The roster may hold more than teamSize.
+export const DEFAULT_SQUAD_RULES = { teamSize: 5, weightCap: 0 };
+
+// Stamina 1–10 scales fatigue loss by (10 − stamina) / 5: 5 is the curve as drawn, 10 never tires
+export const DEFAULT_STAMINA = 5;
+
+/**
+ * Parameter panel layout. fitMin/fitMax bound the calibration search;
+ * fields without them are not fitted.
+ */
+function factorParamFields(factors) {
+  return factors.flatMap((f) => [
+    { key: `factor.${f.key}.gamma`, label: `${f.label} exponent (γ${f.symbol})`, step: 0.1, min: 0.5, help: `Nonlinearity for ${f.label.toLowerCase()} delta`, fitMin: 0.5, fitMax: 2.5 },
+    { key: `factor.${f.key}.alpha`, label: `${f.label} multiplier (α${f.symbol})`, step: 0.1, min: 0, help: `Importance of ${f.label.toLowerCase()}`, fitMin: 0, fitMax: 5 },
+  ]);
+}
+
+const QUINTET_PARAM_FIELDS = [
+  { key: "drawBase0", label: "Draw PD(0) baseline", step: 0.01, min: 0.2, max: 0.95, help: "Draw at equal matchups. Floor is 0.2.", fitMin: 0.2, fitMax: 0.95 },
+  { key: "splitK", label: "Split softness (k)", step: 0.1, min: 0.1, help: "Higher = slower shift from 50/50 of non-draw mass", fitMin: 0.1, fitMax: 20 },
+  { key: "streakPenalty", label: "Fatigue rate / extra fight", step: 0.01, min: 0, max: 1, help: "Slope (linear) or decay rate (exponential) of the fatigue curve", fitMin: 0, fitMax: 0.5 },
+  { key: "fatigueFloor", label: "Fatigue floor", step: 0.05, min: 0, max: 1, help: "Lowest multiplier fatigue can take an attribute to", fitMin: 0.3, fitMax: 1 },
+  { key: "fatigueDrawEffect", label: "Fatigue → draw effect", step: 0.05, help: "Change in P(draw) per unit of combined fatigue loss (negative = tired bouts finish more often)", fitMin: -1, fitMax: 1 },
+];
+
+const ELO_PARAM_FIELDS = [
+  { key: "eloScale", label: "Rating scale", step: 10, min: 50, help: "Rating gap that makes one athlete 10× stronger", fitMin: 100, fitMax: 1200 },
+  { key: "eloDrawNu", label: "Draw propensity (ν)", step: 0.05, min: 0, help: "Davidson ν. Equal ratings draw with ν/(2+ν).", fitMin: 0.01, fitMax: 10 },
+  { key: "eloStreakPenalty", label: "Streak penalty (rating pts / extra fight)", step: 5, min: 0, help: "Effective rating lost for consecutive bouts", fitMin: 0, fitMax: 200 },
+  { key: "eloK", label: "Update step K", step: 1, min: 0, help: "Rating change per unit of surprise when learning from match history" },
+];
+
+/**
+ * defaultOppPrior(n)
+ * Scouting prior over opponent orders: nothing known (every permutation equally
+ * likely). slotPct[a][s] is the scouted % that athlete a fights in slot s
+ * (null = unknown, 0 = forbidden); pinned[a] is a hard slot or -1.
+ */
+export function defaultOppPrior(n) {
+  return {
+    slotPct: Array.from({ length: n }, () => new Array(n).fill(null)),
+    pinned: new Array(n).fill(-1),
+    candidates: [],
+    candidateShare: 0.5,
+  };
+}
+
+// ============================================================
+// =                    PROBABILITY MODEL                     =
+// ============================================================
+/**
+ * Fatigue curves: multiplier on a fully fatigue-prone attribute after `extra`
+ * consecutive bouts, for an athlete of average stamina. p = params.streakPenalty.
+ */
+export const FATIGUE_CURVES = {
+  linear: { label: "Linear (1 − p·n)", multiplier: (extra, params) => 1 - params.streakPenalty * extra },
+  exponential: { label: "Exponential (e^(−p·n))", multiplier: (extra, params) => Math.exp(-params.streakPenalty * extra) },
+  custom: {
+    label: "Custom (per bout)",
+    multiplier: (extra, params) => {
+      const curve = params.fatigueCustom?.length ? params.fatigueCustom : DEFAULT_PARAMS.fatigueCustom;
+      return curve[Math.min(extra, curve.length - 1)];
+    },
+  },
+};
+
+/**
+ * fatigueLoss(streak, params, stamina)
+ * Share of a fully fatigue-prone attribute lost on the athlete's `streak`-th
+ * consecutive bout: the curve's loss scaled by stamina, capped by the floor.
+ */
+export function fatigueLoss(streak, params, stamina = DEFAULT_STAMINA) {
+  const curve = FATIGUE_CURVES[params.fatigueCurve] || FATIGUE_CURVES.linear;
+  const base = clamp(curve.multiplier(Math.max(0, streak - 1), params), 0, 1);
+  const scale = clamp((10 - (Number.isFinite(stamina) ? stamina : DEFAULT_STAMINA)) / 5, 0, 2);
+  const floor = clamp(params.fatigueFloor ?? 0.7, 0, 1);
+  return Math.min(1 - floor, (1 - base) * scale);
+}
+
+/** How much of the fatigue loss a factor takes: its `fatigue` weight (true = 1). */
+export function fatigueWeight(f) {
+  return f.fatigue === true ? 1 : clamp(Number(f.fatigue) || 0, 0, 1);
+}
+
+/**
+ * scoreFromDelta(delta, gamma, alpha)
+ * Signed, nonlinear contribution: sign(delta)*|delta|^gamma scaled by alpha.
+ */
+function scoreFromDelta(delta, gamma, alpha) {
+  if (!alpha) return 0;
+  const mag = Math.pow(Math.abs(delta), gamma);
+  const signed = Math.sign(delta) * mag;
+  return alpha * signed;
+}
+
+/**
+ * probabilityModel(a, b, params, streakA, streakB)
+ * Factor model (one delta per params.factors entry) with bounded draw and
+ * soft split of residual mass.
+ * Returns { pWin, pDraw, pLose, S, deltas } with deltas keyed by factor.
+ */
+export function probabilityModel(a, b, params, streakA = 1, streakB = 1) {
+  const lossA = fatigueLoss(streakA, params, a.stamina);
+  const lossB = fatigueLoss(streakB, params, b.stamina);
+
+  // Raw deltas in each attribute's own units; fatigue-prone attributes
+  // (condition by default) are scaled down for winner-stays streaks first
+  const deltas = {};
+  let S = 0; // sign favors A when positive
+  for (const f of params.factors) {
+    const w = fatigueWeight(f);
+    const va = (a[f.key] ?? f.default) * (1 - w * lossA);
+    const vb = (b[f.key] ?? f.default) * (1 - w * lossB);
+    deltas[f.key] = va - vb;
+    // Component scores without any per-factor scaling
+    S += scoreFromDelta(va - vb, f.gamma, f.alpha);
+  }
+  const A = Math.abs(S);
+
+  // Draw probability: floor 0.2, baseline PD0 at S=0, decay with |S| via tanh,
+  // then shifted by how tired the two athletes are
+  const PD0 = clamp(params.drawBase0, 0.2, 0.95); // keep sane
+  const tired = (params.fatigueDrawEffect || 0) * (lossA + lossB);
+  const PD = clamp(Math.max(0.2, PD0 - 0.5 * Math.tanh(A)) + tired, 0.2, 0.95);
+  const M = 1 - PD;
+
+  // Split remaining mass with softness k, h in [0, 0.5)
+  const h = 0.5 * (A / (A + params.splitK));
+  let PW = S >= 0 ? M * (0.5 + h) : M * (0.5 - h);
+  let PL = M - PW;
+
+  // Clamp and renormalize for safety
+  PW = clamp(PW, 0, 1);
+  const pD = clamp(PD, 0, 1);
+  PL = clamp(PL, 0, 1);
+  const sum = PW + pD + PL;
+  return { pWin: PW / sum, pDraw: pD / sum, pLose: PL / sum, S, deltas };
+}
+
+/**
+ * tireFactors(athlete, bouts, params)
+ * The athlete after `bouts` (possibly fractional) bouts fought earlier: every
+ * fatigue-prone attribute loses what it would on bout 1 + bouts of a streak.
+ */
+function tireFactors(athlete, bouts, params) {
+  const lossAt = (k) => fatigueLoss(1 + k, params, athlete.stamina);
+  const lo = Math.floor(bouts);
+  const loss = lossAt(lo) + (bouts - lo) * (lossAt(lo + 1) - lossAt(lo));
+  const tired = { ...athlete };
+  for (const f of params.factors) {
+    const w = fatigueWeight(f);
+    if (w > 0) tired[f.key] = (athlete[f.key] ?? f.default) * (1 - w * loss);
+  }
+  return tired;
+}
+
+/**
+ * eloModel(a, b, params, streakA, streakB)
+ * Davidson (1970) draws on top of Elo strengths π = 10^(R/scale):
+ *   P(win) = πA / D, P(draw) = ν·√(πA·πB) / D, D = πA + πB + ν·√(πA·πB).
+ * Fatigue lowers the effective rating linearly per extra consecutive fight.
+ * Returns { pWin, pDraw, pLose, S } with S the effective rating gap.
+ */
+export function eloModel(a, b, params, streakA = 1, streakB = 1) {
+  const effA = (a.rating ?? DEFAULT_RATING) - params.eloStreakPenalty * Math.max(0, streakA - 1);
+  const effB = (b.rating ?? DEFAULT_RATING) - params.eloStreakPenalty * Math.max(0, streakB - 1);
+  const S = effA - effB;
+  // Work with x = √(πA/πB) so huge gaps cannot overflow
+  const half = clamp((S / params.eloScale) * Math.LN10 / 2, -300, 300);
+  const x = Math.exp(half);
+  const nu = Math.max(0, params.eloDrawNu);
+  const D = x + 1 / x + nu;
+  return { pWin: x / D, pDraw: nu / D, pLose: 1 / x / D, S };
+}
+
+// ============================================================
+// =                      MODEL REGISTRY                      =
+// ============================================================
+/**
+ * Every model maps (a, b, params, streakA, streakB) to { pWin, pDraw, pLose }
+ * from a's side. fields drive the parameter panel and calibration;
+ * athleteFields are extra per-athlete inputs the model reads; tire(athlete,
+ * bouts, params) is the athlete carrying fatigue from earlier matches.
+ */
+export const MODELS = {
+  quintet: {
+    label: "Factor model (weight, condition, technique, …)",
+    predict: probabilityModel,
+    fields: (params) => [...factorParamFields(params.factors), ...QUINTET_PARAM_FIELDS],
+    athleteFields: [{ key: "stamina", label: "Stamina (1–10)", step: 1, default: DEFAULT_STAMINA }],
+    attributeKeys: (params) => params.factors.map((f) => f.key),
+    tire: tireFactors,
+  },
+  elo: {
+    label: "Elo rating with Davidson draws",
+    predict: eloModel,
+    fields: ELO_PARAM_FIELDS,
+    athleteFields: [{ key: "rating", label: "Rating (Elo)", step: 10, default: DEFAULT_RATING }],
+    attributeKeys: () => [],
+    tire: (athlete, bouts, params) => ({ ...athlete, rating: (athlete.rating ?? DEFAULT_RATING) - params.eloStreakPenalty * bouts }),
+  },
+};
+
+/** params.model is a MODELS id, or a model object supplied by code. */
+export function resolveModel(params) {
+  const m = params.model;
+  if (m && typeof m === "object") return m;
+  return MODELS[m] || MODELS.quintet;
+}
+
+/** Parameter panel fields of the selected model. */
+export function modelFields(params) {
+  const { fields } = resolveModel(params);
+  return typeof fields === "function" ? fields(params) : fields;
+}
+
+/**
+ * getParam / withParam read and immutably write a field key. Plain keys live
+ * on params; "factor.<key>.<gamma|alpha>" addresses a factor entry.
+ */
+export function getParam(params, key) {
+  const m = key.match(/^factor\.(.+)\.(gamma|alpha)$/);
+  if (m) return params.factors.find((f) => f.key === m[1])?.[m[2]];
+  return params[key];
+}
+
+export function withParam(params, key, value) {
+  const m = key.match(/^factor\.(.+)\.(gamma|alpha)$/);
+  if (m) return { ...params, factors: params.factors.map((f) => (f.key === m[1] ? { ...f, [m[2]]: value } : f)) };
+  return { ...params, [key]: value };
+}
+
+/** The probability every engine function uses: dispatches to the selected model. */
+export function predictBout(a, b, params, streakA = 1, streakB = 1) {
+  return resolveModel(params).predict(a, b, params, streakA, streakB);
+}
+
+/**
+ * learnRatingsFromHistory(history, params, teams)
+ * Replays logged bouts in date order with Elo updates (K = params.eloK), using
+ * the Davidson expected score P(win) + ½·P(draw). Every athlete starts from
+ * their current rating in `teams` (matched by name) or DEFAULT_RATING.
+ * Returns a Map name → rating.
+ */
+export function learnRatingsFromHistory(history, params, teams) {
+  const ratings = new Map();
+  for (const team of teams) for (const p of team) ratings.set(p.name, p.rating ?? DEFAULT_RATING);
+  const get = (name) => ratings.get(name) ?? DEFAULT_RATING;
+  const matches = history.matches.slice().sort((x, y) => String(x.date).localeCompare(String(y.date)));
+  for (const match of matches) {
+    for (const bout of match.bouts) {
+      const a = { rating: get(bout.ours.name) };
+      const b = { rating: get(bout.theirs.name) };
+      const { pWin, pDraw } = eloModel(a, b, params, bout.ourStreak, bout.oppStreak);
+      const actual = { W: 1, D: 0.5, L: 0 }[bout.result];
+      const delta = params.eloK * (actual - (pWin + 0.5 * pDraw));
+      ratings.set(bout.ours.name, a.rating + delta);
+      ratings.set(bout.theirs.name, b.rating - delta);
+    }
+  }
+  return ratings;
+}
+
+// ============================================================
+// =                        MATCH RULESET                     =
+// ============================================================
+/** params.rules over DEFAULT_RULES, with a bout cap whenever draws eliminate nobody. */
+export function resolveRules(params) {
+  const rules = { ...DEFAULT_RULES, ...(params?.rules || {}) };
+  if (rules.drawEliminates === "none" && !(rules.maxBouts > 0)) rules.maxBouts = DRAW_NONE_BOUT_CAP;
+  return rules;
+}
+
+/** Most bouts an athlete may fight in one match: the ruleset's cap or their own maxBouts. */
+function athleteBoutCap(athlete, rules) {
+  const ruleCap = rules.maxBouts > 0 ? rules.maxBouts : Infinity;
+  return athlete.maxBouts > 0 ? Math.min(ruleCap, athlete.maxBouts) : ruleCap;
+}
+
+/**
+ * boutTransitions(state, bout, rules, ourCap, oppCap)
+ * Successors of one bout. state is { i, j, si, sj }: the athletes on the mat
+ * and which bout of their run this is (1 = fresh); bout is { pWin, pDraw, pLose };
+ * ourCap / oppCap are the two athletes' athleteBoutCap.
+ * Returns [{ p, r, points, i, j, si, sj }] with r ∈ W/D/L from our side and
+ * points the change in net score. An athlete who stays on past the bout cap
+ * retires without a loss.
+ */
+function boutTransitions({ i, j, si, sj }, bout, rules, ourCap, oppCap) {
+  const out = [];
+  const add = (p, r, points, ni, nj, nsi, nsj) => {
+    if (!(p > 0)) return;
+    if (ni === i && nsi > ourCap) { ni++; nsi = 1; }
+    if (nj === j && nsj > oppCap) { nj++; nsj = 1; }
+    out.push({ p, r, points, i: ni, j: nj, si: nsi, sj: nsj });
+  };
+  const decisive = (p, r, sign, ...next) => {
+    add(p * (1 - rules.decisionShare), r, sign * rules.submissionPoints, ...next);
+    add(p * rules.decisionShare, r, sign * rules.decisionPoints, ...next);
+  };
+  decisive(bout.pWin, "W", 1, i, j + 1, si + 1, 1);
+  decisive(bout.pLose, "L", -1, i + 1, j, 1, sj + 1);
+
+  let leaves = rules.drawEliminates;
+  if (leaves === "stayer") leaves = si > sj ? "ours" : sj > si ? "theirs" : "both";
+  if (leaves === "both") add(bout.pDraw, "D", 0, i + 1, j + 1, 1, 1);
+  else if (leaves === "none") add(bout.pDraw, "D", 0, i, j, si + 1, sj + 1);
+  else if (leaves === "ours") add(bout.pDraw, "D", 0, i + 1, j, 1, sj + 1);
+  else add(bout.pDraw, "D", 0, i, j + 1, si + 1, 1);
+  return out;
+}
+
+/**
+ * teamResults(ourLeft, oppLeft, our, opp, params, rules)
+ * Team result once a side has run out: [{ result, p, captain }]. A simultaneous
+ * exhaustion is a tie unless the captain's tie-break is on, in which case both
+ * anchors fight one fresh bout and only its draw leaves the tie standing.
+ */
+function teamResults(ourLeft, oppLeft, our, opp, params, rules) {
+  if (ourLeft > 0) return [{ result: "win", p: 1, captain: false }];
+  if (oppLeft > 0) return [{ result: "lose", p: 1, captain: false }];
+  if (!rules.captainTieBreak) return [{ result: "tie", p: 1, captain: false }];
+  const { pWin, pDraw, pLose } = predictBout(our[our.length - 1], opp[opp.length - 1], params, 1, 1);
+  return [
+    { result: "win", p: pWin, captain: true },
+    { result: "tie", p: pDraw, captain: true },
+    { result: "lose", p: pLose, captain: true },
+  ].filter((o) => o.p > 0);
+}
+
+/** Plain-language summary of a ruleset for footers and reports. */
+export function describeRules(rules) {
+  const parts = ["Winner stays"];
+  parts.push(`a draw eliminates ${{ both: "both athletes", none: "neither athlete", stayer: "the athlete on the longer streak (both if equal)" }[rules.drawEliminates]}`);
+  if (rules.maxBouts > 0) parts.push(`athletes retire after ${rules.maxBouts} bout${rules.maxBouts === 1 ? "" : "s"}`);
+  if (rules.captainTieBreak) parts.push("a tie goes to a captain's bout between the anchors");
+  if (rules.decisionShare > 0) parts.push(`${Math.round(rules.decisionShare * 100)}% of wins by decision score ${rules.decisionPoints}, submissions ${rules.submissionPoints}`);
+  else if (rules.submissionPoints !== 1) parts.push(`a win scores ${rules.submissionPoints}`);
+  return parts.join("; ") + ".";
+}
+
+// ============================================================
+// =          DYNAMIC PROGRAMMING (ALL OUTCOME PATHS)         =
+// ============================================================
+// Slot and streak of the athletes on the mat when a match begins
+const MATCH_START = { i: 0, j: 0, si: 1, sj: 1 };
+
+/**
+ * expectedNetWins(our, opp, params, start)
+ * Backward recursion over (i, j, si, sj) under the ruleset. Net score is
+ * additive over bouts, so the expectation needs no net in the state. start
+ * is the state to score from (the opening bout by default); the result is
+ * the net still to come from there.
+ */
+export function expectedNetWins(our, opp, params, start = MATCH_START) {
+  const rules = resolveRules(params);
+  const n = our.length;
+  const m = opp.length;
+  const memo = new Map();
+  function f(state) {
+    const { i, j, si, sj } = state;
+    if (i >= n || j >= m) return 0;
+    const k = `${i},${j},${si},${sj}`;
+    if (memo.has(k)) return memo.get(k);
+    const bout = predictBout(our[i], opp[j], params, si, sj);
+    let val = 0;
+    for (const t of boutTransitions(state, bout, rules, athleteBoutCap(our[i], rules), athleteBoutCap(opp[j], rules))) val += t.p * (t.points + f(t));
+    memo.set(k, val);
+    return val;
+  }
+  return f(start);
+}
+
+/**
+ * outcomeDistribution(our, opp, params, start)
+ * Forward pass over (i, j, si, sj, net) states, accumulating the probability
+ * of every final state instead of an expectation. Starting from another state
+ * than the opening bout, nets count from there. Every bout either raises
+ * i + j or, for a draw that eliminates nobody, raises si + sj within the same
+ * (i, j), so buckets ordered by (i + j, si + sj) are processed in order.
+ * Returns { states, pWin, pTie, pLose, ev } with states as
+ * { ourLeft, oppLeft, net, result, captain, p } sorted by descending probability.
+ */
+export function outcomeDistribution(our, opp, params, start = MATCH_START) {
+  const rules = resolveRules(params);
+  const n = our.length;
+  const m = opp.length;
+  const width = 2 * (Math.max(n, m, rules.maxBouts) + 2);
+  const buckets = Array.from({ length: (n + m + 1) * width }, () => new Map());
+  const final = new Map();
+  const push = (i, j, si, sj, net, p) => {
+    net = Math.round(net * 1e9) / 1e9;
+    if (i >= n || j >= m) {
+      const k = `${i},${j},${net}`;
+      const prev = final.get(k);
+      if (prev) prev.p += p; else final.set(k, { i, j, net, p });
+      return;
+    }
+    const k = `${i},${j},${si},${sj},${net}`;
+    const bucket = buckets[(i + j) * width + si + sj];
+    const prev = bucket.get(k);
+    if (prev) prev.p += p; else bucket.set(k, { i, j, si, sj, net, p });
+  };
+  push(start.i, start.j, start.si, start.sj, 0, 1);
+  for (const bucket of buckets) {
+    for (const state of bucket.values()) {
+      const bout = predictBout(our[state.i], opp[state.j], params, state.si, state.sj);
+      const caps = [athleteBoutCap(our[state.i], rules), athleteBoutCap(opp[state.j], rules)];
+      for (const t of boutTransitions(state, bout, rules, ...caps)) push(t.i, t.j, t.si, t.sj, state.net + t.points, state.p * t.p);
+    }
+  }
+
+  const states = [];
+  let pWin = 0, pTie = 0, pLose = 0, ev = 0;
+  for (const { i, j, net, p } of final.values()) {
+    const ourLeft = Math.max(0, n - i);
+    const oppLeft = Math.max(0, m - j);
+    ev += p * net;
+    for (const o of teamResults(ourLeft, oppLeft, our, opp, params, rules)) {
+      const q = p * o.p;
+      if (o.result === "win") pWin += q; else if (o.result === "lose") pLose += q; else pTie += q;
+      states.push({ ourLeft, oppLeft, net, result: o.result, captain: o.captain, p: q });
+    }
+  }
+  states.sort((a, b) => b.p - a.p);
+  return { states, pWin, pTie, pLose, ev };
+}
+
+/**
+ * outcomeTree(our, opp, params)
+ * The state graph expectedNetWins walks, kept for exploring one pair of
+ * orders bout by bout. nodes maps "i,j,si,sj" to
+ *   { key, i, j, si, sj, bout, reach, ev, swing, children }
+ * where bout is { pWin, pDraw, pLose } on the mat (fatigue included), reach
+ * the probability the match passes through the state, ev the expected net
+ * score still to come, swing how much more a win is worth than a loss from
+ * here (points plus what follows), and children [{ p, r, points, to, end }]:
+ * to is the next node's key, or null with end "win" | "lose" | "out" once a
+ * side has run out ("out": both at once). athletes lists every athlete's
+ * expected { side, index, bouts, wins, draws }, captain's bouts included.
+ * Returns { root, nodes, athletes, ev }.
+ */
+export function outcomeTree(our, opp, params) {
+  const rules = resolveRules(params);
+  const n = our.length;
+  const m = opp.length;
+  const nodes = new Map();
+  const visit = (i, j, si, sj) => {
+    const key = `${i},${j},${si},${sj}`;
+    if (nodes.has(key)) return nodes.get(key);
+    const bout = predictBout(our[i], opp[j], params, si, sj);
+    const node = { key, i, j, si, sj, bout, reach: 0, ev: 0, swing: 0, children: [] };
+    nodes.set(key, node);
+    const after = { W: [0, 0], L: [0, 0] };
+    for (const t of boutTransitions({ i, j, si, sj }, bout, rules, athleteBoutCap(our[i], rules), athleteBoutCap(opp[j], rules))) {
+      const over = t.i >= n || t.j >= m;
+      const next = over ? null : visit(t.i, t.j, t.si, t.sj);
+      const value = t.points + (next ? next.ev : 0);
+      node.ev += t.p * value;
+      if (after[t.r]) {
+        after[t.r][0] += t.p;
+        after[t.r][1] += t.p * value;
+      }
+      node.children.push({ p: t.p, r: t.r, points: t.points, to: next && next.key, end: over ? (t.i < n ? "win" : t.j < m ? "lose" : "out") : null });
+    }
+    const mean = ([p, v]) => (p > 0 ? v / p : 0);
+    node.swing = after.W[0] > 0 && after.L[0] > 0 ? mean(after.W) - mean(after.L) : 0;
+    return node;
+  };
+  const root = visit(0, 0, 1, 1);
+
+  // Reach in the same (i + j, si + sj) order the forward pass uses
+  const width = 2 * (Math.max(n, m, rules.maxBouts) + 2);
+  const ordered = [...nodes.values()].sort((a, b) => (a.i + a.j) * width + a.si + a.sj - ((b.i + b.j) * width + b.si + b.sj));
+  root.reach = 1;
+  let bothOut = 0;
+  const athletes = [...our.map((_, index) => ({ side: "our", index })), ...opp.map((_, index) => ({ side: "opp", index }))]
+    .map((a) => ({ ...a, bouts: 0, wins: 0, draws: 0 }));
+  const credit = (i, j, reach, { pWin, pDraw, pLose }) => {
+    Object.assign(athletes[i], { bouts: athletes[i].bouts + reach, wins: athletes[i].wins + reach * pWin, draws: athletes[i].draws + reach * pDraw });
+    Object.assign(athletes[n + j], { bouts: athletes[n + j].bouts + reach, wins: athletes[n + j].wins + reach * pLose, draws: athletes[n + j].draws + reach * pDraw });
+  };
+  for (const node of ordered) {
+    credit(node.i, node.j, node.reach, node.bout);
+    for (const c of node.children) {
+      if (c.to) nodes.get(c.to).reach += node.reach * c.p;
+      else if (c.end === "out") bothOut += node.reach * c.p;
+    }
+  }
+  if (rules.captainTieBreak && bothOut > 0) credit(n - 1, m - 1, bothOut, predictBout(our[n - 1], opp[m - 1], params, 1, 1));
+  return { root: root.key, nodes, athletes, ev: root.ev };
+}
+
+// ============================================================
+// =                    RANKING OBJECTIVES                    =
+// ============================================================
+/**
+ * Every objective scores an outcome distribution; higher is better for us.
+ * Orders are ranked by the primary objective, then by the tie-break objective
+ * when the primary scores agree to within RANK_EPS.
+ * `linear` marks objectives that are an expectation over final states,
+ * score = Σ p·(net·linear.net + linear[result]); the search engine can bound
+ * those and prune, anything else is searched exhaustively.
+ * The risk objectives read the whole distribution of net wins and take their
+ * settings from ranking.risk; `knobs` lists the settings each one uses.
+ */
+export const OBJECTIVES = {
+  ev:       { label: "Expected net wins", short: "EV", score: (d) => d.ev, linear: { net: 1, win: 0, tie: 0, lose: 0 } },
+  pwin:     { label: "P(team win)", short: "P(win)", score: (d) => d.pWin, linear: { net: 0, win: 1, tie: 0, lose: 0 } },
+  points:   { label: "P(team win) + ½·P(tie)", short: "Points", score: (d) => d.pWin + 0.5 * d.pTie, linear: { net: 0, win: 1, tie: 0.5, lose: 0 } },
+  meanVar:  { label: "EV − λ·variance of net wins", short: "EV−λ·Var", score: (d, risk = DEFAULT_RISK) => d.ev - risk.lambda * netVariance(d), knobs: ["lambda"] },
+  cvar:     { label: "CVaR: mean net wins over the worst α of outcomes", short: "CVaR", score: (d, risk = DEFAULT_RISK) => netCVaR(d, risk.alpha), knobs: ["alpha"] },
+  quantile: { label: "Lower α-quantile of net wins", short: "Quantile", score: (d, risk = DEFAULT_RISK) => netQuantile(d, risk.alpha), knobs: ["alpha"] },
+  pnet:     { label: "P(net wins ≥ threshold)", short: "P(net≥t)", score: (d, risk = DEFAULT_RISK) => netAtLeast(d, risk.threshold), knobs: ["threshold"] },
+};
+
+/**
+ * Risk settings: lambda is the variance penalty (below 0 it rewards a
+ * gamble), alpha the share of worst outcomes CVaR and the quantile look at,
+ * threshold the net wins P(net ≥ t) asks for.
+ */
+export const DEFAULT_RISK = { lambda: 0.5, alpha: 0.25, threshold: 1 };
+
+/** Net wins → probability, ascending in net; d is a distribution or a search row carrying one. */
+function netOutcomes(d) {
+  return [...marginalOf(d.states ? d : d.dist, "net")].map(([net, p]) => ({ net, p })).sort((a, b) => a.net - b.net);
+}
+
+function netVariance(d) {
+  const nets = netOutcomes(d);
+  const mean = nets.reduce((t, { net, p }) => t + p * net, 0);
+  return nets.reduce((t, { net, p }) => t + p * (net - mean) ** 2, 0);
+}
+
+/** Mean net wins over the worst alpha of the probability mass (expected shortfall). */
+function netCVaR(d, alpha) {
+  let left = Math.min(Math.max(alpha, 1e-6), 1);
+  let mass = 0;
+  let sum = 0;
+  for (const { net, p } of netOutcomes(d)) {
+    const take = Math.min(p, left);
+    sum += take * net;
+    mass += take;
+    left -= take;
+    if (left <= 1e-12) break;
+  }
+  return mass > 0 ? sum / mass : 0;
+}
+
+/** Smallest net wins reached with probability ≥ alpha from below. */
+function netQuantile(d, alpha) {
+  const nets = netOutcomes(d);
+  let cumulative = 0;
+  for (const { net, p } of nets) {
+    cumulative += p;
+    if (cumulative >= alpha - 1e-9) return net;
+  }
+  return nets.length ? nets[nets.length - 1].net : 0;
+}
+
+function netAtLeast(d, threshold) {
+  return netOutcomes(d).reduce((t, { net, p }) => t + (net >= threshold - 1e-9 ? p : 0), 0);
+}
+
+const RANK_EPS = 1e-9;
+export const DEFAULT_RANKING = { objective: "ev", tieBreak: "pwin", risk: DEFAULT_RISK };
+
+function rankKey(dist, ranking) {
+  const primary = OBJECTIVES[ranking.objective].score(dist, ranking.risk);
+  const secondary = ranking.tieBreak === "none" ? 0 : OBJECTIVES[ranking.tieBreak].score(dist, ranking.risk);
+  return [primary, secondary];
+}
+
+/** compareKeys(a, b) > 0 when key a ranks above key b. */
+function compareKeys(a, b) {
+  const d = a[0] - b[0];
+  if (Math.abs(d) > RANK_EPS) return d;
+  return a[1] - b[1];
+}
+
+/**
+ * mixDistributions(parts)
+ * Probability-weighted mixture of outcome distributions, parts = [{ dist, w }].
+ * Weights need not be normalized.
+ */
+function mixDistributions(parts) {
+  const total = parts.reduce((s, { w }) => s + w, 0);
+  const merged = new Map();
+  let pWin = 0, pTie = 0, pLose = 0, ev = 0;
+  for (const { dist, w } of parts) {
+    const q = w / total;
+    if (!q) continue;
+    pWin += q * dist.pWin;
+    pTie += q * dist.pTie;
+    pLose += q * dist.pLose;
+    ev += q * dist.ev;
+    for (const s of dist.states) {
+      const k = `${s.ourLeft},${s.oppLeft},${s.net},${s.result},${s.captain}`;
+      const prev = merged.get(k);
+      if (prev) prev.p += q * s.p; else merged.set(k, { ...s, p: q * s.p });
+    }
+  }
+  const states = [...merged.values()].sort((a, b) => b.p - a.p);
+  return { states, pWin, pTie, pLose, ev };
+}
+
+/** Scores one (our order, opp order) pairing: { ev, pWin, pTie, pLose, key, dist }. */
+function evaluateOrders(ourOrd, oppOrd, params, ranking) {
+  const dist = outcomeDistribution(ourOrd, oppOrd, params);
+  return { ev: dist.ev, pWin: dist.pWin, pTie: dist.pTie, pLose: dist.pLose, key: rankKey(dist, ranking), dist };
+}
+
+// ============================================================
+// =                    LINEUP CONSTRAINTS                    =
+// ============================================================
+/**
+ * A coach's hard requirements on our order, one entry each:
+ *   { type: "pin", a, slot }          athlete a fights from slot (0 = opener)
+ *   { type: "forbid", a, slot }       athlete a may not fight from slot
+ *   { type: "before", a, b }          a fights somewhere before b
+ *   { type: "notAdjacent", a, b }     a and b are not in neighbouring slots
+ *   { type: "maxBouts", a, bouts }    a retires after this many bouts
+ * a and b index the team being searched. The slot entries restrict which
+ * orders the searches visit; maxBouts changes the match itself and is applied
+ * to the athletes by applyBoutCaps.
+ */
+export const CONSTRAINT_TYPES = {
+  pin: { label: "must fight in slot", needs: "slot" },
+  forbid: { label: "may not fight in slot", needs: "slot" },
+  before: { label: "fights before", needs: "athlete" },
+  notAdjacent: { label: "not next to", needs: "athlete" },
+  maxBouts: { label: "fights at most (bouts)", needs: "bouts" },
+};
+
+/** Copies of the athletes with maxBouts set from the constraints (the tightest cap wins). */
+export function applyBoutCaps(team, constraints = []) {
+  const caps = constraints.filter((c) => c.type === "maxBouts" && c.bouts > 0);
+  if (!caps.length) return team;
+  return team.map((athlete, a) => {
+    const bouts = Math.min(...caps.filter((c) => c.a === a).map((c) => c.bouts));
+    return Number.isFinite(bouts) ? { ...athlete, maxBouts: bouts } : athlete;
+  });
+}
+
+/**
+ * compileConstraints(n, constraints)
+ * Slot rules for an n-athlete order as allowedAt[a][k] plus the pair
+ * relations, ready for canPlace.
+ */
+function compileConstraints(n, constraints = []) {
+  const allowedAt = Array.from({ length: n }, () => new Array(n).fill(true));
+  const before = [];
+  const apart = [];
+  for (const c of constraints) {
+    if (c.type === "pin") {
+      for (let k = 0; k < n; k++) if (k !== c.slot) allowedAt[c.a][k] = false;
+      for (let a = 0; a < n; a++) if (a !== c.a && c.slot < n) allowedAt[a][c.slot] = false;
+    } else if (c.type === "forbid" && c.slot < n) {
+      allowedAt[c.a][c.slot] = false;
+    } else if (c.type === "before") {
+      before.push([c.a, c.b]);
+    } else if (c.type === "notAdjacent") {
+      apart.push([c.a, c.b]);
+    }
+  }
+  return { allowedAt, before, apart };
+}
+
+/** Whether athlete a may take slot k; mask holds the athletes already placed and prev the one in slot k − 1. */
+function canPlace({ allowedAt, before, apart }, a, k, mask, prev) {
+  if (!allowedAt[a][k]) return false;
+  for (const [x, y] of before) if (a === y && !(mask & (1 << x))) return false;
+  for (const [x, y] of apart) if ((a === x && prev === y) || (a === y && prev === x)) return false;
+  return true;
+}
+
+/** Every order of n athletes (as index arrays) that meets the constraints. */
+export function legalOrders(n, constraints = []) {
+  const rules = compileConstraints(n, constraints);
+  return permutations(Array.from({ length: n }, (_, i) => i)).filter((order) => {
+    let mask = 0;
+    return order.every((a, k) => {
+      const ok = canPlace(rules, a, k, mask, order[k - 1]);
+      mask |= 1 << a;
+      return ok;
+    });
+  });
+}
+
+/**
+ * constraintsForSquad(constraints, squad)
+ * Constraints written against a roster (a, b are roster indices) restated for
+ * the fielded squad (squad lists roster indices). Constraints on athletes who
+ * are not fielded drop out; the rest keep their roster position as `source`.
+ */
+export function constraintsForSquad(constraints, squad) {
+  return constraints.flatMap((c, source) => {
+    const a = squad.indexOf(c.a);
+    const b = c.b === undefined ? undefined : squad.indexOf(c.b);
+    if (a < 0 || b < 0) return [];
+    return [{ ...c, a, ...(b === undefined ? {} : { b }), source }];
+  });
+}
+
+/** One constraint in words, with athlete names from team. */
+export function describeConstraint(c, team) {
+  const name = (i) => team[i]?.name ?? `#${i + 1}`;
+  const { label, needs } = CONSTRAINT_TYPES[c.type];
+  if (needs === "slot") return `${name(c.a)} ${label} ${c.slot + 1}`;
+  if (needs === "athlete") return `${name(c.a)} ${label} ${name(c.b)}`;
+  return `${name(c.a)} fights at most ${c.bouts} bout${c.bouts === 1 ? "" : "s"}`;
+}
+
+// ============================================================
+// =                   SCOUTING UNCERTAINTY                   =
+// ============================================================
+/**
+ * A scouted attribute can be a range instead of a single number:
+ * athlete.ranges = { [key]: { min, max } }, with the attribute itself as the
+ * most likely value (either end may be left out). The searches then score
+ * every order against a set of sampled teams, each ranged attribute drawn
+ * from the triangular (min, likely, max) distribution, and average.
+ */
+export const DEFAULT_UNCERTAINTY_SAMPLES = 12;
+
+/** The ranged attributes of an athlete as [{ key, min, likely, max }], ends ordered around the likely value. */
+export function attributeRanges(athlete) {
+  return Object.entries(athlete.ranges || {}).flatMap(([key, { min, max }]) => {
+    const likely = Number(athlete[key]) || 0;
+    const lo = Math.min(likely, Number.isFinite(min) ? min : likely);
+    const hi = Math.max(likely, Number.isFinite(max) ? max : likely);
+    return hi > lo ? [{ key, min: lo, likely, max: hi }] : [];
+  });
+}
+
+/** Inverse CDF of the triangular distribution on [min, max] peaking at likely. */
+function triangularQuantile(u, { min, likely, max }) {
+  const split = (likely - min) / (max - min);
+  return u < split
+    ? min + Math.sqrt(u * (max - min) * (likely - min))
+    : max - Math.sqrt((1 - u) * (max - min) * (max - likely));
+}
+
+/**
+ * sampleTeams(team, count, seed)
+ * count copies of team with every ranged attribute drawn from its triangular
+ * distribution. Draws are Latin hypercube: each attribute hits every one of
+ * count equal-probability strata once, in a shuffled order, so a dozen teams
+ * already cover each range evenly. A team without ranges comes back alone,
+ * as [team].
+ */
+export function sampleTeams(team, count = DEFAULT_UNCERTAINTY_SAMPLES, seed = 1) {
+  const ranged = team.map(attributeRanges);
+  if (count < 2 || !ranged.some((r) => r.length)) return [team];
+  const rand = mulberry32(seed);
+  const teams = Array.from({ length: count }, () => team.map(({ ranges, ...athlete }) => ({ ...athlete })));
+  ranged.forEach((ranges, i) => {
+    for (const range of ranges) {
+      const strata = Array.from({ length: count }, (_, s) => s);
+      for (let s = count - 1; s > 0; s--) {
+        const r = Math.floor(rand() * (s + 1));
+        [strata[s], strata[r]] = [strata[r], strata[s]];
+      }
+      strata.forEach((stratum, s) => {
+        teams[s][i][range.key] = triangularQuantile((stratum + rand()) / count, range);
+      });
+    }
+  });
+  return teams;
+}
+
+// ============================================================
+// =                      SEARCH ENGINE                       =
+// ============================================================
+/**
+ * Lineup search shared by every mode. Orders are built one slot at a time,
+ * depth first, and the forward DP is carried down the tree: the states in
+ * which slot k's athlete steps on the mat depend only on slots 0…k−1, so every
+ * order with the same prefix shares that work. Bout probabilities are cached
+ * per (athlete, athlete, streak, streak) for the whole search.
+ *
+ * For objectives with a `linear` form, partial orders are pruned against an
+ * upper bound from a bitmask DP over (athletes left, opponent slot, opponent
+ * streak) that picks our next athlete after seeing the match state. A lineup
+ * that adapts can only do better than a fixed one, so the bound is safe.
+ *
+ * With { samples, side }, one side ("opp" by default, "our" for the
+ * opponent's own searches) is a list of sampled teams from sampleTeams laid
+ * end to end, sample s's athlete i at index s·size + i, and searchOrders
+ * plays every scenario against each sample.
+ */
+function createSearchContext(our, opp, params, { samples, side = "opp" } = {}) {
+  const n = our.length;
+  const m = opp.length;
+  if (samples && side === "opp") opp = samples.flat();
+  if (samples && side === "our") our = samples.flat();
+  const rules = resolveRules(params);
+  const cache = new Map();
+  const stats = { slots: 0, leaves: 0, pruned: 0 };
+  return {
+    our,
+    opp,
+    n,
+    m,
+    samples: samples ? samples.length : 1,
+    side,
+    rules,
+    stats,
+    bounds: new Map(), // lineupBound tables by opponent order, sample and objective
+    // Bucket width for in-slot states: si + sj never reaches it
+    width: n + m + 2 * (rules.maxBouts || 0) + 4,
+    ourCaps: our.map((a) => athleteBoutCap(a, rules)),
+    oppCaps: opp.map((b) => athleteBoutCap(b, rules)),
+    bout(a, b, sa, sb) {
+      const k = ((a * opp.length + b) * 256 + sa) * 256 + sb;
+      let v = cache.get(k);
+      if (!v) {
+        v = predictBout(our[a], opp[b], params, sa, sb);
+        cache.set(k, v);
+      }
+      return v;
+    },
+  };
+}
+
+/**
+ * runSlot(ctx, a, k, n, oppOrd, entering, trackNet)
+ * Our athlete a (index into ctx.our) fights from slot k of n. entering lists
+ * the states in which they step on the mat, { j, sj, net, p } (they are always
+ * fresh). Runs until they leave and returns { exits, terminals, points }:
+ * exits are slot k + 1's entering states, terminals finished matches as
+ * { ourLeft, oppLeft, net, result, captain, p }, and points the
+ * probability-weighted net score gained. With trackNet off every net stays 0,
+ * which keeps the state space small when only `points` is needed.
+ */
+function runSlot(ctx, a, k, n, oppOrd, entering, trackNet) {
+  ctx.stats.slots++;
+  const { rules, width } = ctx;
+  const m = oppOrd.length;
+  const exits = new Map();
+  const ends = new Map();
+  let points = 0;
+  const pending = new Map();
+  const add = (j, si, sj, net, p) => {
+    const idx = j * width + si + sj;
+    let bucket = pending.get(idx);
+    if (!bucket) pending.set(idx, (bucket = new Map()));
+    const key = `${si},${sj},${net}`;
+    const prev = bucket.get(key);
+    if (prev) prev.p += p; else bucket.set(key, { j, si, sj, net, p });
+  };
+  const end = (ourLeft, oppLeft, net, result, captain, p) => {
+    const key = `${ourLeft},${oppLeft},${net},${result},${captain}`;
+    const prev = ends.get(key);
+    if (prev) prev.p += p; else ends.set(key, { ourLeft, oppLeft, net, result, captain, p });
+  };
+  const finish = (ourLeft, oppLeft, net, p) => {
+    if (ourLeft > 0 || oppLeft > 0 || !rules.captainTieBreak) {
+      end(ourLeft, oppLeft, net, ourLeft > 0 ? "win" : oppLeft > 0 ? "lose" : "tie", false, p);
+      return;
+    }
+    // Both sides out at once: a ran last for us, oppOrd[m − 1] for them
+    const { pWin, pDraw, pLose } = ctx.bout(a, oppOrd[m - 1], 1, 1);
+    if (pWin > 0) end(ourLeft, oppLeft, net, "win", true, p * pWin);
+    if (pDraw > 0) end(ourLeft, oppLeft, net, "tie", true, p * pDraw);
+    if (pLose > 0) end(ourLeft, oppLeft, net, "lose", true, p * pLose);
+  };
+
+  for (const e of entering) add(e.j, 1, e.sj, e.net, e.p);
+  for (let idx = 0; idx < m * width; idx++) {
+    const bucket = pending.get(idx);
+    if (!bucket) continue;
+    pending.delete(idx);
+    for (const s of bucket.values()) {
+      const b = oppOrd[s.j];
+      const bout = ctx.bout(a, b, s.si, s.sj);
+      for (const t of boutTransitions({ i: k, j: s.j, si: s.si, sj: s.sj }, bout, rules, ctx.ourCaps[a], ctx.oppCaps[b])) {
+        const p = s.p * t.p;
+        points += p * t.points;
+        const net = trackNet ? Math.round((s.net + t.points) * 1e9) / 1e9 : 0;
+        if (t.i >= n || t.j >= m) finish(n - t.i, Math.max(0, m - t.j), net, p);
+        else if (t.i > k) {
+          const key = `${t.j},${t.sj},${net}`;
+          const prev = exits.get(key);
+          if (prev) prev.p += p; else exits.set(key, { j: t.j, sj: t.sj, net, p });
+        } else add(t.j, t.si, t.sj, net, p);
+      }
+    }
+  }
+  return { exits, terminals: [...ends.values()], points };
+}
+
+/** Outcome distribution (as outcomeDistribution returns it) from finished-match pieces. */
+function distributionFromTerminals(terminals) {
+  const merged = new Map();
+  let pWin = 0, pTie = 0, pLose = 0, ev = 0;
+  for (const t of terminals) {
+    if (t.result === "win") pWin += t.p; else if (t.result === "lose") pLose += t.p; else pTie += t.p;
+    ev += t.p * t.net;
+    const k = `${t.ourLeft},${t.oppLeft},${t.net},${t.result},${t.captain}`;
+    const prev = merged.get(k);
+    if (prev) prev.p += t.p;
+    else merged.set(k, { ourLeft: t.ourLeft, oppLeft: t.oppLeft, net: t.net, result: t.result, captain: t.captain, p: t.p });
+  }
+  const states = [...merged.values()].sort((a, b) => b.p - a.p);
+  return { states, pWin, pTie, pLose, ev };
+}
+
+/** The same distribution seen from the other bench. */
+function mirrorDistribution(dist) {
+  const flip = { win: "lose", lose: "win", tie: "tie" };
+  return {
+    states: dist.states.map((s) => ({ ...s, ourLeft: s.oppLeft, oppLeft: s.ourLeft, net: -s.net, result: flip[s.result] })),
+    pWin: dist.pLose,
+    pTie: dist.pTie,
+    pLose: dist.pWin,
+    ev: -dist.ev,
+  };
+}
+
+/**
+ * lineupBound(ctx, oppOrd, n, linear, shift)
+ * Returns U(mask, j, sj): the best expected `linear` value still to come when
+ * the athletes in mask are left, the next one steps on fresh, and the opponent
+ * in slot j is on a streak of sj, if we could pick each next athlete after
+ * seeing the state. Our athlete a is ctx.our[a + shift]. Memoized; only
+ * states the search asks for are computed.
+ */
+function lineupBound(ctx, oppOrd, n, linear, shift = 0) {
+  const memo = new Map();
+  const U = (mask, j, sj) => {
+    const key = (mask * 64 + j) * 256 + sj;
+    const hit = memo.get(key);
+    if (hit !== undefined) return hit;
+    let k = n;
+    for (let x = mask; x; x &= x - 1) k--;
+    let best = -Infinity;
+    for (let a = 0; a < n; a++) {
+      if (!(mask & (1 << a))) continue;
+      const { exits, terminals, points } = runSlot(ctx, a + shift, k, n, oppOrd, [{ j, sj, net: 0, p: 1 }], false);
+      let v = linear.net * points;
+      for (const t of terminals) v += t.p * linear[t.result];
+      for (const e of exits.values()) v += e.p * U(mask & ~(1 << a), e.j, e.sj);
+      if (v > best) best = v;
+    }
+    memo.set(key, best);
+    return best;
+  };
+  return U;
+}
+
+const compareOrders = (a, b) => {
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return a[i] - b[i];
+  return 0;
+};
+
+/**
+ * searchOrders(ctx, scenarios, ranking, options)
+ * Best orders of ctx.our against opponent scenarios [{ order, w }] (indices
+ * into one opponent team). A sampled context plays each scenario against
+ * every sample, splitting its weight evenly.
+ *  - aggregate "mix": scenarios are weighted opponent orders, score the mixture
+ *  - aggregate "min": score the worst scenario, averaged over the samples
+ *    (rows also carry its oppOrder)
+ *  - first: force this athlete into slot 0
+ *  - constraints: lineup constraints on our order (the slot entries; see
+ *    applyBoutCaps for maxBouts). Orders breaking them are never visited.
+ *  - topK: how many rows to keep (Infinity with prune off lists every order)
+ *  - swapped: ctx is built with the teams exchanged, i.e. the opponent is
+ *    choosing an order to minimize our score. Rows are still from our side.
+ *  - trackNet: carry net score in the states. Only non-linear objectives need
+ *    it to rank, so by default the search runs without and the returned rows
+ *    are walked once more to fill in their full distributions.
+ *  - exact: set false to skip that last walk (the rows' nets are then all 0)
+ *  - onProgress(fraction): called as orders are finished or pruned
+ * Returns { best, top, stats } with rows { order, ev, pWin, pTie, pLose, key, dist }.
+ */
+function searchOrders(ctx, scenarios, ranking = DEFAULT_RANKING, options = {}) {
+  const objective = OBJECTIVES[ranking.objective];
+  const linearRanking = !!objective.linear && (ranking.tieBreak === "none" || !!OBJECTIVES[ranking.tieBreak].linear);
+  const { aggregate = "mix", first = -1, topK = 5, prune = true, swapped = false, trackNet = !linearRanking, exact = true, onProgress, constraints } = options;
+  const n = ctx.n;
+  const lineupRules = compileConstraints(n, constraints);
+  // Orders settled so far (scored or pruned) out of the whole tree
+  const total = factorial(first >= 0 ? n - 1 : n);
+  let settled = 0;
+  const settle = (count) => {
+    settled += count;
+    if (onProgress) onProgress(settled / total);
+  };
+  // The searching side maximizes; when swapped that is minus our score, so
+  // the linear form is read from the opponent's side of the mat
+  const linear = prune && objective.linear
+    ? (swapped ? { net: objective.linear.net, win: -objective.linear.lose, tie: -objective.linear.tie, lose: -objective.linear.win } : objective.linear)
+    : null;
+  // One run per scenario and sample: order indexes ctx.opp, and our athlete
+  // a is ctx.our[a + shift]
+  const runs = scenarios.flatMap((s, group) => Array.from({ length: ctx.samples }, (_, k) => ({
+    order: ctx.side === "opp" ? s.order.map((i) => i + k * ctx.m) : s.order,
+    shift: ctx.side === "our" ? k * n : 0,
+    w: s.w / ctx.samples,
+    group,
+  })));
+  const boundFor = ({ order, shift }) => {
+    const id = `${order.join(",")}|${shift}|${linear.net},${linear.win},${linear.tie},${linear.lose}`;
+    if (!ctx.bounds.has(id)) ctx.bounds.set(id, lineupBound(ctx, order, n, linear, shift));
+    return ctx.bounds.get(id);
+  };
+  const bounds = linear ? runs.map(boundFor) : null;
+  const totalW = scenarios.reduce((t, s) => t + s.w, 0) || 1;
+  const startMass = (r) => (aggregate === "mix" ? r.w / totalW : 1 / ctx.samples);
+  // Per-scenario sums of per-run values
+  const byGroup = (values) => {
+    const sums = scenarios.map(() => 0);
+    values.forEach((v, r) => { sums[runs[r].group] += v; });
+    return sums;
+  };
+  const valueOf = (terminals) => terminals.reduce((v, t) => v + t.p * linear[t.result], 0);
+  // Without net in the states, a distribution's EV comes from the banked points
+  const distOf = (f) => ({ ...distributionFromTerminals(f.terminals), ...(trackNet ? {} : { ev: f.ev }) });
+  const withDist = (row, dist) => {
+    const ours = swapped ? mirrorDistribution(dist) : dist;
+    return { ...row, ev: ours.ev, pWin: ours.pWin, pTie: ours.pTie, pLose: ours.pLose, key: rankKey(ours, ranking), dist: ours };
+  };
+
+  const top = [];
+  const rank = (a, b) => compareKeys(b.searchKey, a.searchKey) || compareOrders(a.order, b.order);
+  const threshold = () => (top.length >= topK ? top[top.length - 1].searchKey[0] : -Infinity);
+
+  const leaf = (order, frontiers) => {
+    ctx.stats.leaves++;
+    settle(1);
+    let row;
+    if (aggregate === "mix") {
+      row = withDist({ order }, distOf({ terminals: frontiers.flatMap((f) => f.terminals), ev: frontiers.reduce((t, f) => t + f.ev, 0) }));
+    } else {
+      const groups = scenarios.map(() => ({ terminals: [], ev: 0 }));
+      frontiers.forEach((f, r) => {
+        const g = groups[runs[r].group];
+        g.terminals.push(...f.terminals);
+        g.ev += f.ev;
+      });
+      groups.forEach((g, c) => {
+        const candidate = withDist({ order, oppOrder: scenarios[c].order.slice(), group: c }, distOf(g));
+        if (!row || compareKeys(candidate.key, row.key) < 0) row = candidate;
+      });
+    }
+    row.searchKey = swapped ? [-row.key[0], -row.key[1]] : row.key;
+    if (topK === Infinity) {
+      top.push(row);
+      return;
+    }
+    if (top.length >= topK && rank(row, top[top.length - 1]) >= 0) return;
+    top.push(row);
+    top.sort(rank);
+    if (top.length > topK) top.pop();
+  };
+
+  // frontiers[r] = { entering, terminals, ev, value } for run r: ev is
+  // the net score banked so far, value the linear score banked so far
+  const dfs = (k, mask, order, frontiers) => {
+    if (k === n) return leaf(order.slice(), frontiers);
+    const children = [];
+    for (let a = 0; a < n; a++) {
+      if (mask & (1 << a)) continue;
+      if (k === 0 && first >= 0 && a !== first) continue;
+      if (!canPlace(lineupRules, a, k, mask, order[k - 1])) {
+        settle(factorial(n - k - 1));
+        continue;
+      }
+      const next = frontiers.map((f, r) => {
+        const slot = runSlot(ctx, a + runs[r].shift, k, n, runs[r].order, f.entering, trackNet);
+        const terminals = f.terminals.concat(slot.terminals);
+        const value = linear ? f.value + linear.net * slot.points + valueOf(slot.terminals) : 0;
+        return { entering: [...slot.exits.values()], terminals, ev: f.ev + slot.points, value };
+      });
+      let bound = Infinity;
+      if (linear) {
+        const left = ((1 << n) - 1) & ~(mask | (1 << a));
+        const parts = next.map((f, r) => {
+          let v = f.value;
+          for (const e of f.entering) v += e.p * bounds[r](left, e.j, e.sj);
+          return v;
+        });
+        bound = aggregate === "mix" ? parts.reduce((t, v) => t + v, 0) : Math.min(...byGroup(parts));
+      }
+      children.push({ a, next, bound });
+    }
+    children.sort((x, y) => y.bound - x.bound || x.a - y.a);
+    for (const { a, next, bound } of children) {
+      if (bound < threshold() - RANK_EPS) {
+        ctx.stats.pruned++;
+        settle(factorial(n - k - 1));
+        continue;
+      }
+      order.push(a);
+      dfs(k + 1, mask | (1 << a), order, next);
+      order.pop();
+    }
+  };
+
+  const roots = runs.map((r) => ({ entering: [{ j: 0, sj: 1, net: 0, p: startMass(r) }], terminals: [], ev: 0, value: 0 }));
+  dfs(0, 0, [], roots);
+  if (topK === Infinity) top.sort(rank);
+  const rows = top.map(({ searchKey, group, ...row }) => {
+    if (trackNet || !exact) return row;
+    const walked = aggregate === "mix" ? runs : runs.filter((r) => r.group === group);
+    return withDist(row, distributionFromTerminals(walked.flatMap((r) => walkOrder(ctx, row.order.map((a) => a + r.shift), r.order, startMass(r)))));
+  });
+  return { best: rows[0] || null, top: rows, stats: { ...ctx.stats } };
+}
+
+/** Finished-match pieces of one full order against one opponent order, starting with mass p. */
+function walkOrder(ctx, order, oppOrder, p = 1) {
+  let entering = [{ j: 0, sj: 1, net: 0, p }];
+  const terminals = [];
+  order.forEach((a, k) => {
+    const slot = runSlot(ctx, a, k, order.length, oppOrder, entering, true);
+    terminals.push(...slot.terminals);
+    entering = [...slot.exits.values()];
+  });
+  return terminals;
+}
+
+/**
+ * bestResponseOrder(our, opp, ourOrder, params, ranking, ctxSwap, onProgress)
+ * The opponent order that minimizes our ranking key against a fixed our
+ * order. Pass ctxSwap (createSearchContext(opp, our, params), sampled on the
+ * "our" side when the opponent is) to reuse its bout cache across calls.
+ */
+function bestResponseOrder(our, opp, ourOrder, params, ranking, ctxSwap = createSearchContext(opp, our, params), onProgress) {
+  const { best } = searchOrders(ctxSwap, [{ order: ourOrder, w: 1 }], ranking, { topK: 1, swapped: true, onProgress });
+  return { ...best, oppOrder: best.order };
+}
+
+/**
+ * robustSearch(our, opp, params, ranking, options)
+ * Max over our orders of the min over opponent orders, by double oracle:
+ * search our orders against a small set of opponent orders (pruning with the
+ * worst of their bounds), then ask the opponent's best response to each of
+ * the top rows. Any response that does worse for us than the set already
+ * showed joins the set and the search repeats. Once nothing new turns up,
+ * every top row's worst case is exact, and rows outside the top can only be
+ * worse than the set made them look. onProgress(fraction, note) follows each
+ * pass, so the fraction restarts when the set grows.
+ */
+function robustSearch(our, opp, params, ranking = DEFAULT_RANKING, { first = -1, topK = 5, onProgress, constraints, samples } = {}) {
+  const ctx = createSearchContext(our, opp, params, { samples });
+  const ctxSwap = createSearchContext(opp, our, params, { samples, side: "our" });
+  const columns = [opp.map((_, i) => i)];
+  const seen = new Set([columns[0].join(",")]);
+  const responses = new Map();
+  for (;;) {
+    const note = `against ${columns.length} opponent order${columns.length === 1 ? "" : "s"}`;
+    const progress = onProgress && ((fraction) => onProgress(fraction, note));
+    const res = searchOrders(ctx, columns.map((order) => ({ order, w: 1 })), ranking, { aggregate: "min", first, topK, onProgress: progress, constraints });
+    let grew = false;
+    for (const row of res.top) {
+      const rowId = row.order.join(",");
+      if (!responses.has(rowId)) responses.set(rowId, bestResponseOrder(our, opp, row.order, params, ranking, ctxSwap));
+      const response = responses.get(rowId);
+      const id = response.oppOrder.join(",");
+      if (!seen.has(id) && compareKeys(response.key, row.key) < -RANK_EPS) {
+        seen.add(id);
+        columns.push(response.oppOrder);
+        grew = true;
+      }
+    }
+    if (!grew) {
+      const stats = { ...res.stats, responseSlots: ctxSwap.stats.slots, columns: columns.length };
+      return { ...res, stats };
+    }
+  }
+}
+
+/**
+ * allOrderDistributions(our, opp, oppOrder, params, ctx, trackNet, constraints)
+ * Outcome distribution of every legal our order against one opponent order,
+ * keyed by order.join(","). One unpruned tree walk shares every prefix.
+ * Without trackNet the distributions have the right EV and results but every
+ * net is 0.
+ */
+function allOrderDistributions(our, opp, oppOrder, params, ctx = createSearchContext(our, opp, params), trackNet = true, constraints = []) {
+  const { top } = searchOrders(ctx, [{ order: oppOrder, w: 1 }], DEFAULT_RANKING, { topK: Infinity, prune: false, trackNet, exact: false, constraints });
+  return new Map(top.map((row) => [row.order.join(","), row.dist]));
+}
+
+// ============================================================
+// =                 SEARCH OUR LINEUP ORDERS                 =
+// ============================================================
+// Every mode goes through the search engine; the bruteForce* functions below
+// keep the original enumerate-everything searches as the benchmark baseline.
+// The optional last argument { onProgress(fraction, note), constraints,
+// samples } is passed down to the engine; samples (from sampleTeams) are the
+// opponent teams to average over.
+
+export function optimizeOurOrder(our, opp, params, ranking = DEFAULT_RANKING, { onProgress, constraints, samples } = {}) {
+  const ctx = createSearchContext(our, opp, params, { samples });
+  return searchOrders(ctx, [{ order: opp.map((_, i) => i), w: 1 }], ranking, { onProgress, constraints });
+}
+
+export function robustOurOrder(our, opp, params, ranking = DEFAULT_RANKING, { onProgress, constraints, samples } = {}) {
+  return robustSearch(our, opp, params, ranking, { onProgress, constraints, samples });
+}
+
+function optimizeOurOrderWithFirst(our, opp, params, firstIdx, ranking = DEFAULT_RANKING, { onProgress, constraints, samples } = {}) {
+  const ctx = createSearchContext(our, opp, params, { samples });
+  return searchOrders(ctx, [{ order: opp.map((_, i) => i), w: 1 }], ranking, { first: firstIdx, topK: 1, onProgress, constraints }).best;
+}
+
+function robustOurOrderWithFirst(our, opp, params, firstIdx, ranking = DEFAULT_RANKING, { onProgress, constraints, samples } = {}) {
+  return robustSearch(our, opp, params, ranking, { first: firstIdx, topK: 1, onProgress, constraints, samples }).best;
+}
+
+/** The opponent's best order against our athletes in the order given. */
+export function pickOppBestOrderAgainst(our, opp, params, ranking = DEFAULT_RANKING, { onProgress, samples } = {}) {
+  const ctxSwap = createSearchContext(opp, our, params, { samples, side: "our" });
+  const response = bestResponseOrder(our, opp, our.map((_, i) => i), params, ranking, ctxSwap, onProgress);
+  return { ...response, order: response.oppOrder };
+}
+
+export function bruteForceOurOrder(our, opp, params, ranking = DEFAULT_RANKING) {
+  const idxs = our.map((_, i) => i);
+  const perms = permutations(idxs);
+  let best = null;
+  const top = [];
+  for (const ord of perms) {
+    const ourOrd = ord.map((i) => our[i]);
+    const row = { order: ord.slice(), ...evaluateOrders(ourOrd, opp, params, ranking) };
+    top.push(row);
+    if (!best || compareKeys(row.key, best.key) > 0) best = row;
+  }
+  top.sort((a, b) => compareKeys(b.key, a.key));
+  return { best, top: top.slice(0, 5) };
+}
+
+/** Worst case over every opponent permutation, judged by the ranking key. */
+function worstCaseAgainst(ourOrd, opp, oppPerms, params, ranking) {
+  let worst = null;
+  for (const oppOrdIdxs of oppPerms) {
+    const oppOrd = oppOrdIdxs.map((i) => opp[i]);
+    const row = evaluateOrders(ourOrd, oppOrd, params, ranking);
+    if (!worst || compareKeys(row.key, worst.key) < 0) worst = { ...row, oppOrder: oppOrdIdxs.slice() };
+  }
+  return worst;
+}
+
+export function bruteForceRobustOrder(our, opp, params, ranking = DEFAULT_RANKING) {
+  const ourIdxs = our.map((_, i) => i);
+  const oppIdxs = opp.map((_, i) => i);
+  const ourPerms = permutations(ourIdxs);
+  const oppPerms = permutations(oppIdxs);
+  let best = null;
+  const top = [];
+  for (const ord of ourPerms) {
+    const ourOrd = ord.map((i) => our[i]);
+    const row = { order: ord.slice(), ...worstCaseAgainst(ourOrd, opp, oppPerms, params, ranking) };
+    top.push(row);
+    if (!best || compareKeys(row.key, best.key) > 0) best = row;
+  }
+  top.sort((a, b) => compareKeys(b.key, a.key));
+  return { best, top: top.slice(0, 5) };
+}
+
+// ============================================================
+// =            SCOUTING PRIOR OVER OPPONENT ORDERS           =
+// ============================================================
+/**
+ * opponentOrderPrior(opp, prior)
+ * Turns scouting knowledge into a distribution over opponent permutations.
+ * Per-slot table: P(order) ∝ Π_s w[order[s]][s]. Pinned athletes and 0% cells
+ * get w = 0; the known % cells are matched by iterative proportional fitting,
+ * i.e. the most even (max-entropy) distribution with those marginals.
+ * Candidate orders are mixed in with total weight candidateShare.
+ * Returns { orders: [{ order, p }] (descending, p > 0), residual } where
+ * residual is the largest gap between a scouted % and the fitted marginal.
+ */
+export function opponentOrderPrior(opp, prior) {
+  const n = opp.length;
+  const perms = permutations(opp.map((_, i) => i));
+  const pct = (a, s) => prior.slotPct?.[a]?.[s] ?? null;
+  const pinned = (a) => prior.pinned?.[a] ?? -1;
+
+  const allowed = (a, s) => {
+    if (pct(a, s) === 0) return false;
+    if (pinned(a) >= 0 && pinned(a) !== s) return false;
+    // Another athlete pinned to this slot excludes everybody else
+    for (let b = 0; b < n; b++) if (b !== a && pinned(b) === s) return false;
+    return true;
+  };
+  const legal = perms.filter((ord) => ord.every((a, s) => allowed(a, s)));
+
+  const w = Array.from({ length: n }, (_, a) => Array.from({ length: n }, (_, s) => (allowed(a, s) ? 1 : 0)));
+  const weightOf = (ord) => ord.reduce((prod, a, s) => prod * w[a][s], 1);
+  const marginals = () => {
+    const M = Array.from({ length: n }, () => new Array(n).fill(0));
+    let Z = 0;
+    for (const ord of legal) {
+      const q = weightOf(ord);
+      Z += q;
+      ord.forEach((a, s) => { M[a][s] += q; });
+    }
+    return M.map((row) => row.map((v) => (Z > 0 ? v / Z : 0)));
+  };
+
+  const targets = [];
+  for (let a = 0; a < n; a++) {
+    for (let s = 0; s < n; s++) {
+      const t = pct(a, s);
+      if (t !== null && t > 0 && w[a][s] > 0) targets.push({ a, s, t: t / 100 });
+    }
+  }
+  let residual = 0;
+  for (let iter = 0; iter < 200 && targets.length; iter++) {
+    const M = marginals();
+    residual = 0;
+    for (const { a, s, t } of targets) {
+      residual = Math.max(residual, Math.abs(M[a][s] - t));
+      if (M[a][s] > 0) w[a][s] *= t / M[a][s];
+    }
+    if (residual < 1e-6) break;
+  }
+
+  const probs = new Map();
+  const add = (ord, p) => {
+    const k = ord.join(",");
+    probs.set(k, { order: ord, p: (probs.get(k)?.p || 0) + p });
+  };
+  const isLegal = (ord) => ord.length === n && new Set(ord).size === n && ord.every((a, s) => allowed(a, s));
+  const candidates = (prior.candidates || []).filter((c) => c.weight > 0 && isLegal(c.order));
+  const share = candidates.length ? clamp(prior.candidateShare ?? 0.5) : 0;
+
+  const Z = legal.reduce((sum, ord) => sum + weightOf(ord), 0);
+  if (Z > 0 && share < 1) for (const ord of legal) add(ord, (1 - share) * weightOf(ord) / Z);
+  const cTotal = candidates.reduce((sum, c) => sum + c.weight, 0);
+  for (const c of candidates) add(c.order.slice(), share * c.weight / cTotal);
+
+  const total = [...probs.values()].reduce((sum, r) => sum + r.p, 0);
+  const orders = [...probs.values()]
+    .map((r) => ({ order: r.order, p: r.p / total }))
+    .filter((r) => r.p > 1e-12)
+    .sort((a, b) => b.p - a.p);
+  return { orders, residual };
+}
+
+/** Our order scored on the prior-weighted mixture of outcome distributions. */
+function expectedAgainstPrior(ourOrd, opp, oppOrders, params, ranking) {
+  const dist = mixDistributions(oppOrders.map(({ order, p }) => ({ dist: outcomeDistribution(ourOrd, order.map((i) => opp[i]), params), w: p })));
+  return { ev: dist.ev, pWin: dist.pWin, pTie: dist.pTie, pLose: dist.pLose, key: rankKey(dist, ranking), dist };
+}
+
+function bayesOurOrder(our, opp, params, oppOrders, ranking = DEFAULT_RANKING, { onProgress, constraints, samples } = {}) {
+  const ctx = createSearchContext(our, opp, params, { samples });
+  return searchOrders(ctx, oppOrders.map(({ order, p }) => ({ order, w: p })), ranking, { onProgress, constraints });
+}
+
+function bayesOurOrderWithFirst(our, opp, params, firstIdx, oppOrders, ranking = DEFAULT_RANKING, { onProgress, constraints, samples } = {}) {
+  const ctx = createSearchContext(our, opp, params, { samples });
+  return searchOrders(ctx, oppOrders.map(({ order, p }) => ({ order, w: p })), ranking, { first: firstIdx, topK: 1, onProgress, constraints }).best;
+}
+
+function bruteForceBayesOrder(our, opp, params, oppOrders, ranking = DEFAULT_RANKING) {
+  const perms = permutations(our.map((_, i) => i));
+  let best = null;
+  const top = [];
+  for (const ord of perms) {
+    const ourOrd = ord.map((i) => our[i]);
+    const row = { order: ord.slice(), ...expectedAgainstPrior(ourOrd, opp, oppOrders, params, ranking) };
+    top.push(row);
+    if (!best || compareKeys(row.key, best.key) > 0) best = row;
+  }
+  top.sort((a, b) => compareKeys(b.key, a.key));
+  return { best, top: top.slice(0, 5) };
+}
+
+// ============================================================
+// =              MIXED-STRATEGY (NASH) EQUILIBRIUM           =
+// ============================================================
+/**
+ * solveZeroSumGame(A)
+ * Row player maximizes, column player minimizes the payoff A[r][c].
+ * Standard LP reduction: shift A to be strictly positive, then
+ *   max Σy  s.t.  A'y ≤ 1, y ≥ 0
+ * solved with a dense simplex tableau (Bland's rule, so degenerate games with
+ * many identical rows/columns cannot cycle). The column strategy is y/Σy; the
+ * row strategy is read from the slack reduced costs (the dual solution).
+ * Returns { value, rowStrategy, colStrategy, iterations }.
+ */
+export function solveZeroSumGame(A) {
+  const R = A.length;
+  const C = A[0].length;
+  const EPS = 1e-12;
+  let min = Infinity;
+  for (const row of A) for (const v of row) min = Math.min(min, v);
+  const shift = 1 - min;
+
+  const W = C + R + 1; // y columns, slack columns, rhs
+  const T = A.map((row, r) => {
+    const t = new Float64Array(W);
+    for (let c = 0; c < C; c++) t[c] = row[c] + shift;
+    t[C + r] = 1;
+    t[W - 1] = 1;
+    return t;
+  });
+  const z = new Float64Array(W);
+  for (let c = 0; c < C; c++) z[c] = -1;
+  const basis = Array.from({ length: R }, (_, r) => C + r);
+
+  let iterations = 0;
+  for (;;) {
+    let enter = -1;
+    for (let c = 0; c < W - 1; c++) if (z[c] < -EPS) { enter = c; break; }
+    if (enter < 0) break;
+
+    let leave = -1;
+    let bestRatio = Infinity;
+    for (let r = 0; r < R; r++) {
+      const a = T[r][enter];
+      if (a <= EPS) continue;
+      const ratio = T[r][W - 1] / a;
+      if (ratio < bestRatio - EPS || (Math.abs(ratio - bestRatio) <= EPS && basis[r] < basis[leave])) {
+        bestRatio = ratio;
+        leave = r;
+      }
+    }
+    if (leave < 0) throw new Error("Unbounded game LP (should not happen for a positive matrix)");
+
+    const pivotRow = T[leave];
+    const pv = pivotRow[enter];
+    for (let c = 0; c < W; c++) pivotRow[c] /= pv;
+    for (let r = 0; r < R; r++) {
+      if (r === leave) continue;
+      const f = T[r][enter];
+      if (f === 0) continue;
+      const row = T[r];
+      for (let c = 0; c < W; c++) row[c] -= f * pivotRow[c];
+    }
+    const fz = z[enter];
+    for (let c = 0; c < W; c++) z[c] -= fz * pivotRow[c];
+    basis[leave] = enter;
+    iterations++;
+  }
+
+  const sumY = z[W - 1];
+  const colStrategy = new Array(C).fill(0);
+  basis.forEach((b, r) => { if (b < C) colStrategy[b] = T[r][W - 1] / sumY; });
+  const rowStrategy = Array.from({ length: R }, (_, r) => Math.max(0, z[C + r]) / sumY);
+  return { value: 1 / sumY - shift, rowStrategy, colStrategy, iterations };
+}
+
+/**
+ * nashOurOrder(our, opp, params, ranking, { onProgress, constraints, samples })
+ * Builds the legal-our-order × opp-order payoff matrix (primary objective score of
+ * each pairing) and solves it as a zero-sum game. Every our order is then
+ * scored against the opponent's equilibrium mix; top lists our mixed
+ * strategy's support by probability and best is its most likely order.
+ * Each matrix column is one tree walk of the search engine. A linear
+ * objective needs no net scores for the payoff, so full distributions are
+ * only walked for the columns the opponent actually plays. With samples every
+ * payoff is averaged over the sampled opponent teams.
+ * Returns { best, top, responses, game: { value, ours, opp } } (best and
+ * game are null when no order meets the constraints).
+ */
+export function nashOurOrder(our, opp, params, ranking = DEFAULT_RANKING, { onProgress, constraints, samples } = {}) {
+  const ourPerms = legalOrders(our.length, constraints);
+  const oppPerms = permutations(opp.map((_, i) => i));
+  if (!ourPerms.length) return { best: null, top: [], responses: [], game: null };
+  const ctx = createSearchContext(our, opp, params, { samples });
+  const linear = !!OBJECTIVES[ranking.objective].linear;
+  const column = (oppOrder, trackNet) => allOrderDistributions(our, opp, oppOrder, params, ctx, trackNet, constraints);
+  const matrix = (columns) => ourPerms.map((ord) => columns.map((col) => col.get(ord.join(","))));
+  let columns = oppPerms.map((oppOrder, c) => {
+    if (onProgress) onProgress(c / oppPerms.length, "payoff matrix");
+    return column(oppOrder, !linear);
+  });
+  const solution = solveZeroSumGame(payoffMatrix(matrix(columns), ranking));
+  if (linear) columns = columns.map((col, c) => (solution.colStrategy[c] > 0 ? column(oppPerms[c], true) : col));
+  return orderGame(ourPerms, oppPerms, matrix(columns), solution, ranking);
+}
+
+export function bruteForceNashOrder(our, opp, params, ranking = DEFAULT_RANKING) {
+  const ourPerms = permutations(our.map((_, i) => i));
+  const oppPerms = permutations(opp.map((_, i) => i));
+  const dists = ourPerms.map((ord) => {
+    const ourOrd = ord.map((i) => our[i]);
+    return oppPerms.map((oppOrdIdxs) => outcomeDistribution(ourOrd, oppOrdIdxs.map((i) => opp[i]), params));
+  });
+  return orderGame(ourPerms, oppPerms, dists, solveZeroSumGame(payoffMatrix(dists, ranking)), ranking);
+}
+
+/** Primary objective score of dists[r][c], our order r against opponent order c. */
+function payoffMatrix(dists, ranking) {
+  const objective = OBJECTIVES[ranking.objective];
+  return dists.map((row) => row.map((d) => objective.score(d, ranking.risk)));
+}
+
+/** Mixed strategies and every pure order's response to the opponent's mix. */
+function orderGame(ourPerms, oppPerms, dists, { value, rowStrategy, colStrategy }, ranking) {
+  const SUPPORT_EPS = 1e-6;
+  const oppMix = oppPerms
+    .map((order, c) => ({ order, p: colStrategy[c] }))
+    .filter(({ p }) => p > SUPPORT_EPS)
+    .sort((a, b) => b.p - a.p);
+  const responses = ourPerms.map((ord, r) => {
+    const dist = mixDistributions(dists[r].map((d, c) => ({ dist: d, w: colStrategy[c] })));
+    return { order: ord.slice(), p: rowStrategy[r], ev: dist.ev, pWin: dist.pWin, pTie: dist.pTie, pLose: dist.pLose, key: rankKey(dist, ranking), dist };
+  });
+  const ours = responses.filter(({ p }) => p > SUPPORT_EPS).sort((a, b) => b.p - a.p);
+  return { best: ours[0], top: ours.slice(0, 5), responses, game: { value, ours, opp: oppMix } };
+}
+
+/** Best pure order with a fixed opener against the opponent's equilibrium mix. */
+function nashOurOrderWithFirst(nash, firstIdx) {
+  let best = null;
+  for (const row of nash.responses) {
+    if (row.order[0] !== firstIdx) continue;
+    if (!best || compareKeys(row.key, best.key) > 0) best = row;
+  }
+  return best;
+}
+
+/** Samples one order from a mixed strategy [{ order, p }]. */
+export function sampleMixedOrder(mix, rand = Math.random) {
+  const total = mix.reduce((s, { p }) => s + p, 0);
+  let u = rand() * total;
+  for (const row of mix) {
+    u -= row.p;
+    if (u <= 0) return row.order;
+  }
+  return mix[mix.length - 1].order;
+}
+
+// ============================================================
+// =               OPTIMIZE BY OPPONENT ASSUMPTION            =
+// ============================================================
+/**
+ * optimizeForMode(mode, our, opp, params, ranking, oppOrders, search)
+ * The search behind each opponent-order assumption: "exploit", "robust",
+ * "nash" or "bayes" (scored against oppOrders, the scouting prior). search
+ * is { onProgress, constraints, samples }; every lineup constraint applies,
+ * bout caps included.
+ */
+export function optimizeForMode(mode, our, opp, params, ranking, oppOrders, search = {}) {
+  const team = applyBoutCaps(our, search.constraints);
+  if (mode === "exploit") return optimizeOurOrder(team, opp, params, ranking, search);
+  if (mode === "nash") return nashOurOrder(team, opp, params, ranking, search);
+  if (mode === "bayes") return bayesOurOrder(team, opp, params, oppOrders, ranking, search);
+  return robustOurOrder(team, opp, params, ranking, search);
+}
+
+/** Best order with athlete firstIdx opening; nash reads it off `result`, the full search. */
+export function optimizeForModeWithFirst(mode, result, our, opp, params, firstIdx, ranking, oppOrders, search = {}) {
+  const team = applyBoutCaps(our, search.constraints);
+  if (mode === "robust") return robustOurOrderWithFirst(team, opp, params, firstIdx, ranking, search);
+  if (mode === "nash") return nashOurOrderWithFirst(result, firstIdx);
+  if (mode === "bayes") return bayesOurOrderWithFirst(team, opp, params, firstIdx, oppOrders, ranking, search);
+  return optimizeOurOrderWithFirst(team, opp, params, firstIdx, ranking, search);
+}
+
+/**
+ * constraintCosts(mode, our, opp, params, ranking, oppOrders, search)
+ * What search.constraints cost: the unconstrained best and, for each
+ * constraint on its own, the best order that meets it. Scores are the
+ * ranking objective (the game value in nash mode) so they compare with the
+ * unconstrained one. Returns { free, each: [{ score, ev, order } | null] }.
+ */
+export function constraintCosts(mode, our, opp, params, ranking, oppOrders, { constraints, samples, onProgress }) {
+  const summarize = (result) => {
+    if (!result.best) return null;
+    const score = mode === "nash" ? result.game.value : OBJECTIVES[ranking.objective].score(result.best, ranking.risk);
+    return { score, ev: result.best.ev, order: result.best.order };
+  };
+  const run = (only, k) => {
+    const progress = onProgress && ((fraction) => onProgress((k + fraction) / (constraints.length + 1)));
+    return summarize(optimizeForMode(mode, our, opp, params, ranking, oppOrders, { constraints: only, samples, onProgress: progress }));
+  };
+  return { free: run([], 0), each: constraints.map((c, k) => run([c], k + 1)) };
+}
+
+/**
+ * orderStability(mode, result, our, opp, params, ranking, oppOrders, search)
+ * How the recommended order (result.best) holds up when each of
+ * search.samples is the true opponent team. Each sample is solved again on
+ * its own under the same assumption (nash plays against the equilibrium
+ * mix), and regret is what the recommendation gives up there against that
+ * sample's best, in the primary objective.
+ * Returns { count, agree, meanRegret, maxRegret, winners: [{ order, share }] }
+ * with agree the share of samples where nothing beats the recommendation.
+ */
+export function orderStability(mode, result, our, opp, params, ranking, oppOrders, { constraints, samples, onProgress }) {
+  const team = applyBoutCaps(our, constraints);
+  const score = (d) => OBJECTIVES[ranking.objective].score(d, ranking.risk);
+  const recommended = result.best.order;
+  const solved = mode === "nash" ? "bayes" : mode;
+  const assumed = mode === "nash" ? result.game.opp : mode === "bayes" ? oppOrders : [{ order: opp.map((_, i) => i), p: 1 }];
+  const totalP = assumed.reduce((t, { p }) => t + p, 0);
+  const winners = new Map();
+  const regrets = samples.map((sample, s) => {
+    const progress = onProgress && ((fraction) => onProgress((s + fraction) / samples.length));
+    const { best } = optimizeForMode(solved, our, sample, params, ranking, assumed, { constraints, onProgress: progress });
+    const id = best.order.join(",");
+    winners.set(id, (winners.get(id) || 0) + 1);
+    let own;
+    if (mode === "robust") own = bestResponseOrder(team, sample, recommended, params, ranking);
+    else {
+      const ctx = createSearchContext(team, sample, params);
+      own = distributionFromTerminals(assumed.flatMap(({ order, p }) => walkOrder(ctx, recommended, order, p / totalP)));
+    }
+    return Math.max(0, score(best) - score(own));
+  });
+  return {
+    count: samples.length,
+    agree: regrets.filter((r) => r <= RANK_EPS).length / samples.length,
+    meanRegret: regrets.reduce((t, r) => t + r, 0) / samples.length,
+    maxRegret: Math.max(...regrets),
+    winners: [...winners]
+      .map(([id, k]) => ({ order: id.split(",").map(Number), share: k / samples.length }))
+      .sort((a, b) => b.share - a.share),
+  };
+}
+
+// ============================================================
+// =                   SENSITIVITY ANALYSIS                   =
+// ============================================================
+export const DEFAULT_SENSITIVITY = { mode: "exploit", stats: false, paramSpread: 0.5, statSpread: 0.1, steps: 5, draws: 40 };
+
+// Halvings spent narrowing down each breakpoint between two grid points
+const BREAKPOINT_BISECTIONS = 4;
+
+/**
+ * sensitivityDimensions(our, opp, params, options)
+ * What a sensitivity run sweeps: every fittable model parameter over
+ * ±paramSpread of its value and, with options.stats, every model input of
+ * every athlete over ±statSpread, each clamped to the field's limits.
+ * Dimensions are plain { id, kind: "param" | "our" | "opp", key, index,
+ * label, base, lo, hi } so they can cross to and from the worker.
+ */
+function sensitivityDimensions(our, opp, params, { stats, paramSpread, statSpread }) {
+  const span = (base, spread, fallback, min = -Infinity, max = Infinity) => {
+    const half = spread * (Math.abs(base) || fallback);
+    return { lo: Math.max(min, base - half), hi: Math.min(max, base + half) };
+  };
+  const dims = fittableFields(params).map((f) => {
+    const base = getParam(params, f.key);
+    return { id: f.key, kind: "param", key: f.key, label: f.label, base, ...span(base, paramSpread, (f.fitMax - f.fitMin) / 2, f.min, f.max) };
+  });
+  if (stats) {
+    const model = resolveModel(params);
+    const fields = [...params.factors.filter((f) => model.attributeKeys(params).includes(f.key)), ...model.athleteFields];
+    [["our", our], ["opp", opp]].forEach(([kind, team]) => team.forEach((athlete, index) => {
+      for (const f of fields) {
+        const base = Number(athlete[f.key] ?? f.default) || 0;
+        if (!base) continue;
+        dims.push({ id: `${kind}.${index}.${f.key}`, kind, key: f.key, index, label: `${athlete.name} ${(f.label || f.key).toLowerCase()}`, base, ...span(base, statSpread, 1, f.min, f.max) });
+      }
+    }));
+  }
+  return dims.filter((d) => d.hi > d.lo);
+}
+
+/** The inputs { our, opp, params } with dimension dim set to value. */
+function withDimension({ our, opp, params }, dim, value) {
+  if (dim.kind === "param") return { our, opp, params: withParam(params, dim.key, value) };
+  const set = (team) => team.map((athlete, i) => (i === dim.index ? { ...athlete, [dim.key]: value } : athlete));
+  return dim.kind === "our" ? { our: set(our), opp, params } : { our, opp: set(opp), params };
+}
+
+/**
+ * sensitivityAnalysis(our, opp, params, ranking, options)
+ * How far the recommendation can be trusted when the model's inputs are only
+ * roughly right. options are DEFAULT_SENSITIVITY's plus constraints,
+ * onProgress and seed. Each dimension is swept on its own over `steps` grid
+ * points with the "exploit" or "robust" search; where the winner changes
+ * between two points the switch is narrowed down by bisection. Then `draws`
+ * points are drawn uniformly from all ranges at once, and holds is the share
+ * where the baseline order is still best (a tie counts as holding).
+ * Returns { base, dimensions, holds, draws } with base the baseline best row
+ * and dimensions sorted by swing (largest first), each
+ * { ...dimension, points: [{ value, order, ev, holds }], evLo, evHi, swing,
+ * breakpoints: [{ at, from, to }] }, where evLo / evHi are the best order's EV
+ * at either end of the range.
+ */
+export function sensitivityAnalysis(our, opp, params, ranking = DEFAULT_RANKING, options = {}) {
+  const { mode, steps, draws, constraints, onProgress, seed = 1, ...spreads } = { ...DEFAULT_SENSITIVITY, ...options };
+  const inputs = { our, opp, params };
+  const solve = ({ our, opp, params }) => optimizeForMode(mode, our, opp, params, ranking, null, { constraints });
+  const base = solve(inputs).best;
+  if (!base) return { base: null, dimensions: [], holds: 0, draws: 0 };
+  const baseId = base.order.join(",");
+  // The winner at a point, reading a tie with the baseline order as the baseline
+  const pick = (point) => {
+    const { best, top } = solve(point);
+    const tied = top.find((row) => row.order.join(",") === baseId && compareKeys(best.key, row.key) <= RANK_EPS);
+    const row = tied || best;
+    return { order: row.order, ev: best.ev, holds: !!tied };
+  };
+
+  const dims = sensitivityDimensions(our, opp, params, spreads);
+  const units = dims.length + 1;
+  const dimensions = dims.map((dim, d) => {
+    if (onProgress) onProgress(d / units, dim.label);
+    const points = Array.from({ length: steps }, (_, k) => {
+      const value = dim.lo + ((dim.hi - dim.lo) * k) / Math.max(1, steps - 1);
+      return { value, ...pick(withDimension(inputs, dim, value)) };
+    });
+    const breakpoints = [];
+    for (let k = 1; k < points.length; k++) {
+      const from = points[k - 1].order.join(",");
+      if (points[k].order.join(",") === from) continue;
+      let lo = points[k - 1].value;
+      let hi = points[k].value;
+      let to = points[k].order;
+      for (let b = 0; b < BREAKPOINT_BISECTIONS; b++) {
+        const mid = (lo + hi) / 2;
+        const { order } = pick(withDimension(inputs, dim, mid));
+        if (order.join(",") === from) lo = mid;
+        else {
+          hi = mid;
+          to = order;
+        }
+      }
+      breakpoints.push({ at: (lo + hi) / 2, from: points[k - 1].order, to });
+    }
+    const evs = points.map((p) => p.ev);
+    return { ...dim, points, evLo: evs[0], evHi: evs[evs.length - 1], swing: Math.max(...evs) - Math.min(...evs), breakpoints };
+  });
+  dimensions.sort((a, b) => b.swing - a.swing);
+
+  const rand = mulberry32(seed);
+  let held = 0;
+  for (let s = 0; s < draws; s++) {
+    if (onProgress) onProgress((dims.length + s / draws) / units, "joint draws");
+    const point = dims.reduce((acc, dim) => withDimension(acc, dim, dim.lo + rand() * (dim.hi - dim.lo)), inputs);
+    if (pick(point).holds) held++;
+  }
+  return { base, dimensions, holds: draws ? held / draws : 1, draws };
+}
+
+// ============================================================
+// =                     SQUAD SELECTION                      =
+// ============================================================
+export function teamWeight(team) {
+  return team.reduce((s, p) => s + (Number(p.weight) || 0), 0);
+}
+
+/**
+ * legalSquads(pool, squadRules)
+ * Every teamSize-subset of the pool (as ascending pool indices) whose total
+ * weight is within the cap.
+ */
+export function legalSquads(pool, { teamSize, weightCap }) {
+  if (teamSize < 1 || teamSize > pool.length) return [];
+  return combinations(pool.map((_, i) => i), teamSize)
+    .filter((squad) => !(weightCap > 0) || teamWeight(squad.map((i) => pool[i])) <= weightCap + 1e-9);
+}
+
+/** Reasons a fielded squad breaks the squad rules (empty when legal). */
+export function squadProblems(pool, squad, { teamSize, weightCap }) {
+  const problems = [];
+  if (squad.length !== teamSize) problems.push(`${squad.length} fielded, team size is ${teamSize}`);
+  const w = teamWeight(squad.map((i) => pool[i]));
+  if (weightCap > 0 && w > weightCap + 1e-9) problems.push(`${w.toFixed(1)} kg is over the ${weightCap} kg cap`);
+  return problems;
+}
+
+/**
+ * selectSquads(pool, squadRules, optimize, onProgress)
+ * Runs optimize(team, squad) — any order optimizer returning { best } — on
+ * every legal squad and ranks squads by their best order's key. Squads with
+ * no best order (nothing meets the lineup constraints) are left out. Rows are
+ * the best order's row plus squad (pool indices), order (pool indices in
+ * fighting order) and weight.
+ */
+export function selectSquads(pool, squadRules, optimize, onProgress) {
+  const squads = legalSquads(pool, squadRules);
+  const rows = squads.flatMap((squad, k) => {
+    if (onProgress) onProgress(k / squads.length);
+    const team = squad.map((i) => pool[i]);
+    const { best } = optimize(team, squad);
+    return best ? [{ ...best, squad, order: best.order.map((k) => squad[k]), weight: teamWeight(team) }] : [];
+  });
+  rows.sort((a, b) => compareKeys(b.key, a.key));
+  return rows;
+}
+
+// ============================================================
+// =                      EVENT PLANNER                       =
+// ============================================================
+/**
+ * Event shape:
+ *   { format: "bracket" | "roundRobin", opponents: [{ id, name, team }], carry, mode, rest }
+ * A bracket is single elimination drawn as [us, ...opponents], paired in that
+ * order and padded with byes to a power of two; in a round robin we meet the
+ * opponents in list order. carry (0–1) is the share of the bouts fought
+ * earlier in the day an athlete still feels (see MODELS tire); mode is
+ * "exploit" or "robust"; rest[r] lists the pool indices held back in round r.
+ */
+export const DEFAULT_EVENT = { format: "bracket", opponents: [], carry: 0.5, mode: "exploit", rest: [] };
+export const MAX_EVENT_OPPONENTS = 4;
+
+// Round-robin standings points for a team match won / tied / lost
+const ROUND_ROBIN_POINTS = { win: 2, tie: 1, lose: 0 };
+
+/**
+ * planEventMatch(pool, fatigue, rest, opp, params, ranking, options)
+ * Best squad and order from the pool for one match, every athlete tired by
+ * carry·fatigue[i] earlier bouts and the rest held back (fewer than teamSize
+ * left: all of them fight). Returns { order (pool indices), ev, pWin, pTie,
+ * pLose, bouts } with bouts each pool athlete's expected bouts against the
+ * order as entered, or null when no lineup is legal.
+ */
+function planEventMatch(pool, fatigue, rest, opp, params, ranking, { squadRules, constraints, mode, carry }) {
+  const tire = resolveModel(params).tire;
+  const tired = pool.map((p, i) => (tire && fatigue[i] > 0 ? tire(p, carry * fatigue[i], params) : p));
+  const available = pool.map((_, i) => i).filter((i) => !rest.includes(i));
+  const rules = { ...squadRules, teamSize: Math.min(squadRules.teamSize, available.length) };
+  const [best] = selectSquads(available.map((i) => tired[i]), rules, (team, squad) =>
+    optimizeForMode(mode, team, opp, params, ranking, null, { constraints: constraintsForSquad(constraints, squad.map((k) => available[k])) }));
+  if (!best) return null;
+  const order = best.order.map((k) => available[k]);
+  const bouts = new Array(pool.length).fill(0);
+  for (const a of outcomeTree(order.map((i) => tired[i]), opp, params).athletes) {
+    if (a.side === "our") bouts[order[a.index]] = a.bouts;
+  }
+  return { order, ev: best.ev, pWin: best.pWin, pTie: best.pTie, pLose: best.pLose, bouts };
+}
+
+/** Team-match odds from an outcome distribution or plan; a tie goes either way. */
+function matchOdds(d) {
+  return d ? { win: d.pWin, tie: d.pTie, lose: d.pLose, advance: d.pWin + 0.5 * d.pTie } : { win: 0, tie: 0, lose: 1, advance: 0 };
+}
+
+/**
+ * planEvent(pool, event, params, ranking, { squadRules, constraints, onProgress })
+ * Plans our lineup for every round of an event and what it adds up to. Our
+ * athletes carry their expected bouts from round to round (weighted by whom
+ * we are likely to meet); other teams fight fresh in their entered order.
+ * Returns { rounds, pEvent, points } where each round is
+ *   { reach, win, fatigue, matchups: [{ opponent, meet, plan, odds }] }
+ * with reach the chance we play it, win the chance we win it given that (in
+ * a bracket, a tied match counts half), fatigue the bouts each pool athlete
+ * has fought before it (given we play it), and one matchup
+ * per opponent we could meet (opponent null for a bye; meet the chance it is
+ * them). pEvent is the chance we win the event; points is our round-robin
+ * standings-point distribution [{ points, p }] (null for a bracket).
+ */
+export function planEvent(pool, event, params, ranking = DEFAULT_RANKING, { squadRules = DEFAULT_SQUAD_RULES, constraints = [], onProgress } = {}) {
+  const { opponents } = event;
+  const options = { squadRules, constraints, mode: event.mode, carry: clamp(event.carry) };
+  const between = new Map();
+  const fresh = (a, b) => {
+    const k = `${a},${b}`;
+    if (!between.has(k)) between.set(k, matchOdds(outcomeDistribution(opponents[a].team, opponents[b].team, params)));
+    return between.get(k);
+  };
+  const plan = (round, fatigue, opp, done, total) => {
+    onProgress?.(done / total, `round ${round + 1} vs ${opponents[opp].name}`);
+    return planEventMatch(pool, fatigue, event.rest?.[round] || [], opponents[opp].team, params, ranking, options);
+  };
+  const addBouts = (fatigue, matchups) =>
+    fatigue.map((f, i) => f + matchups.reduce((s, m) => s + m.meet * (m.plan?.bouts[i] || 0), 0));
+
+  if (event.format === "roundRobin") {
+    const rounds = [];
+    let fatigue = new Array(pool.length).fill(0);
+    opponents.forEach((_, r) => {
+      const p = plan(r, fatigue, r, r, opponents.length);
+      const odds = matchOdds(p);
+      const matchups = [{ opponent: r, meet: 1, plan: p, odds }];
+      rounds.push({ reach: 1, win: odds.win, fatigue, matchups });
+      fatigue = addBouts(fatigue, matchups);
+    });
+    // Every team match: ours as planned, the others fresh; team 0 is us
+    const matches = [];
+    for (let a = 0; a <= opponents.length; a++) {
+      for (let b = a + 1; b <= opponents.length; b++) {
+        matches.push({ a, b, odds: a === 0 ? rounds[b - 1].matchups[0].odds : fresh(a - 1, b - 1) });
+      }
+    }
+    let pEvent = 0;
+    const points = new Map();
+    const standings = new Array(opponents.length + 1).fill(0);
+    (function rec(k, p) {
+      if (p === 0) return;
+      if (k === matches.length) {
+        const top = Math.max(...standings);
+        const leaders = standings.filter((s) => s === top).length;
+        if (standings[0] === top) pEvent += p / leaders;
+        points.set(standings[0], (points.get(standings[0]) || 0) + p);
+        return;
+      }
+      const { a, b, odds } = matches[k];
+      for (const result of ["win", "tie", "lose"]) {
+        const other = { win: "lose", tie: "tie", lose: "win" }[result];
+        standings[a] += ROUND_ROBIN_POINTS[result];
+        standings[b] += ROUND_ROBIN_POINTS[other];
+        rec(k + 1, p * odds[result]);
+        standings[a] -= ROUND_ROBIN_POINTS[result];
+        standings[b] -= ROUND_ROBIN_POINTS[other];
+      }
+    })(0, 1);
+    onProgress?.(1);
+    return { rounds, pEvent, points: [...points].map(([pts, p]) => ({ points: pts, p })).sort((x, y) => y.points - x.points) };
+  }
+
+  // Bracket: slot 0 is us, slot k the opponent k − 1, null a bye
+  const size = 2 ** Math.ceil(Math.log2(opponents.length + 1));
+  const slots = Array.from({ length: size }, (_, s) => (s === 0 ? "us" : s <= opponents.length ? s - 1 : null));
+  const roundCount = Math.log2(size);
+  const otherHalf = (s, r) => {
+    const start = (s ^ (1 << r)) & ~((1 << r) - 1);
+    return Array.from({ length: 1 << r }, (_, k) => start + k);
+  };
+  // How many of our matchups get planned, for progress
+  const total = Array.from({ length: roundCount }, (_, r) => otherHalf(0, r).filter((s) => slots[s] !== null).length).reduce((a, b) => a + b, 0);
+  let done = 0;
+  let reach = slots.map(() => 1);
+  let fatigue = new Array(pool.length).fill(0);
+  const rounds = [];
+  for (let r = 0; r < roundCount; r++) {
+    const matchups = otherHalf(0, r)
+      .filter((s) => reach[s] > 0)
+      .map((s) => {
+        if (slots[s] === null) return { opponent: null, meet: reach[s], plan: null, odds: { win: 1, tie: 0, lose: 0, advance: 1 } };
+        const p = plan(r, fatigue, slots[s], done++, total);
+        return { opponent: slots[s], meet: reach[s], plan: p, odds: matchOdds(p) };
+      });
+    const ours = new Map(otherHalf(0, r).map((s) => [s, matchups.find((m) => m.opponent === slots[s])?.odds.advance ?? 0]));
+    const beats = (s, o) => {
+      if (slots[s] === null) return slots[o] === null ? 0.5 : 0;
+      if (slots[o] === null) return 1;
+      if (s === 0) return ours.get(o);
+      if (o === 0) return 1 - ours.get(s);
+      return fresh(slots[s], slots[o]).advance;
+    };
+    const win = matchups.reduce((t, m) => t + m.meet * m.odds.advance, 0);
+    rounds.push({ reach: reach[0], win, fatigue, matchups });
+    reach = reach.map((p, s) => p * otherHalf(s, r).reduce((t, o) => t + reach[o] * beats(s, o), 0));
+    fatigue = addBouts(fatigue, matchups);
+  }
+  onProgress?.(1);
+  return { rounds, pEvent: reach[0], points: null };
+}
+
+// ============================================================
+// =                     SEARCH BENCHMARK                     =
+// ============================================================
+// Brute force is skipped when it would run more full DPs than this
+export const BRUTE_FORCE_DP_LIMIT = 20000;
+
+/** A team of `size` built by cycling `base` with every numeric attribute jittered by ±15%. */
+function syntheticTeam(base, size, rand, prefix) {
+  return Array.from({ length: size }, (_, k) => {
+    const src = base[k % base.length];
+    const athlete = { name: `${prefix}${k + 1}` };
+    for (const [key, v] of Object.entries(src)) {
+      if (key !== "name") athlete[key] = typeof v === "number" ? Math.round(v * (0.85 + 0.3 * rand()) * 10) / 10 : v;
+    }
+    return athlete;
+  });
+}
+
+/**
+ * runSearchBenchmark(our, opp, params, ranking, oppOrders, onProgress)
+ * Times the search engine against the brute-force searches on the current
+ * teams and on larger synthetic teams, and checks that both find an order
+ * with the same ranking key. Returns rows
+ * { label, engineMs, bruteMs, same, dps, stats } (bruteMs / same null when skipped).
+ */
+export function runSearchBenchmark(our, opp, params, ranking, oppOrders, onProgress) {
+  const time = (fn) => {
+    const t0 = performance.now();
+    const out = fn();
+    return { out, ms: performance.now() - t0 };
+  };
+  const rand = mulberry32(7);
+  const teams = [[our, opp, "current teams"]];
+  for (const size of [6, 7]) teams.push([syntheticTeam(our, size, rand, "A"), syntheticTeam(opp, size, rand, "B"), `synthetic ${size}v${size}`]);
+
+  const cases = [];
+  for (const [A, B, label] of teams) {
+    const nA = factorial(A.length), nB = factorial(B.length);
+    cases.push({ label: `Exploit, ${label}`, dps: nA, engine: () => optimizeOurOrder(A, B, params, ranking), brute: () => bruteForceOurOrder(A, B, params, ranking) });
+    cases.push({ label: `Robust, ${label}`, dps: nA * nB, engine: () => robustOurOrder(A, B, params, ranking), brute: () => bruteForceRobustOrder(A, B, params, ranking) });
+    if (A === our) {
+      cases.push({ label: `Bayesian, ${label}`, dps: nA * oppOrders.length, engine: () => bayesOurOrder(A, B, params, oppOrders, ranking), brute: () => bruteForceBayesOrder(A, B, params, oppOrders, ranking) });
+      cases.push({ label: `Nash, ${label}`, dps: nA * nB, engine: () => nashOurOrder(A, B, params, ranking), brute: () => bruteForceNashOrder(A, B, params, ranking) });
+    }
+  }
+
+  return cases.map(({ label, dps, engine, brute }, k) => {
+    if (onProgress) onProgress(k / cases.length, label);
+    const e = time(engine);
+    const row = { label, engineMs: e.ms, bruteMs: null, same: null, dps, stats: e.out.stats || null };
+    if (dps <= BRUTE_FORCE_DP_LIMIT) {
+      const b = time(brute);
+      row.bruteMs = b.ms;
+      row.same = e.out.game
+        ? Math.abs(e.out.game.value - b.out.game.value) < 1e-6
+        : Math.abs(e.out.best.key[0] - b.out.best.key[0]) < 1e-9 && Math.abs(e.out.best.key[1] - b.out.best.key[1]) < 1e-9;
+    }
+    return row;
+  });
+}
+
+// ============================================================
+// =                  MONTE CARLO SIMULATION                  =
+// ============================================================
+/**
+ * simulateMatch(our, opp, params, rand, rules)
+ * Plays one match, sampling every bout from the model through the same
+ * boutTransitions as the DP. Returns { net, ourLeft, oppLeft, result, sequence,
+ * bouts } with sequence a W/D/L string (" C…" for a captain's bout) and bouts
+ * the { ours, theirs, r } pairings in order.
+ */
+function simulateMatch(our, opp, params, rand, rules = resolveRules(params)) {
+  let state = MATCH_START;
+  let net = 0;
+  let sequence = "";
+  const bouts = [];
+  while (state.i < our.length && state.j < opp.length) {
+    const bout = predictBout(our[state.i], opp[state.j], params, state.si, state.sj);
+    const options = boutTransitions(state, bout, rules, athleteBoutCap(our[state.i], rules), athleteBoutCap(opp[state.j], rules));
+    let u = rand();
+    let pick = options[options.length - 1];
+    for (const t of options) {
+      if (u < t.p) { pick = t; break; }
+      u -= t.p;
+    }
+    sequence += pick.r;
+    bouts.push({ ours: state.i, theirs: state.j, r: pick.r });
+    net += pick.points;
+    state = pick;
+  }
+  const ourLeft = Math.max(0, our.length - state.i);
+  const oppLeft = Math.max(0, opp.length - state.j);
+  const outcomes = teamResults(ourLeft, oppLeft, our, opp, params, rules);
+  let outcome = outcomes[outcomes.length - 1];
+  if (outcomes.length > 1) {
+    let u = rand();
+    for (const o of outcomes) {
+      if (u < o.p) { outcome = o; break; }
+      u -= o.p;
+    }
+  }
+  if (outcome.captain) {
+    const r = { win: "W", tie: "D", lose: "L" }[outcome.result];
+    sequence += ` C${r}`;
+    bouts.push({ ours: our.length - 1, theirs: opp.length - 1, r, captain: true });
+  }
+  return { net: Math.round(net * 1e9) / 1e9, ourLeft, oppLeft, result: outcome.result, sequence, bouts };
+}
+
+// Most matches one simulation runs (a few seconds in the worker)
+export const MAX_SIMULATED_MATCHES = 1000000;
+
+/**
+ * simulateMatches(our, opp, params, N, seed, onProgress)
+ * Runs N simulated matches (at most MAX_SIMULATED_MATCHES) and tallies
+ * histograms (net wins, fighters left, team result, bout sequences). check
+ * compares the sample mean of net wins and the sample P(team win) with the
+ * exact DP values: error, 95% CI and whether the exact value lies inside it.
+ */
+export function simulateMatches(our, opp, params, N, seed = 1, onProgress) {
+  N = Math.max(1, Math.min(MAX_SIMULATED_MATCHES, Math.round(N)));
+  const rand = mulberry32(seed);
+  const rules = resolveRules(params);
+  const count = (map, k) => map.set(k, (map.get(k) || 0) + 1);
+  const net = new Map(), ourLeft = new Map(), oppLeft = new Map(), results = new Map(), sequences = new Map();
+  let sum = 0, sumSq = 0;
+  for (let k = 0; k < N; k++) {
+    if (onProgress && k % 1024 === 0) onProgress(k / N);
+    const m = simulateMatch(our, opp, params, rand, rules);
+    count(net, m.net);
+    count(ourLeft, m.ourLeft);
+    count(oppLeft, m.oppLeft);
+    count(results, m.result);
+    const seen = sequences.get(m.sequence);
+    if (seen) seen.count++; else sequences.set(m.sequence, { count: 1, bouts: m.bouts });
+    sum += m.net;
+    sumSq += m.net * m.net;
+  }
+
+  const exact = outcomeDistribution(our, opp, params);
+  const mean = sum / N;
+  const sd = Math.sqrt(Math.max(0, sumSq / N - mean * mean) * N / Math.max(1, N - 1));
+  const ci = (est, se) => ({ est, lo: est - 1.96 * se, hi: est + 1.96 * se });
+  const pWin = (results.get("win") || 0) / N;
+  const evCheck = { ...ci(mean, sd / Math.sqrt(N)), exact: exact.ev };
+  const winCheck = { ...ci(pWin, Math.sqrt(pWin * (1 - pWin) / N)), exact: exact.pWin };
+  const withVerdict = (c) => ({ ...c, error: c.est - c.exact, inside: c.exact >= c.lo && c.exact <= c.hi });
+
+  const toRows = (map) => [...map.entries()].map(([k, c]) => ({ key: k, p: c / N })).sort((a, b) => (a.key < b.key ? -1 : 1));
+  return {
+    N,
+    exact,
+    net: toRows(net),
+    ourLeft: toRows(ourLeft),
+    oppLeft: toRows(oppLeft),
+    results: toRows(results),
+    sequences: [...sequences.entries()].map(([seq, { count, bouts }]) => ({ seq, bouts, p: count / N })).sort((a, b) => b.p - a.p),
+    check: { ev: withVerdict(evCheck), pWin: withVerdict(winCheck) },
+  };
+}
+
+/** Exact marginal of a distribution's final states by `field` (net, ourLeft, …). */
+export function marginalOf(dist, field) {
+  const m = new Map();
+  for (const s of dist.states) m.set(s[field], (m.get(s[field]) || 0) + s.p);
+  return m;
+}
+
+// ============================================================
+// =              CALIBRATION (MAXIMUM LIKELIHOOD)            =
+// ============================================================
+export const BOUT_RESULTS = ["W", "D", "L"];
+
+/** CSV columns for a bout log given the attribute keys the model reads. */
+export function boutLogColumns(attributeKeys) {
+  return [...attributeKeys.map((k) => `a_${k}`), ...attributeKeys.map((k) => `b_${k}`), "a_streak", "b_streak", "result"];
+}
+
+function normalizeResult(raw) {
+  const r = String(raw ?? "").trim().toUpperCase();
+  if (["W", "WIN", "1"].includes(r)) return "W";
+  if (["D", "DRAW", "0.5"].includes(r)) return "D";
+  if (["L", "LOSS", "LOSE", "0"].includes(r)) return "L";
+  return null;
+}
+
+/**
+ * parseBoutLog(text, attributeKeys)
+ * Accepts either a JSON array of { a, b, streakA, streakB, result } records
+ * (a/b = athlete attribute objects) or CSV with the boutLogColumns header;
+ * any further a_<key>/b_<key> columns (e.g. a_rating) are read as well.
+ * Every attributeKeys entry must be numeric for both athletes.
+ * Results are from athlete A's point of view: W, D or L.
+ * Returns { bouts, errors } — bad rows are reported and skipped.
+ */
+export function parseBoutLog(text, attributeKeys = DEFAULT_FACTORS.map((f) => f.key)) {
+  const bouts = [];
+  const errors = [];
+  const src = text.trim();
+  if (!src) return { bouts, errors };
+
+  let records;
+  if (src.startsWith("[")) {
+    try {
+      records = JSON.parse(src);
+    } catch (e) {
+      return { bouts, errors: [`JSON: ${e.message}`] };
+    }
+  } else {
+    const lines = src.split(/\r?\n/).filter((l) => l.trim());
+    const header = lines[0].split(",").map((h) => h.trim().toLowerCase());
+    const missing = boutLogColumns(attributeKeys).filter((c) => !header.includes(c));
+    if (missing.length) return { bouts, errors: [`CSV header is missing: ${missing.join(", ")}`] };
+    records = lines.slice(1).map((line) => {
+      const cells = line.split(",").map((c) => c.trim());
+      const col = (name) => cells[header.indexOf(name)];
+      const side = (prefix) => {
+        const athlete = {};
+        header.forEach((h, i) => {
+          if (h.startsWith(prefix) && h !== `${prefix}streak`) athlete[h.slice(prefix.length)] = parseFloat(cells[i]);
+        });
+        return athlete;
+      };
+      return {
+        a: side("a_"),
+        b: side("b_"),
+        streakA: parseInt(col("a_streak"), 10),
+        streakB: parseInt(col("b_streak"), 10),
+        result: col("result"),
+      };
+    });
+  }
+
+  records.forEach((r, k) => {
+    const result = normalizeResult(r?.result);
+    const stats = attributeKeys.flatMap((key) => [r?.a?.[key], r?.b?.[key]]);
+    if (!result || !stats.every(Number.isFinite)) {
+      errors.push(`Record ${k + 1}: needs numeric ${attributeKeys.join("/") || "stats"} for both athletes and a W/D/L result`);
+      return;
+    }
+    const numeric = (x) => Object.fromEntries(Object.entries(x || {}).filter(([, v]) => Number.isFinite(v)));
+    bouts.push({
+      a: numeric(r.a),
+      b: numeric(r.b),
+      streakA: Math.max(1, r.streakA || 1),
+      streakB: Math.max(1, r.streakB || 1),
+      result,
+    });
+  });
+  return { bouts, errors };
+}
+
+function boutProbabilities(bout, params) {
+  const { pWin, pDraw, pLose } = predictBout(bout.a, bout.b, params, bout.streakA, bout.streakB);
+  return { W: pWin, D: pDraw, L: pLose };
+}
+
+/**
+ * boutMetrics(bouts, params)
+ * logLik: Σ log P(observed result). brier: mean over bouts of the squared
+ * error of the (W, D, L) forecast against the one-hot outcome (0 = perfect, 2 = worst).
+ */
+function boutMetrics(bouts, params) {
+  let logLik = 0;
+  let brier = 0;
+  for (const bout of bouts) {
+    const p = boutProbabilities(bout, params);
+    logLik += Math.log(Math.max(p[bout.result], 1e-12));
+    for (const r of BOUT_RESULTS) brier += ((r === bout.result ? 1 : 0) - p[r]) ** 2;
+  }
+  const n = bouts.length;
+  return { n, logLik, meanLogLik: n ? logLik / n : 0, brier: n ? brier / n : 0 };
+}
+
+/**
+ * calibrationTable(bouts, params, outcome, bins)
+ * Buckets bouts by the predicted probability of `outcome` and compares the
+ * mean forecast in each bucket with the observed frequency.
+ */
+export function calibrationTable(bouts, params, outcome, bins = 5) {
+  const rows = Array.from({ length: bins }, (_, k) => ({ lo: k / bins, hi: (k + 1) / bins, n: 0, predicted: 0, observed: 0 }));
+  for (const bout of bouts) {
+    const p = boutProbabilities(bout, params)[outcome];
+    const row = rows[Math.min(bins - 1, Math.floor(p * bins))];
+    row.n++;
+    row.predicted += p;
+    if (bout.result === outcome) row.observed++;
+  }
+  return rows.map((r) => (r.n ? { ...r, predicted: r.predicted / r.n, observed: r.observed / r.n } : r));
+}
+
+/**
+ * nelderMead(f, x0, { maxIter, step, tol })
+ * Derivative-free minimizer of f over R^d. Returns { x, fx, iterations }.
+ */
+function nelderMead(f, x0, { maxIter = 2000, step = 0.5, tol = 1e-8 } = {}) {
+  const d = x0.length;
+  let simplex = [x0.slice()];
+  for (let i = 0; i < d; i++) {
+    const x = x0.slice();
+    x[i] += step;
+    simplex.push(x);
+  }
+  let values = simplex.map(f);
+  const combine = (a, b, t) => a.map((v, i) => v + t * (b[i] - v));
+
+  let iterations = 0;
+  for (; iterations < maxIter; iterations++) {
+    const idx = values.map((_, i) => i).sort((a, b) => values[a] - values[b]);
+    simplex = idx.map((i) => simplex[i]);
+    values = idx.map((i) => values[i]);
+    if (Math.abs(values[d] - values[0]) < tol) break;
+
+    const centroid = new Array(d).fill(0);
+    for (let i = 0; i < d; i++) for (let j = 0; j < d; j++) centroid[j] += simplex[i][j] / d;
+    const worst = simplex[d];
+
+    const reflected = combine(centroid, worst, -1);
+    const fr = f(reflected);
+    if (fr < values[0]) {
+      const expanded = combine(centroid, worst, -2);
+      const fe = f(expanded);
+      if (fe < fr) { simplex[d] = expanded; values[d] = fe; } else { simplex[d] = reflected; values[d] = fr; }
+    } else if (fr < values[d - 1]) {
+      simplex[d] = reflected;
+      values[d] = fr;
+    } else {
+      const contracted = combine(centroid, worst, 0.5);
+      const fc = f(contracted);
+      if (fc < values[d]) {
+        simplex[d] = contracted;
+        values[d] = fc;
+      } else {
+        for (let i = 1; i <= d; i++) {
+          simplex[i] = combine(simplex[0], simplex[i], 0.5);
+          values[i] = f(simplex[i]);
+        }
+      }
+    }
+  }
+  return { x: simplex[0], fx: values[0], iterations };
+}
+
+/** Parameter fields of the selected model that calibration may fit. */
+export function fittableFields(params) {
+  return modelFields(params).filter((f) => f.fitMin !== undefined);
+}
+
+/**
+ * fitModelParams(bouts, params, keys)
+ * Maximum-likelihood fit of the selected model's fittable keys, starting from the
+ * current params. Each key is searched inside [fitMin, fitMax] through a
+ * logistic reparametrization so Nelder–Mead can run unconstrained.
+ * Returns { params, before, after, iterations }.
+ */
+export function fitModelParams(bouts, params, keys) {
+  const fields = fittableFields(params).filter((f) => keys.includes(f.key));
+  const toParams = (u) => fields.reduce((p, f, i) => withParam(p, f.key, f.fitMin + (f.fitMax - f.fitMin) / (1 + Math.exp(-u[i]))), params);
+  const u0 = fields.map((f) => {
+    const t = clamp((getParam(params, f.key) - f.fitMin) / (f.fitMax - f.fitMin), 0.01, 0.99);
+    return Math.log(t / (1 - t));
+  });
+  const before = boutMetrics(bouts, params);
+  if (!fields.length || !bouts.length) return { params, before, after: before, iterations: 0 };
+  const { x, iterations } = nelderMead((u) => -boutMetrics(bouts, toParams(u)).logLik, u0);
+  const fitted = toParams(x);
+  return { params: fitted, before, after: boutMetrics(bouts, fitted), iterations };
+}
+
+// ============================================================
+// =                       MATCH HISTORY                      =
+// ============================================================
+/**
+ * History shape (persisted):
+ *   { matches: [{ id, date, opponent, bouts: [{ id, ours, theirs, ourStreak,
+ *     oppStreak, result, time, submission }] }] }
+ * ours/theirs are snapshots { name, weight, condition, tech } taken when the
+ * bout was logged, so later roster edits don't rewrite the past. result is
+ * from our side (W/D/L); time is seconds (optional). Bouts from the live
+ * tracker may also carry decision (won on the judges' decision) and captain
+ * (the captains' tie-break bout).
+ */
+export const EMPTY_HISTORY = { matches: [] };
+
+const isStreak = (s) => Number.isInteger(s) && s >= 1;
+
+/**
+ * cleanHistory(raw)
+ * A stored history with every malformed bout dropped (no athlete snapshots,
+ * a result other than W/D/L, a streak that is not a positive integer), and
+ * every match that was not an object with a bouts list. Kept snapshots are
+ * cleaned like roster athletes. Anything unusable comes back as EMPTY_HISTORY.
+ */
+export function cleanHistory(raw) {
+  if (!Array.isArray(raw?.matches)) return EMPTY_HISTORY;
+  const matches = raw.matches
+    .filter((m) => m && typeof m === "object" && Array.isArray(m.bouts))
+    .map((m) => ({
+      ...m,
+      bouts: m.bouts
+        .filter((b) => cleanAthlete(b?.ours) && cleanAthlete(b.theirs) && BOUT_RESULTS.includes(b.result) && isStreak(b.ourStreak) && isStreak(b.oppStreak))
+        .map((b) => ({ ...b, ours: cleanAthlete(b.ours), theirs: cleanAthlete(b.theirs) })),
+    }));
+  return { ...raw, matches };
+}
+
+export function snapshotAthlete(p) {
+  return { ...p };
+}
+
+/**
+ * suggestStreaks(bouts, ourName, oppName, rules)
+ * Winner stays: an athlete who fought (and was not eliminated in) the previous
+ * bout continues their streak; anybody else starts at 1. Who survives a draw
+ * follows the ruleset.
+ */
+export function suggestStreaks(bouts, ourName, oppName, rules = DEFAULT_RULES) {
+  const prev = bouts[bouts.length - 1];
+  if (!prev) return { ourStreak: 1, oppStreak: 1 };
+  const drawKeeps = (mine, theirs) =>
+    rules.drawEliminates === "none" || (rules.drawEliminates === "stayer" && mine < theirs);
+  const ourStays = prev.ours.name === ourName && (prev.result === "W" || (prev.result === "D" && drawKeeps(prev.ourStreak, prev.oppStreak)));
+  const oppStays = prev.theirs.name === oppName && (prev.result === "L" || (prev.result === "D" && drawKeeps(prev.oppStreak, prev.ourStreak)));
+  return { ourStreak: ourStays ? prev.ourStreak + 1 : 1, oppStreak: oppStays ? prev.oppStreak + 1 : 1 };
+}
+
+/** Logged bouts in the calibration record format (athlete A = ours). */
+export function historyBouts(history) {
+  return history.matches.flatMap((m) => m.bouts.map((b) => ({
+    a: b.ours, b: b.theirs, streakA: b.ourStreak, streakB: b.oppStreak, result: b.result,
+  })));
+}
+
+/**
+ * athleteHistoryStats(history, params)
+ * Per our-athlete record across all logged matches: W/D/L, appearances
+ * (matches with at least one bout), average bouts per appearance, results
+ * split by streak (1, 2, 3+), and the model's predicted wins/draws next to
+ * the actual counts plus mean log-loss of its forecasts.
+ */
+export function athleteHistoryStats(history, params) {
+  const rows = new Map();
+  const streakBucket = (s) => (s >= 3 ? "3+" : String(s));
+  for (const match of history.matches) {
+    const seen = new Set();
+    for (const bout of match.bouts) {
+      const name = bout.ours.name;
+      if (!rows.has(name)) {
+        rows.set(name, { name, bouts: 0, W: 0, D: 0, L: 0, appearances: 0, predW: 0, predD: 0, logLoss: 0, byStreak: {} });
+      }
+      const row = rows.get(name);
+      if (!seen.has(name)) { seen.add(name); row.appearances++; }
+      row.bouts++;
+      row[bout.result]++;
+      const { pWin, pDraw, pLose } = predictBout(bout.ours, bout.theirs, params, bout.ourStreak, bout.oppStreak);
+      row.predW += pWin;
+      row.predD += pDraw;
+      row.logLoss -= Math.log(Math.max({ W: pWin, D: pDraw, L: pLose }[bout.result], 1e-12));
+      const k = streakBucket(bout.ourStreak);
+      row.byStreak[k] = row.byStreak[k] || { W: 0, D: 0, L: 0 };
+      row.byStreak[k][bout.result]++;
+    }
+  }
+  return [...rows.values()]
+    .map((r) => ({ ...r, boutsPerAppearance: r.bouts / r.appearances, logLoss: r.logLoss / r.bouts }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function parseBoutTime(raw) {
+  const t = String(raw ?? "").trim();
+  if (!t) return null;
+  const m = t.match(/^(\d+):(\d{1,2})$/);
+  if (m) return parseInt(m[1], 10) * 60 + parseInt(m[2], 10);
+  const v = parseFloat(t);
+  return Number.isFinite(v) ? v : null;
+}
+
+export function formatBoutTime(sec) {
+  if (sec == null) return "";
+  return `${Math.floor(sec / 60)}:${String(Math.round(sec % 60)).padStart(2, "0")}`;
+}
+
+// ============================================================
+// =                        LIVE MATCH                        =
+// ============================================================
+/**
+ * nextMatchState(state, result, our, opp, params, decision)
+ * Where a match goes after one bout: state is { i, j, si, sj } as in the DP,
+ * result is W/D/L from our side, and decision marks a win on the judges'
+ * decision. Returns the next { i, j, si, sj } plus the points the bout
+ * scored; a side has run out once i ≥ our.length or j ≥ opp.length.
+ */
+function nextMatchState(state, result, our, opp, params, decision = false) {
+  const rules = { ...resolveRules(params), decisionShare: decision ? 1 : 0 };
+  const bout = { pWin: result === "W" ? 1 : 0, pDraw: result === "D" ? 1 : 0, pLose: result === "L" ? 1 : 0 };
+  const [t] = boutTransitions(state, bout, rules, athleteBoutCap(our[state.i], rules), athleteBoutCap(opp[state.j], rules));
+  return { i: t.i, j: t.j, si: t.si, sj: t.sj, points: t.points };
+}
+
+/**
+ * replayMatch(our, opp, params, bouts)
+ * Follows logged bouts ({ result, decision, captain }, in order) from the
+ * opening bout. Returns { state, net, over, captainDue, result }: over once a
+ * side has run out and any captain's bout is settled, captainDue while the
+ * tie waits on one, and result "win" | "tie" | "lose" (null until over).
+ */
+export function replayMatch(our, opp, params, bouts) {
+  const rules = resolveRules(params);
+  let state = MATCH_START;
+  let net = 0;
+  let captain = null;
+  for (const bout of bouts) {
+    if (bout.captain) {
+      captain = bout.result;
+      continue;
+    }
+    const { points, ...next } = nextMatchState(state, bout.result, our, opp, params, bout.decision);
+    net += points;
+    state = next;
+  }
+  const ourLeft = Math.max(0, our.length - state.i);
+  const oppLeft = Math.max(0, opp.length - state.j);
+  const out = ourLeft === 0 || oppLeft === 0;
+  const captainDue = out && ourLeft === oppLeft && rules.captainTieBreak && !captain;
+  let result = null;
+  if (out && !captainDue) {
+    result = ourLeft > oppLeft ? "win" : oppLeft > ourLeft ? "lose" : { W: "win", L: "lose" }[captain] || "tie";
+  }
+  return { state, net: Math.round(net * 1e9) / 1e9, over: result !== null, captainDue, result };
+}
+
+// ============================================================
+// =                       SAVED SETUPS                       =
+// ============================================================
+/**
+ * Library shape (persisted):
+ *   { teams: [{ id, name, saved, pool, squad, squadRules, constraints }],
+ *     scouting: [{ id, name, saved, team, prior }],
+ *     presets: [{ id, name, saved, params, mode, ranking }] }
+ * A team is our roster with who we field and its lineup constraints; a
+ * scouting profile is an opponent roster (stat ranges included) with its
+ * scouting prior; a preset is the model parameters with the opponent-order
+ * assumption and ranking. saved is an ISO timestamp.
+ * Setup files wrap a library as
+ *   { format: SETUP_FILE_FORMAT, version: SETUP_FILE_VERSION, exported, teams, scouting, presets }
+ * and bump the version whenever an entry changes shape.
+ */
+export const EMPTY_LIBRARY = { teams: [], scouting: [], presets: [] };
+const SETUP_FILE_FORMAT = "quintet-optimizer/setup";
+const SETUP_FILE_VERSION = 1;
+
+export const OPPONENT_MODES = ["exploit", "robust", "nash", "bayes"];
+
+/** A roster athlete with a name, finite numbers only and well-formed ranges; null if unusable. */
+function cleanAthlete(raw) {
+  if (!raw || typeof raw !== "object" || typeof raw.name !== "string" || !raw.name.trim()) return null;
+  const athlete = { name: raw.name.trim() };
+  for (const [key, value] of Object.entries(raw)) {
+    if (key !== "name" && key !== "ranges" && Number.isFinite(value)) athlete[key] = value;
+  }
+  const ranges = Object.entries(raw.ranges || {}).flatMap(([key, r]) => {
+    const ends = ["min", "max"].filter((end) => Number.isFinite(r?.[end]));
+    return ends.length ? [[key, Object.fromEntries(ends.map((end) => [end, r[end]]))]] : [];
+  });
+  if (ranges.length) athlete.ranges = Object.fromEntries(ranges);
+  return athlete;
+}
+
+/** Whether c is a lineup constraint on a pool of poolSize athletes, with the field its type needs. */
+function isConstraint(c, poolSize) {
+  const inPool = (i) => Number.isInteger(i) && i >= 0 && i < poolSize;
+  const needs = CONSTRAINT_TYPES[c?.type]?.needs;
+  if (!needs || !inPool(c.a)) return false;
+  if (needs === "slot") return inPool(c.slot);
+  if (needs === "athlete") return inPool(c.b);
+  return Number.isInteger(c.bouts) && c.bouts > 0;
+}
+
+/**
+ * A scouting prior (see defaultOppPrior) for an n-athlete team, or the
+ * default one unless it has an n×n slotPct of numbers or null, pins in
+ * [-1, n), candidates of n athlete indices with finite weights and a
+ * candidateShare in [0, 1]. Candidates that repeat an athlete (the editor
+ * shows them as ignored) are dropped; the rest must be permutations.
+ */
+function cleanOppPrior(prior, n) {
+  const inTeam = (a) => Number.isInteger(a) && a >= 0 && a < n;
+  const isSquare = (rows, cell) => Array.isArray(rows) && rows.length === n && rows.every((row) => Array.isArray(row) && row.length === n && row.every(cell));
+  const ok = !!prior && typeof prior === "object"
+    && isSquare(prior.slotPct, (x) => x === null || Number.isFinite(x))
+    && Array.isArray(prior.pinned) && prior.pinned.length === n && prior.pinned.every((s) => s === -1 || inTeam(s))
+    && Array.isArray(prior.candidates) && prior.candidates.every((c) => Array.isArray(c?.order) && c.order.length === n && c.order.every(inTeam) && Number.isFinite(c.weight))
+    && Number.isFinite(prior.candidateShare) && prior.candidateShare >= 0 && prior.candidateShare <= 1;
+  if (!ok) return defaultOppPrior(n);
+  return { ...prior, candidates: prior.candidates.filter((c) => new Set(c.order).size === n) };
+}
+
+function cleanRoster(raw) {
+  if (!Array.isArray(raw) || !raw.length) return null;
+  const team = raw.map(cleanAthlete);
+  return team.every(Boolean) ? team : null;
+}
+
+/** One library entry checked against its kind, or a string saying what is wrong with it. */
+export function cleanEntry(kind, raw) {
+  if (!raw || typeof raw !== "object") return "not an object";
+  const name = typeof raw.name === "string" && raw.name.trim() ? raw.name.trim() : null;
+  if (!name) return "has no name";
+  const head = { id: String(raw.id || name), name, saved: String(raw.saved || "") };
+  if (kind === "teams") {
+    const pool = cleanRoster(raw.pool);
+    if (!pool) return "needs a roster of named athletes";
+    const inPool = (i) => Number.isInteger(i) && i >= 0 && i < pool.length;
+    const squad = Array.isArray(raw.squad) ? [...new Set(raw.squad.filter(inPool))] : [];
+    const constraints = Array.isArray(raw.constraints) ? raw.constraints : [];
+    const bad = constraints.findIndex((c) => !isConstraint(c, pool.length));
+    if (bad >= 0) return `has a malformed lineup constraint (${bad + 1})`;
+    return {
+      ...head,
+      pool,
+      squad: squad.length ? squad : pool.map((_, i) => i),
+      squadRules: { ...DEFAULT_SQUAD_RULES, ...(raw.squadRules || {}) },
+      constraints,
+    };
+  }
+  if (kind === "scouting") {
+    const team = cleanRoster(raw.team);
+    if (!team) return "needs a roster of named athletes";
+    return { ...head, team, prior: cleanOppPrior(raw.prior, team.length) };
+  }
+  if (!raw.params || typeof raw.params !== "object") return "has no model parameters";
+  return {
+    ...head,
+    params: cleanParams(raw.params),
+    mode: OPPONENT_MODES.includes(raw.mode) ? raw.mode : "exploit",
+    ranking: OBJECTIVES[raw.ranking?.objective] ? { ...DEFAULT_RANKING, ...raw.ranking, risk: cleanRisk(raw.ranking.risk) } : DEFAULT_RANKING,
+  };
+}
+
+/** Risk settings with anything missing or non-numeric back at its default. */
+function cleanRisk(raw) {
+  const risk = { ...DEFAULT_RISK };
+  for (const key of Object.keys(DEFAULT_RISK)) if (Number.isFinite(raw?.[key])) risk[key] = raw[key];
+  return risk;
+}
+
+/**
+ * Model parameters with every setting of the wrong type back at its default:
+ * numbers must be finite, the model and fatigue curve known ones, the custom
+ * curve a list of numbers, and the factors well-formed with distinct keys
+ * (else the default factors).
+ */
+function cleanParams(raw) {
+  const params = { ...DEFAULT_PARAMS };
+  for (const [key, value] of Object.entries(DEFAULT_PARAMS)) {
+    if (typeof value === "number" && Number.isFinite(raw[key])) params[key] = raw[key];
+  }
+  if (MODELS[raw.model]) params.model = raw.model;
+  if (FATIGUE_CURVES[raw.fatigueCurve]) params.fatigueCurve = raw.fatigueCurve;
+  if (Array.isArray(raw.fatigueCustom) && raw.fatigueCustom.length && raw.fatigueCustom.every(Number.isFinite)) params.fatigueCustom = raw.fatigueCustom;
+  const factors = Array.isArray(raw.factors) ? raw.factors.map(cleanFactor) : [];
+  if (factors.length && factors.every(Boolean) && new Set(factors.map((f) => f.key)).size === factors.length) params.factors = factors;
+  params.rules = cleanRules(raw.rules);
+  return params;
+}
+
+// A factor's numeric fields, with the values FactorEditor gives a new one;
+// min, max and step are optional (weight has no bounds)
+const FACTOR_NUMBERS = { alpha: 1, gamma: 0.5, default: 0 };
+const OPTIONAL_FACTOR_NUMBERS = ["min", "max", "step"];
+
+/** A factor with its numbers checked (a built-in one falls back to its defaults), or null without a key. */
+function cleanFactor(raw) {
+  if (typeof raw?.key !== "string" || !raw.key || RESERVED_ATHLETE_KEYS.includes(raw.key)) return null;
+  const base = (raw.builtin && DEFAULT_FACTORS.find((d) => d.key === raw.key)) || {};
+  const factor = { ...base, ...raw };
+  for (const [key, fallback] of Object.entries(FACTOR_NUMBERS)) {
+    factor[key] = Number.isFinite(raw[key]) ? raw[key] : base[key] ?? fallback;
+  }
+  for (const key of OPTIONAL_FACTOR_NUMBERS) {
+    if (Number.isFinite(raw[key])) factor[key] = raw[key];
+    else if (Number.isFinite(base[key])) factor[key] = base[key];
+    else delete factor[key];
+  }
+  // fatigue is a share in [0, 1]; older setups stored true for "fully"
+  factor.fatigue = raw.fatigue === true || Number.isFinite(raw.fatigue) ? raw.fatigue : base.fatigue ?? 0;
+  for (const key of ["label", "symbol"]) if (typeof factor[key] !== "string") factor[key] = raw.key;
+  return factor;
+}
+
+/** A ruleset with every rule of the wrong type back at its default. */
+function cleanRules(raw) {
+  const rules = { ...DEFAULT_RULES };
+  for (const [key, value] of Object.entries(DEFAULT_RULES)) {
+    const ok = typeof value === "number" ? Number.isFinite(raw?.[key]) : typeof raw?.[key] === typeof value;
+    if (ok) rules[key] = raw[key];
+  }
+  if (!["both", "none", "stayer"].includes(rules.drawEliminates)) rules.drawEliminates = DEFAULT_RULES.drawEliminates;
+  return rules;
+}
+
+/** The whole library as a setup file (a plain object; JSON.stringify it to save). */
+export function exportSetupFile(library, exported = new Date().toISOString()) {
+  return { format: SETUP_FILE_FORMAT, version: SETUP_FILE_VERSION, exported, ...library };
+}
+
+/**
+ * parseSetupFile(text)
+ * Reads a setup file written by exportSetupFile. Files of another format or a
+ * newer version are refused; malformed entries are reported and skipped, and
+ * the rest are returned with missing settings filled from the defaults.
+ * Returns { library, errors }.
+ */
+export function parseSetupFile(text) {
+  const library = { teams: [], scouting: [], presets: [] };
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (e) {
+    return { library, errors: [`JSON: ${e.message}`] };
+  }
+  if (file?.format !== SETUP_FILE_FORMAT) return { library, errors: ["Not a quintet-optimizer setup file"] };
+  if (!(file.version <= SETUP_FILE_VERSION)) {
+    return { library, errors: [`Setup file version ${file.version} is newer than this app reads (${SETUP_FILE_VERSION})`] };
+  }
+  const errors = [];
+  for (const kind of Object.keys(library)) {
+    (Array.isArray(file[kind]) ? file[kind] : []).forEach((raw, k) => {
+      const entry = cleanEntry(kind, raw);
+      if (typeof entry === "string") errors.push(`${kind} ${k + 1}: ${entry}`);
+      else library[kind].push(entry);
+    });
+  }
+  return { library, errors };
+}
+
+/** library with incoming's entries added; an entry with an id already present replaces it. */
+export function mergeLibraries(library, incoming) {
+  const merged = {};
+  for (const kind of Object.keys(EMPTY_LIBRARY)) {
+    const byId = new Map((library[kind] || []).map((e) => [e.id, e]));
+    for (const e of incoming[kind] || []) byId.set(e.id, e);
+    merged[kind] = [...byId.values()];
+  }
+  return merged;
+}
+
+/**
+ * parseRosterCsv(text, attributeKeys)
+ * A roster pasted from a spreadsheet: comma, semicolon or tab separated, with
+ * a header row naming the columns (case-insensitive). name is required; the
+ * other known columns are attributeKeys plus rating, stamina and maxBouts,
+ * and <key>_min / <key>_max give a scouting range (either end alone is
+ * enough; the likely value stands in for the other). Empty cells are left out,
+ * so the factor default applies. Returns { team, errors, missing } with
+ * missing the attributeKeys that have no column.
+ */
+export function parseRosterCsv(text, attributeKeys = DEFAULT_FACTORS.map((f) => f.key)) {
+  const team = [];
+  const errors = [];
+  const lines = text.split(/\r?\n/).filter((l) => l.trim());
+  if (!lines.length) return { team, errors, missing: [] };
+
+  const sep = lines[0].includes("\t") ? "\t" : lines[0].includes(";") && !lines[0].includes(",") ? ";" : ",";
+  const split = (line) => line.split(sep).map((c) => c.trim().replace(/^"(.*)"$/, "$1"));
+  const known = new Map([...attributeKeys, "rating", "stamina", "maxBouts"].map((k) => [k.toLowerCase(), k]));
+  const columns = split(lines[0]).map((h) => {
+    const [, base, bound] = h.toLowerCase().match(/^(.*?)(?:_(min|max))?$/);
+    if (!bound && base === "name") return { key: "name" };
+    return known.has(base) ? { key: known.get(base), bound } : null;
+  });
+  if (!columns.some((c) => c?.key === "name")) return { team, errors: ["CSV header needs a name column"], missing: [] };
+  const missing = attributeKeys.filter((k) => !columns.some((c) => c?.key === k && !c.bound));
+
+  lines.slice(1).forEach((line, k) => {
+    const athlete = {};
+    const ranges = {};
+    const bad = [];
+    split(line).forEach((cell, i) => {
+      const col = columns[i];
+      if (!col || cell === "") return;
+      if (col.key === "name") { athlete.name = cell; return; }
+      const value = parseFloat(cell.replace(",", "."));
+      if (!Number.isFinite(value)) bad.push(col.bound ? `${col.key}_${col.bound}` : col.key);
+      else if (col.bound) ranges[col.key] = { ...ranges[col.key], [col.bound]: value };
+      else athlete[col.key] = value;
+    });
+    if (!athlete.name) errors.push(`Row ${k + 1}: no name`);
+    else if (bad.length) errors.push(`Row ${k + 1} (${athlete.name}): ${bad.join(", ")} not a number`);
+    else {
+      team.push(Object.keys(ranges).length ? { ...athlete, ranges } : athlete);
+    }
+  });
+  return { team, errors, missing };
+}
+
+// ============================================================
+// =                     SHAREABLE LINKS                      =
+// ============================================================
+/**
+ * Share state: everything a link restores,
+ *   { teams, scouting, presets, samples, proposal }
+ * where teams / scouting / presets are library entries without id, name and
+ * saved (see SAVED SETUPS), samples is the uncertainty sample count, and
+ * proposal is a proposed order of the fielded squad (or null).
+ * A link carries it as base64url JSON, packed to keep URLs short: rosters as
+ * a key row plus value rows, built-in factors as their numbers only, and the
+ * untouched scouting prior left out. The packed form starts with v; bump
+ * SHARE_VERSION when it changes and teach unpackShareState the old shape, so
+ * links already sent keep opening. Settings a link predates take their
+ * defaults.
+ */
+export const SHARE_VERSION = 1;
+
+function packTeam(team) {
+  const keys = [...new Set(team.flatMap((p) => Object.keys(p).filter((k) => k !== "ranges")))];
+  return [keys, ...team.map((p) => {
+    const row = keys.map((k) => p[k] ?? null);
+    return p.ranges && Object.keys(p.ranges).length ? [...row, p.ranges] : row;
+  })];
+}
+
+function unpackTeam(packed) {
+  if (!Array.isArray(packed) || !Array.isArray(packed[0])) return null;
+  const [keys, ...rows] = packed;
+  return rows.map((row) => {
+    const athlete = Object.fromEntries(keys.map((k, i) => [k, row[i]]).filter(([, v]) => v !== null));
+    return row.length > keys.length ? { ...athlete, ranges: row[keys.length] } : athlete;
+  });
+}
+
+function packParams(params) {
+  const factors = params.factors.map((f) => (f.builtin ? { key: f.key, alpha: f.alpha, gamma: f.gamma, fatigue: f.fatigue, builtin: true } : f));
+  return { ...params, factors };
+}
+
+function unpackParams(packed) {
+  const factors = Array.isArray(packed?.factors)
+    ? packed.factors.map((f) => (f?.builtin ? { ...DEFAULT_FACTORS.find((d) => d.key === f.key), ...f } : f))
+    : undefined;
+  return { ...packed, factors };
+}
+
+function isDefaultPrior(prior) {
+  return JSON.stringify(prior) === JSON.stringify(defaultOppPrior(prior.pinned.length));
+}
+
+/** The packed, versioned form of a share state (a plain object). */
+export function packShareState({ teams, scouting, presets, samples, proposal }) {
+  return {
+    v: SHARE_VERSION,
+    t: { pool: packTeam(teams.pool), squad: teams.squad, rules: teams.squadRules, constraints: teams.constraints },
+    o: { team: packTeam(scouting.team), prior: isDefaultPrior(scouting.prior) ? null : scouting.prior },
+    p: { params: packParams(presets.params), mode: presets.mode, ranking: presets.ranking },
+    n: samples,
+    l: proposal || null,
+  };
+}
+
+/**
+ * unpackShareState(packed)
+ * A share state from any SHARE_VERSION so far, checked the way library
+ * entries are on import. Returns { state } or { error }.
+ */
+export function unpackShareState(packed) {
+  if (!Number.isInteger(packed?.v)) return { error: "This link holds no setup" };
+  if (packed.v > SHARE_VERSION) return { error: `This link was made by a newer version of the app (link format ${packed.v})` };
+  const teams = cleanEntry("teams", { name: "link", pool: unpackTeam(packed.t?.pool), squad: packed.t?.squad, squadRules: packed.t?.rules, constraints: packed.t?.constraints });
+  const scouting = cleanEntry("scouting", { name: "link", team: unpackTeam(packed.o?.team), prior: packed.o?.prior });
+  const presets = cleanEntry("presets", { name: "link", params: unpackParams(packed.p?.params), mode: packed.p?.mode, ranking: packed.p?.ranking });
+  const problem = [teams, scouting, presets].find((e) => typeof e === "string");
+  if (problem) return { error: `This link is damaged: the setup ${problem}` };
+  const strip = ({ id, name, saved, ...entry }) => entry;
+  const n = teams.squad.length;
+  const proposal = Array.isArray(packed.l) && packed.l.length === n && new Set(packed.l).size === n && packed.l.every((i) => Number.isInteger(i) && i >= 0 && i < n)
+    ? packed.l
+    : null;
+  return {
+    state: {
+      teams: strip(teams),
+      scouting: strip(scouting),
+      presets: strip(presets),
+      samples: Number.isInteger(packed.n) && packed.n > 0 ? packed.n : DEFAULT_UNCERTAINTY_SAMPLES,
+      proposal,
+    },
+  };
+}
+
+/** A share state as URL-safe text: base64url of the packed JSON (UTF-8). */
+export function encodeShareState(state) {
+  const bytes = new TextEncoder().encode(JSON.stringify(packShareState(state)));
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/** Inverse of encodeShareState; { state } or { error } for text that is not a link. */
+export function decodeShareState(text) {
+  let packed;
+  try {
+    const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+    packed = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0))));
+  } catch {
+    return { error: "This link is damaged and could not be read" };
+  }
+  return unpackShareState(packed);
+}
@@ -0,0 +1,143 @@
+/**
+ * ------------------------------------------------------------
+ * OPTIMIZER WORKER
+ * ------------------------------------------------------------
+ * Runs the lineup searches off the main thread. Each message is one job
+ *   { id, our, opp, params, mode, ranking, oppOrders, constraints, samples }
+ * (samples: sampled opponent teams from sampleTeams), a sensitivity run
+ *   { id, task: "sensitivity", our, opp, params, ranking, constraints, options }
+ * an event plan
+ *   { id, task: "event", pool, event, params, ranking, squadRules, constraints }
+ * a Monte Carlo simulation of one pair of orders
+ *   { id, task: "simulate", our, opp, params, N, seed }
+ * the search benchmark
+ *   { id, task: "benchmark", our, opp, params, ranking, oppOrders }
+ * a calibration fit to logged bouts
+ *   { id, task: "fit", bouts, params, keys }
+ * a search over every legal squad from the pool (constraints on pool indices)
+ *   { id, task: "squads", pool, squadRules, opp, params, mode, ranking, oppOrders, constraints, samples }
+ * or the diagnostics (runTests, without the brute-force cross-checks)
+ *   { id, task: "diagnostics", params }
+ * and is answered with
+ *   { id, type: "progress", step, steps, label, fraction }
+ *   { id, type: "result", key: "result" | "oppBestResponse" | "byFirst" | "constraintCosts" | "stability" | "sensitivity" | "event" | "simulation" | "benchmark" | "fit" | "squads" | "diagnostics", value }
+ *   { id, type: "done" }
+ * The searches are synchronous, so a stale job is cancelled by terminating
+ * the worker; there is no cancel message.
+ */
+import { applyBoutCaps, constraintCosts, constraintsForSquad, fitModelParams, optimizeForMode, optimizeForModeWithFirst, orderStability, pickOppBestOrderAgainst, planEvent, runSearchBenchmark, selectSquads, sensitivityAnalysis, simulateMatches } from "./engine.js";
+import { runTests } from "./diagnostics.js";
+
+// Minimum gap between progress messages
+const PROGRESS_INTERVAL_MS = 100;
+
+const MODE_LABELS = {
+  exploit: "Exploitative search",
+  robust: "Robust search",
+  nash: "Nash equilibrium",
+  bayes: "Bayesian search",
+};
+
+/** Progress and result reporting for one job of `steps` steps. */
+function reporter(id, steps) {
+  let step = 0;
+  let lastReport = -Infinity;
+  return {
+    progress: (label) => (fraction, note) => {
+      const now = performance.now();
+      if (now - lastReport < PROGRESS_INTERVAL_MS) return;
+      lastReport = now;
+      self.postMessage({ id, type: "progress", step, steps, label: note ? `${label} (${note})` : label, fraction });
+    },
+    post: (key, value) => {
+      step++;
+      self.postMessage({ id, type: "result", key, value });
+    },
+  };
+}
+
+function runSensitivity({ id, our, opp, params, ranking, constraints, options }) {
+  const { progress, post } = reporter(id, 1);
+  post("sensitivity", sensitivityAnalysis(our, opp, params, ranking, { ...options, constraints, onProgress: progress("Sensitivity sweep") }));
+}
+
+function runEvent({ id, pool, event, params, ranking, squadRules, constraints }) {
+  const { progress, post } = reporter(id, 1);
+  post("event", planEvent(pool, event, params, ranking, { squadRules, constraints, onProgress: progress("Event plan") }));
+}
+
+function runSimulation({ id, our, opp, params, N, seed }) {
+  const { progress, post } = reporter(id, 1);
+  post("simulation", simulateMatches(our, opp, params, N, seed, progress("Simulating matches")));
+}
+
+function runBenchmark({ id, our, opp, params, ranking, oppOrders }) {
+  const { progress, post } = reporter(id, 1);
+  post("benchmark", runSearchBenchmark(our, opp, params, ranking, oppOrders, progress("Search benchmark")));
+}
+
+function runFit({ id, bouts, params, keys }) {
+  const { progress, post } = reporter(id, 1);
+  // Nelder–Mead has no natural progress; say what is running
+  progress("Fitting parameters")(0);
+  post("fit", fitModelParams(bouts, params, keys));
+}
+
+function runSquads({ id, pool, squadRules, opp, params, mode, ranking, oppOrders, constraints = [], samples = [opp] }) {
+  const { progress, post } = reporter(id, 1);
+  const optimize = (team, squad) => optimizeForMode(mode, team, opp, params, ranking, oppOrders, { constraints: constraintsForSquad(constraints, squad), samples });
+  post("squads", selectSquads(pool, squadRules, optimize, progress("Squad search")));
+}
+
+function runDiagnostics({ id, params }) {
+  const { progress, post } = reporter(id, 1);
+  // The checks report nothing as they go; say what is running
+  progress("Diagnostics")(0);
+  post("diagnostics", runTests(params));
+}
+
+function runLineup({ id, our, opp, params, mode, ranking, oppOrders, constraints = [], samples = [opp] }) {
+  const uncertain = samples.length > 1;
+  // Main search, the opponent's best response, one search per opener, then
+  // the constraint costs and the stability over samples when they apply
+  const steps = 2 + our.length + (constraints.length ? 1 : 0) + (uncertain ? 1 : 0);
+  const { progress, post } = reporter(id, steps);
+
+  const search = (label) => ({ constraints, samples, onProgress: progress(label) });
+  const result = optimizeForMode(mode, our, opp, params, ranking, oppOrders, search(MODE_LABELS[mode]));
+  post("result", result);
+
+  // The opponent answers the team as it will fight, bout caps included
+  const fielded = applyBoutCaps(our, constraints);
+  const best = result.best?.order || [];
+  const response = best.length
+    ? pickOppBestOrderAgainst(best.map((i) => fielded[i]), opp, params, ranking, search("Opponent best response"))
+    : null;
+  post("oppBestResponse", response);
+
+  const byFirst = [];
+  our.forEach((athlete, i) => {
+    byFirst.push(optimizeForModeWithFirst(mode, result, our, opp, params, i, ranking, oppOrders, search(`Best order with ${athlete.name} first`)));
+    post("byFirst", byFirst);
+  });
+
+  if (constraints.length) {
+    post("constraintCosts", constraintCosts(mode, our, opp, params, ranking, oppOrders, search("Constraint costs")));
+  }
+
+  if (uncertain && result.best) {
+    post("stability", orderStability(mode, result, our, opp, params, ranking, oppOrders, search("Stability across sampled teams")));
+  }
+}
+
+self.onmessage = ({ data: job }) => {
+  if (job.task === "sensitivity") runSensitivity(job);
+  else if (job.task === "event") runEvent(job);
+  else if (job.task === "simulate") runSimulation(job);
+  else if (job.task === "benchmark") runBenchmark(job);
+  else if (job.task === "fit") runFit(job);
+  else if (job.task === "squads") runSquads(job);
+  else if (job.task === "diagnostics") runDiagnostics(job);
+  else runLineup(job);
+  self.postMessage({ id: job.id, type: "done" });
+};